@@ -0,0 +1,57 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+/**
+ * Measures the level of audio track in a media stream with WebAudio AnalyserNode.
+ */
+export class AudioLevelMeter {
+    /**
+     * Start analysing audio of the stream.
+     * @param {MediaStream} stream Stream with an audio track
+     */
+    start(stream) {
+        this._audioContext = this._createAudioContext();
+        this._source = this._audioContext.createMediaStreamSource(stream);
+        this._analyser = this._audioContext.createAnalyser();
+        this._analyser.fftSize = 512;
+        this._samples = new Float32Array(this._analyser.fftSize);
+        this._source.connect(this._analyser);
+    }
+    _createAudioContext() {
+        var AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return new AudioContextClass();
+    }
+    /**
+     * Current level (RMS of the latest samples) between 0 (silence) and 1, 0 if the meter is not started.
+     */
+    get level() {
+        if (!this._analyser) {
+            return 0;
+        }
+        this._analyser.getFloatTimeDomainData(this._samples);
+        var sum = 0;
+        for (var i = 0; i < this._samples.length; i++) {
+            sum += this._samples[i] * this._samples[i];
+        }
+        return Math.sqrt(sum / this._samples.length);
+    }
+    /**
+     * Stop analysing and release WebAudio resources, the stream is left as it is.
+     */
+    stop() {
+        if (this._source) {
+            this._source.disconnect();
+        }
+        if (this._audioContext) {
+            this._audioContext.close();
+        }
+        this._source = this._analyser = this._audioContext = null;
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+/**
+ * Turns captured microphone track into the track sent to the other end, through a chain of processors applied in order. Each processor is either
+ * - a function called with AudioContext, returning an AudioNode or a promise of it (e.g. AudioWorkletNode once its module is loaded),
+ *   consecutive nodes are connected into one WebAudio graph;
+ * - an object with process(track) function, returning processed MediaStreamTrack or a promise of it, for DSP outside of WebAudio.
+ * Input track is left as it is, everything else created along the chain is released by stop().
+ */
+export class AudioProcessingChain {
+    /**
+     * @param {Array} processors
+     */
+    constructor(processors) {
+        this._processors = processors;
+        this._nodes = [];
+        this._tracks = [];
+        this._inputTrack = null;
+        this._outputTrack = null;
+    }
+    get inputTrack() {
+        return this._inputTrack;
+    }
+    /**
+     * Processed track, null until process() completes.
+     */
+    get outputTrack() {
+        return this._outputTrack;
+    }
+    /**
+     * Build the chain on given track.
+     * @param {MediaStreamTrack} inputTrack
+     * @return Promise resolved with the processed track, rejected if any processor fails (the chain is stopped then).
+     */
+    process(inputTrack) {
+        var self = this;
+        self._inputTrack = inputTrack;
+        return self._groupProcessors().reduce((promise, group) => promise.then(track => {
+            return Array.isArray(group) ? self._processWithNodes(group, track) : group.process(track);
+        }).then(track => self._keepTrack(track)), Promise.resolve(inputTrack)).then(track => {
+            self._outputTrack = track;
+            return track;
+        }, e => {
+            self.stop();
+            throw e;
+        });
+    }
+    /**
+     * Consecutive node factories form a group (array) sharing one graph, track processors stand alone.
+     */
+    _groupProcessors() {
+        var groups = [];
+        this._processors.forEach(processor => {
+            var lastGroup = groups[groups.length - 1];
+            if (typeof processor !== 'function') {
+                groups.push(processor);
+            } else if (Array.isArray(lastGroup)) {
+                lastGroup.push(processor);
+            } else {
+                groups.push([processor]);
+            }
+        });
+        return groups;
+    }
+    _processWithNodes(nodeFactories, track) {
+        var self = this;
+        var audioContext = self._getAudioContext();
+        var source = audioContext.createMediaStreamSource(self._createMediaStream([track]));
+        var destination = audioContext.createMediaStreamDestination();
+        self._nodes.push(source, destination);
+        return nodeFactories.reduce((promise, nodeFactory) => promise.then(previousNode => {
+            return Promise.resolve(nodeFactory(audioContext)).then(node => {
+                self._nodes.push(node);
+                previousNode.connect(node);
+                return node;
+            });
+        }), Promise.resolve(source)).then(lastNode => {
+            lastNode.connect(destination);
+            return destination.stream.getAudioTracks()[0];
+        });
+    }
+    _keepTrack(track) {
+        if (track !== this._inputTrack && this._tracks.indexOf(track) < 0) {
+            this._tracks.push(track);
+        }
+        return track;
+    }
+    _getAudioContext() {
+        if (!this._audioContext) {
+            this._audioContext = this._createAudioContext();
+        }
+        return this._audioContext;
+    }
+    _createAudioContext() {
+        var AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return new AudioContextClass();
+    }
+    _createMediaStream(tracks) {
+        return new MediaStream(tracks);
+    }
+    /**
+     * Stop processed tracks and release WebAudio resources.
+     */
+    stop() {
+        this._nodes.forEach(node => node.disconnect());
+        this._tracks.forEach(track => track.stop());
+        if (this._audioContext) {
+            this._audioContext.close();
+        }
+        this._nodes = [];
+        this._tracks = [];
+        this._audioContext = null;
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+import { DEFAULT_RECORDING_OPTIONS } from './rtc_const';
+import { IllegalState } from './exceptions';
+
+/**
+ * Records the call on this machine with MediaRecorder. Local and remote audio are mixed into a single track with WebAudio,
+ * remote video (if any) is recorded along with it.
+ */
+export class CallRecorder {
+    /**
+     * @param {Object} options Override DEFAULT_RECORDING_OPTIONS (optional)
+     */
+    constructor(options) {
+        this._options = Object.assign({}, DEFAULT_RECORDING_OPTIONS, options);
+        this._dataHandler =
+            this._stopHandler =
+            this._errorHandler = function noOp() {
+            };
+        this._chunks = [];
+        this._audioTracks = [];
+        this._sources = [];
+    }
+    /**
+     * Called with each chunk (Blob) of the recording, only when recording with timesliceMillis.
+     */
+    set onData(handler) {
+        this._dataHandler = handler;
+    }
+    /**
+     * Called once recording is stopped, with Blob of the whole recording (null when recorded with timesliceMillis).
+     */
+    set onStop(handler) {
+        this._stopHandler = handler;
+    }
+    set onError(handler) {
+        this._errorHandler = handler;
+    }
+    /**
+     * inactive|recording|paused, same as MediaRecorder.state.
+     */
+    get state() {
+        return this._mediaRecorder ? this._mediaRecorder.state : 'inactive';
+    }
+    /**
+     * @param {Array} audioTracks Local and remote audio tracks to mix
+     * @param {MediaStreamTrack} videoTrack Remote video track (optional)
+     */
+    start(audioTracks, videoTrack) {
+        var self = this;
+        if (self._mediaRecorder) {
+            throw new IllegalState('Recording is already started');
+        }
+        try {
+            self._audioContext = self._createAudioContext();
+            self._destination = self._audioContext.createMediaStreamDestination();
+            self._audioTracks = audioTracks.slice();
+            self._sources = audioTracks.map(track => self._connectSource(track));
+            self._mixedTrack = self._destination.stream.getAudioTracks()[0];
+            var recorderOptions = {};
+            ['mimeType', 'audioBitsPerSecond', 'videoBitsPerSecond'].filter(option => self._options[option]).forEach(option => {
+                recorderOptions[option] = self._options[option];
+            });
+            var mediaRecorder = self._createMediaRecorder(self._createMediaStream(videoTrack ? [self._mixedTrack, videoTrack] : [self._mixedTrack]), recorderOptions);
+            mediaRecorder.ondataavailable = evt => self._onData(evt.data);
+            mediaRecorder.onstop = () => self._onStop();
+            mediaRecorder.onerror = evt => self._errorHandler(evt.error || evt);
+            if (self._options.timesliceMillis) {
+                mediaRecorder.start(self._options.timesliceMillis);
+            } else {
+                mediaRecorder.start();
+            }
+            self._mediaRecorder = mediaRecorder;
+        } catch (e) {
+            self._release();
+            throw e;
+        }
+    }
+    /**
+     * Mix given track in place of one being recorded, e.g. local audio sent from another microphone. Recording goes on without a gap.
+     * @param {MediaStreamTrack} oldTrack
+     * @param {MediaStreamTrack} newTrack
+     */
+    replaceAudioTrack(oldTrack, newTrack) {
+        var index = this._audioTracks.indexOf(oldTrack);
+        if (!this._mediaRecorder || index < 0 || oldTrack === newTrack) {
+            return;
+        }
+        this._sources[index].disconnect();
+        this._sources[index] = this._connectSource(newTrack);
+        this._audioTracks[index] = newTrack;
+    }
+    pause() {
+        this._getMediaRecorder().pause();
+    }
+    resume() {
+        this._getMediaRecorder().resume();
+    }
+    /**
+     * @return Promise resolved with the same param as onStop once the recording is complete.
+     */
+    stop() {
+        var self = this;
+        if (!self._mediaRecorder) {
+            return Promise.reject(new IllegalState('Not recording'));
+        }
+        if (!self._stopPromise) {
+            self._stopPromise = new Promise(resolve => {
+                self._resolveStop = resolve;
+            });
+            self._mediaRecorder.stop();
+        }
+        return self._stopPromise;
+    }
+    _connectSource(track) {
+        var source = this._audioContext.createMediaStreamSource(this._createMediaStream([track]));
+        source.connect(this._destination);
+        return source;
+    }
+    _getMediaRecorder() {
+        if (!this._mediaRecorder) {
+            throw new IllegalState('Not recording');
+        }
+        return this._mediaRecorder;
+    }
+    _onData(data) {
+        if (!data || data.size === 0) {
+            return;
+        }
+        if (this._options.timesliceMillis) {
+            this._dataHandler(data);
+        } else {
+            this._chunks.push(data);
+        }
+    }
+    _onStop() {
+        var recording = this._options.timesliceMillis ? null : this._createBlob(this._chunks, this._mediaRecorder.mimeType);
+        var resolveStop = this._resolveStop;
+        this._release();
+        //settle stop() first, so that it's not left pending if onStop handler throws
+        if (resolveStop) {
+            resolveStop(recording);
+        }
+        this._stopHandler(recording);
+    }
+    _release() {
+        this._sources.forEach(source => source.disconnect());
+        if (this._mixedTrack) {
+            this._mixedTrack.stop();
+        }
+        if (this._audioContext) {
+            this._audioContext.close();
+        }
+        this._sources = [];
+        this._audioTracks = [];
+        this._chunks = [];
+        this._mixedTrack = this._destination = this._audioContext = this._mediaRecorder = null;
+        this._stopPromise = this._resolveStop = null;
+    }
+    _createAudioContext() {
+        var AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return new AudioContextClass();
+    }
+    _createMediaStream(tracks) {
+        return new MediaStream(tracks);
+    }
+    _createMediaRecorder(stream, options) {
+        return new MediaRecorder(stream, options);
+    }
+    _createBlob(chunks, mimeType) {
+        return new Blob(chunks, {type: mimeType});
+    }
+}
@@ -46,12 +46,38 @@ import 'webrtc-adapter';
  * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 import RtcSession from './rtc_session';
-import {RTC_ERRORS} from './rtc_const';
+import {RTC_ERRORS, RTC_ERROR_CODES, REJECT_REASONS, DEVICE_SWITCH_POLICIES, RTC_SESSION_EVENTS, RTC_SESSION_STATES, DIAGNOSTIC_STATUS, DEGRADATION_PREFERENCES} from './rtc_const';
+import {WebSocketTransport} from './transport';
+import {SessionStorageStore} from './session_store';
+import {DeviceManager} from './device_manager';
+import {Diagnostics} from './diagnostics';
 
 global.connect = global.connect || {};
 global.connect.RTCSession = RtcSession;
 global.connect.RTCErrors = RTC_ERRORS;
+global.connect.RTCErrorCodes = RTC_ERROR_CODES;
+global.connect.RTCRejectReasons = REJECT_REASONS;
+global.connect.RTCSessionEvents = RTC_SESSION_EVENTS;
+global.connect.RTCSessionStates = RTC_SESSION_STATES;
+global.connect.RTCWebSocketTransport = WebSocketTransport;
+global.connect.RTCSessionStorageStore = SessionStorageStore;
+global.connect.RTCDeviceManager = DeviceManager;
+global.connect.RTCDeviceSwitchPolicies = DEVICE_SWITCH_POLICIES;
+global.connect.RTCDiagnostics = Diagnostics;
+global.connect.RTCDiagnosticStatus = DIAGNOSTIC_STATUS;
+global.connect.RTCDegradationPreferences = DEGRADATION_PREFERENCES;
 
 global.lily = global.lily || {};
 global.lily.RTCSession = RtcSession;
 global.lily.RTCErrors = RTC_ERRORS;
+global.lily.RTCErrorCodes = RTC_ERROR_CODES;
+global.lily.RTCRejectReasons = REJECT_REASONS;
+global.lily.RTCSessionEvents = RTC_SESSION_EVENTS;
+global.lily.RTCSessionStates = RTC_SESSION_STATES;
+global.lily.RTCWebSocketTransport = WebSocketTransport;
+global.lily.RTCSessionStorageStore = SessionStorageStore;
+global.lily.RTCDeviceManager = DeviceManager;
+global.lily.RTCDeviceSwitchPolicies = DEVICE_SWITCH_POLICIES;
+global.lily.RTCDiagnostics = Diagnostics;
+global.lily.RTCDiagnosticStatus = DIAGNOSTIC_STATUS;
+global.lily.RTCDegradationPreferences = DEGRADATION_PREFERENCES;
@@ -0,0 +1,236 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+import { hitch, wrapLogger } from './utils';
+import { DEVICE_SWITCH_POLICIES, DEFAULT_DEVICE_SWITCH_POLICY } from './rtc_const';
+
+/**
+ * Kinds of devices (as in MediaDeviceInfo.kind) tracked by DeviceManager.
+ */
+var DEVICE_KINDS = ['audioinput', 'audiooutput', 'videoinput'];
+
+/**
+ * Entries browsers list in addition to real devices, pointing to one of them (Chrome lists OS default and Windows communications device this way).
+ */
+var PSEUDO_DEVICE_IDS = ['default', 'communications'];
+
+function isPseudoDevice(device) {
+    return PSEUDO_DEVICE_IDS.indexOf(device.deviceId) >= 0;
+}
+
+function containsDevice(devices, device) {
+    return devices.some(d => d.kind === device.kind && d.deviceId === device.deviceId);
+}
+
+/**
+ * Find OS default device of given kind. Chrome lists it as 'default' entry sharing groupId with the real device, other browsers list it first.
+ */
+function findDefaultDevice(allDevices, kind) {
+    var devices = allDevices.filter(device => device.kind === kind);
+    var realDevices = devices.filter(device => !isPseudoDevice(device));
+    var defaultEntry = devices.filter(device => device.deviceId === 'default')[0];
+    if (defaultEntry) {
+        return realDevices.filter(device => device.groupId === defaultEntry.groupId)[0] || defaultEntry;
+    }
+    return realDevices[0] || null;
+}
+
+/**
+ * Keeps track of local media devices: lists them, tells when devices are plugged in/out and when OS default device changes.
+ * Once attached to an RtcSession, it can move the live call to another device following the switch policy.
+ * Handlers and policies are called for each kind of device on its own, one throwing doesn't stop the others.
+ */
+export class DeviceManager {
+    /**
+     * @param {*} logger An object provides logging functions, such as console
+     */
+    constructor(logger) {
+        this._logger = wrapLogger(logger, '', 'DEVICE');
+        this._devices = [];
+        this._defaultDevices = {};
+        this._switchPolicy = DEFAULT_DEVICE_SWITCH_POLICY;
+        this._deviceChangeListener = hitch(this, this._onDeviceChange);
+
+        this._deviceChangeHandler =
+            this._defaultDeviceChangeHandler = function noOp() {
+            };
+    }
+    /**
+     * Callback when devices are plugged in or out.
+     * First param is an object with added and removed fields, each of which is a list of MediaDeviceInfo.
+     */
+    set onDeviceChange(handler) {
+        this._deviceChangeHandler = handler;
+    }
+    /**
+     * Callback when OS default device changes.
+     * First param is the kind of device (audioinput|audiooutput|videoinput).
+     * Second param is the new default device (MediaDeviceInfo), null if there is no device of the kind left.
+     */
+    set onDefaultDeviceChange(handler) {
+        this._defaultDeviceChangeHandler = handler;
+    }
+    /**
+     * Override DEFAULT_DEVICE_SWITCH_POLICY by kind of device (audioinput|audiooutput|videoinput), kinds not set keep default policy.
+     * Switching audiooutput moves remote audio to the device (see RtcSession.setAudioOutputDevice).
+     * Policy is one of DEVICE_SWITCH_POLICIES, or a function called with the kind and an object with added devices and defaultDevice,
+     * which returns the device to switch to (null for no switch).
+     */
+    set switchPolicy(policy) {
+        this._switchPolicy = Object.assign({}, DEFAULT_DEVICE_SWITCH_POLICY, policy);
+    }
+    get audioInputs() {
+        return this._listDevices('audioinput');
+    }
+    get audioOutputs() {
+        return this._listDevices('audiooutput');
+    }
+    get videoInputs() {
+        return this._listDevices('videoinput');
+    }
+    /**
+     * OS default devices by kind (audioinput|audiooutput|videoinput).
+     */
+    get defaultDevices() {
+        return this._defaultDevices;
+    }
+    /**
+     * Start tracking devices. Devices are listed right away, then again whenever they change.
+     * @return Promise resolved once devices are listed.
+     */
+    start() {
+        this._getMediaDevices().addEventListener('devicechange', this._deviceChangeListener);
+        return this.enumerateDevices();
+    }
+    stop() {
+        this._getMediaDevices().removeEventListener('devicechange', this._deviceChangeListener);
+        this._rtcSession = null;
+    }
+    /**
+     * Move the live call of the session to other devices following the switch policy, only one session is attached at a time.
+     * @param {RtcSession} rtcSession
+     */
+    attach(rtcSession) {
+        this._rtcSession = rtcSession;
+    }
+    detach() {
+        this._rtcSession = null;
+    }
+    /**
+     * List devices again. Device labels are only available once the page is granted media access.
+     * @return Promise resolved with an object with audioInputs, audioOutputs and videoInputs fields, OS default device entries are not included.
+     */
+    enumerateDevices() {
+        var self = this;
+        return self._getMediaDevices().enumerateDevices().then(devices => {
+            self._devices = devices;
+            DEVICE_KINDS.forEach(kind => {
+                self._defaultDevices[kind] = findDefaultDevice(devices, kind);
+            });
+            return {
+                audioInputs: self.audioInputs,
+                audioOutputs: self.audioOutputs,
+                videoInputs: self.videoInputs
+            };
+        });
+    }
+    _listDevices(kind) {
+        return this._devices.filter(device => device.kind === kind && !isPseudoDevice(device));
+    }
+    _getMediaDevices() {
+        return navigator.mediaDevices;
+    }
+    _onDeviceChange() {
+        var self = this;
+        var previousDevices = self._listAllDevices();
+        var previousDefaultDevices = Object.assign({}, self._defaultDevices);
+        return self.enumerateDevices().then(() => {
+            var devices = self._listAllDevices();
+            var added = devices.filter(device => !containsDevice(previousDevices, device));
+            var removed = previousDevices.filter(device => !containsDevice(devices, device));
+            if (added.length > 0 || removed.length > 0) {
+                self._logger.info('Devices changed, added: ' + added.map(device => device.label).join(',') +
+                    ', removed: ' + removed.map(device => device.label).join(','));
+                try {
+                    self._deviceChangeHandler({
+                        added: added,
+                        removed: removed
+                    });
+                } catch (e) {
+                    self._logger.warn('onDeviceChange handler failed', e);
+                }
+            }
+            var defaultChangedKinds = DEVICE_KINDS.filter(kind => {
+                var previousDefault = previousDefaultDevices[kind];
+                var currentDefault = self._defaultDevices[kind];
+                return (previousDefault ? previousDefault.deviceId : null) !== (currentDefault ? currentDefault.deviceId : null);
+            });
+            defaultChangedKinds.forEach(kind => {
+                try {
+                    self._defaultDeviceChangeHandler(kind, self._defaultDevices[kind]);
+                } catch (e) {
+                    self._logger.warn('onDefaultDeviceChange handler failed for ' + kind, e);
+                }
+            });
+            self._switchDevices(added, defaultChangedKinds);
+        }).catch(e => {
+            self._logger.warn('Failed handling device change', e);
+        });
+    }
+    _listAllDevices() {
+        return this._devices.filter(device => !isPseudoDevice(device));
+    }
+    _switchDevices(added, defaultChangedKinds) {
+        var self = this;
+        var rtcSession = self._rtcSession;
+        if (!rtcSession) {
+            return;
+        }
+        Object.keys(self._switchPolicy).forEach(kind => {
+            var policy = self._switchPolicy[kind];
+            var addedOfKind = added.filter(device => device.kind === kind);
+            var device = null;
+            try {
+                if (typeof policy === 'function') {
+                    device = policy(kind, {
+                        added: addedOfKind,
+                        defaultDevice: self._defaultDevices[kind]
+                    });
+                } else if (policy === DEVICE_SWITCH_POLICIES.NEW_DEVICE) {
+                    device = addedOfKind[addedOfKind.length - 1];
+                } else if (policy === DEVICE_SWITCH_POLICIES.DEFAULT_DEVICE && defaultChangedKinds.indexOf(kind) >= 0) {
+                    device = self._defaultDevices[kind];
+                }
+                if (device) {
+                    self._switchDevice(rtcSession, kind, device);
+                }
+            } catch (e) {
+                self._logger.warn('Failed switching ' + kind, e);
+            }
+        });
+    }
+    _switchDevice(rtcSession, kind, device) {
+        var self = this;
+        var switchPromise;
+        self._logger.info('Switching ' + kind + ' to ' + device.label);
+        if (kind === 'audioinput') {
+            switchPromise = rtcSession.switchAudioInput(device.deviceId);
+        } else if (kind === 'videoinput') {
+            switchPromise = rtcSession.switchVideoInput(device.deviceId);
+        } else if (kind === 'audiooutput') {
+            switchPromise = rtcSession.setAudioOutputDevice(device.deviceId);
+        } else {
+            self._logger.warn('Switching ' + kind + ' is not supported');
+            return;
+        }
+        switchPromise.catch(e => {
+            self._logger.warn('Failed switching ' + kind + ' to ' + device.label, e);
+        });
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+import { hitch, wrapLogger, closeStream, grabLocalMedia, IceCandidateTracker } from './utils';
+import { DIAGNOSTIC_STATUS, DEFAULT_DIAGNOSTICS_OPTIONS } from './rtc_const';
+import { IllegalParameters } from './exceptions';
+import { AudioLevelMeter } from './audio_level_meter';
+import { createWebSocketTransport } from './transport';
+import { parseCandidate } from 'sdp';
+import uuid from 'uuid/v4';
+
+/**
+ * How often input level is sampled while measuring it.
+ */
+var INPUT_LEVEL_SAMPLE_INTERVAL_MS = 50;
+
+var STATUS_SEVERITY = [DIAGNOSTIC_STATUS.PASS, DIAGNOSTIC_STATUS.WARN, DIAGNOSTIC_STATUS.FAIL];
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) => STATUS_SEVERITY.indexOf(status) > STATUS_SEVERITY.indexOf(worst) ? status : worst, DIAGNOSTIC_STATUS.PASS);
+}
+
+function describeError(e) {
+    return e && e.name ? e.name + ': ' + e.message : String(e);
+}
+
+/**
+ * Transport protocol to reach the TURN server of given URL (udp|tcp|tls).
+ */
+function turnProtocol(url) {
+    if (url.indexOf('turns:') === 0) {
+        return 'tls';
+    }
+    var transport = /[?&]transport=(\w+)/.exec(url);
+    return transport ? transport[1].toLowerCase() : 'udp';
+}
+
+/**
+ * Pre-call checks of the agent's environment: media devices, network path to media and signaling servers and codec support.
+ * Report of run() has status (one of DIAGNOSTIC_STATUS) and one entry with status and details for each check:
+ * microphone, inputLevel, camera (unless checkCamera is off), ice (with one entry per TURN server URL), signaling and codecs.
+ */
+export class Diagnostics {
+    /**
+     * @param {string} signalingUri The same signaling URI RtcSession connects to
+     * @param {Array} iceServers The same ICE servers RtcSession uses
+     * @param {*} logger An object provides logging functions, such as console
+     * @param {Object} options Override DEFAULT_DIAGNOSTICS_OPTIONS (optional)
+     */
+    constructor(signalingUri, iceServers, logger, options) {
+        if (typeof signalingUri !== 'string' || signalingUri.trim().length === 0) {
+            throw new IllegalParameters('signalingUri required');
+        }
+        if (!iceServers) {
+            throw new IllegalParameters('iceServers required');
+        }
+        if (typeof logger !== 'object') {
+            throw new IllegalParameters('logger required');
+        }
+        this._signalingUri = signalingUri;
+        this._iceServers = iceServers;
+        this._logger = wrapLogger(logger, '', 'DIAGNOSTICS');
+        this._options = Object.assign({}, DEFAULT_DIAGNOSTICS_OPTIONS, options);
+    }
+    /**
+     * Run all checks with a new Diagnostics object, see constructor for params.
+     * @return Promise resolved with the report
+     */
+    static run(signalingUri, iceServers, logger, options) {
+        return new Diagnostics(signalingUri, iceServers, logger, options).run();
+    }
+    /**
+     * Run all checks one after another, it takes a few seconds.
+     * @return Promise resolved with the report, never rejected
+     */
+    async run() {
+        var report = {};
+        var microphone = await this._checkMedia('audio');
+        report.microphone = microphone.result;
+        report.inputLevel = await this._checkInputLevel(microphone.stream);
+        closeStream(microphone.stream);
+        if (this._options.checkCamera) {
+            var camera = await this._checkMedia('video');
+            report.camera = camera.result;
+            closeStream(camera.stream);
+        }
+        report.ice = await this._checkIce();
+        report.signaling = await this._checkSignaling();
+        report.codecs = this._checkCodecs();
+        var checks = Object.keys(report);
+        report.status = worstStatus(checks.map(check => report[check].status));
+        //details (device labels, server urls) stay in the report returned to the caller
+        this._logger.info('Diagnostics completed with ' + report.status + ' (' +
+            checks.map(check => check + ': ' + report[check].status).join(', ') + ')');
+        return report;
+    }
+    /**
+     * Permission and capture of microphone (kind = audio) or camera (kind = video).
+     */
+    async _checkMedia(kind) {
+        var result = {
+            status: DIAGNOSTIC_STATUS.PASS,
+            permission: await this._queryPermission(kind === 'audio' ? 'microphone' : 'camera'),
+            label: null,
+            error: null
+        };
+        var stream = null;
+        try {
+            stream = await grabLocalMedia(hitch(this, this._gUM), {[kind]: true}, this._options.gumTimeoutMillis);
+            var track = stream.getTracks()[0];
+            result.label = track ? track.label : null;
+        } catch (e) {
+            this._logger.warn('Failed grabbing ' + kind, e);
+            //call can still go on without video
+            result.status = kind === 'audio' ? DIAGNOSTIC_STATUS.FAIL : DIAGNOSTIC_STATUS.WARN;
+            result.error = describeError(e);
+        }
+        return {
+            result: result,
+            stream: stream
+        };
+    }
+    /**
+     * Highest microphone level during inputLevelMillis, warns if the microphone is silent (e.g. muted by hardware switch).
+     */
+    async _checkInputLevel(stream) {
+        if (!stream) {
+            return {
+                status: DIAGNOSTIC_STATUS.FAIL,
+                level: null,
+                error: 'No microphone'
+            };
+        }
+        try {
+            var level = await this._measureInputLevel(stream);
+            return {
+                status: level >= this._options.minInputLevel ? DIAGNOSTIC_STATUS.PASS : DIAGNOSTIC_STATUS.WARN,
+                level: level,
+                error: null
+            };
+        } catch (e) {
+            this._logger.warn('Failed measuring input level', e);
+            return {
+                status: DIAGNOSTIC_STATUS.WARN,
+                level: null,
+                error: describeError(e)
+            };
+        }
+    }
+    _measureInputLevel(stream) {
+        var self = this;
+        var meter = self._createAudioLevelMeter();
+        meter.start(stream);
+        return new Promise(resolve => {
+            var maxLevel = 0;
+            var sampleTimer = setInterval(() => {
+                maxLevel = Math.max(maxLevel, meter.level);
+            }, INPUT_LEVEL_SAMPLE_INTERVAL_MS);
+            setTimeout(() => {
+                clearInterval(sampleTimer);
+                maxLevel = Math.max(maxLevel, meter.level);
+                meter.stop();
+                resolve(maxLevel);
+            }, self._options.inputLevelMillis);
+        });
+    }
+    /**
+     * Relay candidate gathering against each TURN server URL, the same way the call collects candidates (relay only, done once RTP candidate is collected).
+     */
+    async _checkIce() {
+        var servers = [];
+        for (var iceServer of this._iceServers) {
+            var urls = [].concat(iceServer.urls || iceServer.url || []);
+            for (var url of urls.filter(url => /^turns?:/.test(url))) {
+                servers.push(await this._checkTurnServer(Object.assign({}, iceServer, {urls: url}), url));
+            }
+        }
+        var reachable = servers.filter(server => server.status === DIAGNOSTIC_STATUS.PASS).length;
+        var status = DIAGNOSTIC_STATUS.WARN;
+        if (reachable === 0) {
+            status = DIAGNOSTIC_STATUS.FAIL;
+        } else if (reachable === servers.length) {
+            status = DIAGNOSTIC_STATUS.PASS;
+        }
+        return {
+            status: status,
+            servers: servers
+        };
+    }
+    async _checkTurnServer(iceServer, url) {
+        var result = {
+            url: url,
+            protocol: turnProtocol(url),
+            status: DIAGNOSTIC_STATUS.FAIL,
+            relayCandidates: 0,
+            gatheringTimeMillis: null,
+            error: null
+        };
+        var startTime = Date.now();
+        try {
+            var candidates = await this._gatherCandidates(iceServer);
+            result.relayCandidates = candidates.filter(candidate => parseCandidate(candidate.candidate).type === 'relay').length;
+            result.status = result.relayCandidates > 0 ? DIAGNOSTIC_STATUS.PASS : DIAGNOSTIC_STATUS.FAIL;
+        } catch (e) {
+            this._logger.warn('Failed gathering candidates from ' + url, e);
+            result.error = describeError(e);
+        }
+        result.gatheringTimeMillis = Date.now() - startTime;
+        return result;
+    }
+    _gatherCandidates(iceServer) {
+        var self = this;
+        var pc = self._createPeerConnection({
+            iceServers: [iceServer],
+            iceTransportPolicy: 'relay'
+        });
+        var candidateTracker = new IceCandidateTracker(1);
+        return new Promise((resolve, reject) => {
+            var candidates = [];
+            var timer = setTimeout(() => resolve(candidates), self._options.iceTimeoutMillis);
+            var complete = () => {
+                clearTimeout(timer);
+                resolve(candidates);
+            };
+            pc.onicecandidate = evt => {
+                if (!evt.candidate) {
+                    complete();
+                    return;
+                }
+                candidates.push(evt.candidate);
+                if (candidateTracker.add(evt.candidate)) {
+                    complete();
+                }
+            };
+            pc.addTransceiver('audio', {direction: 'sendrecv'});
+            pc.createOffer()
+                .then(offer => pc.setLocalDescription(offer))
+                .catch(e => {
+                    clearTimeout(timer);
+                    reject(e);
+                });
+        }).then(candidates => {
+            pc.close();
+            return candidates;
+        }, e => {
+            pc.close();
+            throw e;
+        });
+    }
+    /**
+     * WebSocket reachability of the signaling server, the connection is closed as soon as it's open.
+     * It connects with a throwaway callId, the same way RtcSession does, since the server turns down the handshake without one.
+     */
+    _checkSignaling() {
+        var self = this;
+        var startTime = Date.now();
+        var transport = self._createTransport();
+        return new Promise(resolve => {
+            var timer = setTimeout(() => resolve('Timed out'), self._options.signalingTimeoutMillis);
+            var complete = error => {
+                clearTimeout(timer);
+                resolve(error);
+            };
+            transport.onOpen = () => complete(null);
+            transport.onError = () => complete('WebSocket error');
+            transport.onClose = evt => complete('WebSocket closed with code ' + evt.code);
+            try {
+                transport.connect(self._buildSignalingUri());
+            } catch (e) {
+                complete(describeError(e));
+            }
+        }).then(error => {
+            transport.close();
+            return {
+                status: error ? DIAGNOSTIC_STATUS.FAIL : DIAGNOSTIC_STATUS.PASS,
+                connectTimeMillis: error ? null : Date.now() - startTime,
+                error: error
+            };
+        });
+    }
+    _buildSignalingUri() {
+        var separator = this._signalingUri.indexOf('?') > -1 ? '&' : '?';
+        return this._signalingUri + separator + 'callId=' + encodeURIComponent(uuid());
+    }
+    /**
+     * Opus is required for audio, missing VP8 and H264 is a warning as video is optional.
+     */
+    _checkCodecs() {
+        var audio = this._getCapabilities('audio');
+        var video = this._options.checkCamera ? this._getCapabilities('video') : null;
+        if (!audio) {
+            return {
+                status: DIAGNOSTIC_STATUS.WARN,
+                audio: null,
+                video: null,
+                error: 'RTCRtpSender.getCapabilities not supported'
+            };
+        }
+        var audioCodecs = audio.codecs.map(codec => codec.mimeType.toLowerCase());
+        var videoCodecs = video ? video.codecs.map(codec => codec.mimeType.toLowerCase()) : null;
+        var status = DIAGNOSTIC_STATUS.PASS;
+        if (audioCodecs.indexOf('audio/opus') < 0) {
+            status = DIAGNOSTIC_STATUS.FAIL;
+        } else if (videoCodecs && videoCodecs.indexOf('video/vp8') < 0 && videoCodecs.indexOf('video/h264') < 0) {
+            status = DIAGNOSTIC_STATUS.WARN;
+        }
+        return {
+            status: status,
+            audio: audioCodecs,
+            video: videoCodecs,
+            error: null
+        };
+    }
+    _queryPermission(name) {
+        if (!navigator.permissions || !navigator.permissions.query) {
+            return Promise.resolve(null);
+        }
+        //not every browser knows microphone/camera permission names
+        return navigator.permissions.query({name: name}).then(status => status.state, () => null);
+    }
+    _gUM(constraints) {
+        return navigator.mediaDevices.getUserMedia(constraints);
+    }
+    _createAudioLevelMeter() {
+        return new AudioLevelMeter();
+    }
+    _createPeerConnection(configuration) {
+        return new RTCPeerConnection(configuration);
+    }
+    _createTransport() {
+        return createWebSocketTransport();
+    }
+    _getCapabilities(kind) {
+        return typeof RTCRtpSender !== 'undefined' && RTCRtpSender.getCapabilities ? RTCRtpSender.getCapabilities(kind) : null;
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+import { IllegalParameters } from './exceptions';
+
+/**
+ * Minimal event emitter, so that any number of listeners could subscribe to the same event.
+ * Listeners are called in the order they subscribed, an exception thrown by one of them doesn't keep others from being called.
+ */
+export class EventEmitter {
+    constructor() {
+        this._listeners = {};
+    }
+    /**
+     * Subscribe to the event.
+     * @param {string} type Event type
+     * @param {function} listener Called with the event payload
+     * @return this, so that calls could be chained
+     */
+    on(type, listener) {
+        if (typeof listener !== 'function') {
+            throw new IllegalParameters('Listener of ' + type + ' must be a function');
+        }
+        this._listeners[type] = (this._listeners[type] || []).concat([listener]);
+        return this;
+    }
+    /**
+     * Unsubscribe from the event, nothing happens if the listener didn't subscribe.
+     * @param {string} type Event type
+     * @param {function} listener The same function passed to on() or once()
+     * @return this
+     */
+    off(type, listener) {
+        var listeners = this._listeners[type] || [];
+        var index = listeners.findIndex(l => l === listener || l._listener === listener);
+        if (index >= 0) {
+            this._listeners[type] = listeners.slice(0, index).concat(listeners.slice(index + 1));
+        }
+        return this;
+    }
+    /**
+     * Subscribe to the next event only.
+     * @param {string} type Event type
+     * @param {function} listener Called with the event payload
+     * @return this
+     */
+    once(type, listener) {
+        var self = this;
+        var onceListener = function (payload) {
+            self.off(type, onceListener);
+            listener(payload);
+        };
+        onceListener._listener = listener;
+        return self.on(type, onceListener);
+    }
+    _emit(type, payload) {
+        var self = this;
+        //listeners subscribing/unsubscribing from within a listener take effect from the next event
+        (self._listeners[type] || []).forEach(listener => {
+            try {
+                listener(payload);
+            } catch (e) {
+                self._listenerFailed(type, e);
+            }
+        });
+    }
+    _listenerFailed(type, e) { // eslint-disable-line no-unused-vars
+    }
+}
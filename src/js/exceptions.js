@@ -7,6 +7,8 @@
  *
  * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
  */
+import { RTC_ERRORS, RTC_ERROR_CODES } from './rtc_const';
+
 export const TimeoutExceptionName = 'Timeout';
 export class Timeout extends Error {
     constructor(msg) {
@@ -70,3 +72,139 @@ export class UnknownSignalingError extends Error {
         this.name = UnknownSignalingErrorName;
     }
 }
+
+export const JsonRpcErrorName = 'JsonRpcError';
+export class JsonRpcError extends Error {
+    /**
+     * Error response to JSON-RPC request.
+     * @param {number} code JSON-RPC error code
+     * @param {string} msg JSON-RPC error message
+     * @param {*} data JSON-RPC error data (optional)
+     */
+    constructor(code, msg, data) {
+        super(msg);
+        this.name = JsonRpcErrorName;
+        this.code = code;
+        this.data = data;
+    }
+}
+
+export const UnknownResponseIdErrorName = 'UnknownResponseIdError';
+export class UnknownResponseIdError extends Error {
+    constructor(msg) {
+        super(msg);
+        this.name = UnknownResponseIdErrorName;
+    }
+}
+
+export const RtcErrorName = 'RtcError';
+export class RtcError extends Error {
+    /**
+     * Failure of RtcSession, passed to onSessionFailed and rejected by connect().
+     * @param {string} code One of RTC_ERROR_CODES
+     * @param {string} msg Human readable message
+     * @param {string} legacy The same failure in RTC_ERRORS, which used to be passed to onSessionFailed (null for SESSION_ENDED)
+     * @param {boolean} retryable TRUE if a new session could succeed, e.g. after a network glitch
+     * @param {string} state Name of the state the session failed in (one of RTC_SESSION_STATES)
+     * @param {*} cause The error leading to the failure (optional)
+     */
+    constructor(code, msg, legacy, retryable, state, cause) {
+        super(msg);
+        this.name = RtcErrorName;
+        this.code = code;
+        this.legacy = legacy;
+        this.retryable = retryable;
+        this.state = state;
+        this.cause = cause;
+        //e.g. DOMException name from getUserMedia, JSON-RPC error code from signaling server
+        this.causeName = cause && cause.name ? cause.name : null;
+        this.causeCode = cause && cause.code !== undefined ? cause.code : null;
+        //timings of the session until it ended (see SessionReport), set when the session is cleaned up
+        this.timings = null;
+    }
+}
+
+export const MediaAccessErrorName = 'MediaAccessError';
+export class MediaAccessError extends RtcError {
+    constructor(code, msg, legacy, retryable, state, cause) {
+        super(code, msg, legacy, retryable, state, cause);
+        this.name = MediaAccessErrorName;
+    }
+}
+
+export const SignalingErrorName = 'SignalingError';
+export class SignalingError extends RtcError {
+    constructor(code, msg, legacy, retryable, state, cause) {
+        super(code, msg, legacy, retryable, state, cause);
+        this.name = SignalingErrorName;
+    }
+}
+
+export const NegotiationErrorName = 'NegotiationError';
+export class NegotiationError extends RtcError {
+    constructor(code, msg, legacy, retryable, state, cause) {
+        super(code, msg, legacy, retryable, state, cause);
+        this.name = NegotiationErrorName;
+    }
+}
+
+export const IceErrorName = 'IceError';
+export class IceError extends RtcError {
+    constructor(code, msg, legacy, retryable, state, cause) {
+        super(code, msg, legacy, retryable, state, cause);
+        this.name = IceErrorName;
+    }
+}
+
+export const CallEndedErrorName = 'CallEndedError';
+export class CallEndedError extends RtcError {
+    constructor(code, msg, legacy, retryable, state, cause) {
+        super(code, msg, legacy, retryable, state, cause);
+        this.name = CallEndedErrorName;
+    }
+}
+
+/**
+ * Class, code, message and retryable flag of RtcError by the failure in RTC_ERRORS.
+ */
+const RTC_ERROR_DEFINITIONS = {
+    [RTC_ERRORS.GUM_TIMEOUT_FAILURE]: [MediaAccessError, RTC_ERROR_CODES.GUM_TIMEOUT_FAILURE, 'Timed out grabbing local media', true],
+    [RTC_ERRORS.GUM_OTHER_FAILURE]: [MediaAccessError, RTC_ERROR_CODES.GUM_OTHER_FAILURE, 'Failed grabbing local media', false],
+    [RTC_ERRORS.SIGNALLING_CONNECTION_FAILURE]: [SignalingError, RTC_ERROR_CODES.SIGNALLING_CONNECTION_FAILURE, 'Failed connecting to signaling server', true],
+    [RTC_ERRORS.SIGNALLING_HANDSHAKE_FAILURE]: [SignalingError, RTC_ERROR_CODES.SIGNALLING_HANDSHAKE_FAILURE, 'Failed handshaking with signaling server', true],
+    [RTC_ERRORS.USER_BUSY]: [SignalingError, RTC_ERROR_CODES.USER_BUSY, 'User is busy in another session', false],
+    [RTC_ERRORS.CALL_NOT_FOUND]: [SignalingError, RTC_ERROR_CODES.CALL_NOT_FOUND, 'Call not found by signaling server', false],
+    [RTC_ERRORS.RESUME_FAILURE]: [SignalingError, RTC_ERROR_CODES.RESUME_FAILURE, 'Failed resuming the call', false],
+    [RTC_ERRORS.CREATE_OFFER_FAILURE]: [NegotiationError, RTC_ERROR_CODES.CREATE_OFFER_FAILURE, 'Failed creating offer', false],
+    [RTC_ERRORS.CREATE_ANSWER_FAILURE]: [NegotiationError, RTC_ERROR_CODES.CREATE_ANSWER_FAILURE, 'Failed creating answer', false],
+    [RTC_ERRORS.SET_LOCAL_DESCRIPTION_FAILURE]: [NegotiationError, RTC_ERROR_CODES.SET_LOCAL_DESCRIPTION_FAILURE, 'Failed applying local SDP', false],
+    [RTC_ERRORS.SET_REMOTE_DESCRIPTION_FAILURE]: [NegotiationError, RTC_ERROR_CODES.SET_REMOTE_DESCRIPTION_FAILURE, 'Failed applying remote SDP', false],
+    [RTC_ERRORS.INVALID_REMOTE_SDP]: [NegotiationError, RTC_ERROR_CODES.INVALID_REMOTE_SDP, 'Remote SDP is missing or invalid', false],
+    [RTC_ERRORS.ICE_COLLECTION_TIMEOUT]: [IceError, RTC_ERROR_CODES.ICE_COLLECTION_TIMEOUT, 'No ICE candidate collected before timeout', true],
+    [RTC_ERRORS.NO_REMOTE_ICE_CANDIDATE]: [IceError, RTC_ERROR_CODES.NO_REMOTE_ICE_CANDIDATE, 'No ICE candidate received from signaling server', false],
+    [RTC_ERRORS.ICE_RESTART_FAILURE]: [IceError, RTC_ERROR_CODES.ICE_RESTART_FAILURE, 'Media path lost and ICE restart failed', true],
+    [RTC_ERRORS.CALL_CANCELLED]: [CallEndedError, RTC_ERROR_CODES.CALL_CANCELLED, 'Call cancelled before it was connected', false]
+};
+
+/**
+ * Build RtcError of the failure.
+ * @param {string} reason One of RTC_ERRORS
+ * @param {string} state Name of the state the session failed in
+ * @param {*} cause The error leading to the failure (optional)
+ */
+export function createRtcError(reason, state, cause) {
+    var definition = RTC_ERROR_DEFINITIONS[reason];
+    if (!definition) {
+        return new RtcError(reason, reason, reason, false, state, cause);
+    }
+    var [ErrorClass, code, msg, retryable] = definition;
+    return new ErrorClass(code, msg, reason, retryable, state, cause);
+}
+
+/**
+ * Build RtcError of the session ended without failure before the call was connected, e.g. incoming call rejected.
+ * @param {string} state Name of the state the session ended in
+ */
+export function createSessionEndedError(state) {
+    return new CallEndedError(RTC_ERROR_CODES.SESSION_ENDED, 'Session ended before the call was connected', null, false, state);
+}
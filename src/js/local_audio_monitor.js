@@ -0,0 +1,139 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+import { DEFAULT_LOCAL_AUDIO_MONITOR_OPTIONS } from './rtc_const';
+import { AudioLevelMeter } from './audio_level_meter';
+
+/**
+ * How often microphone level is sampled.
+ */
+var SAMPLE_INTERVAL_MS = 50;
+
+/**
+ * Monitors microphone level of the call: notifies the level periodically, notifies voice heard while the microphone is muted
+ * (i.e. the track is disabled) and tells if the microphone was silent all the time.
+ */
+export class LocalAudioMonitor {
+    /**
+     * @param {Object} options Override DEFAULT_LOCAL_AUDIO_MONITOR_OPTIONS (optional)
+     */
+    constructor(options) {
+        this._options = Object.assign({}, DEFAULT_LOCAL_AUDIO_MONITOR_OPTIONS, options);
+        this._levelHandler =
+            this._speakingWhileMutedHandler = function noOp() {
+            };
+        this._maxLevel = 0;
+        this._peakLevel = 0;
+        this._lastLevelTime = 0;
+        this._resetMutedSpeech();
+    }
+    /**
+     * Called every levelIntervalMillis with the peak level since the previous call.
+     */
+    set onLevel(handler) {
+        this._levelHandler = handler;
+    }
+    /**
+     * Called with current level once voice is heard for speakingMillis while the microphone is muted, again only after it's unmuted and muted again.
+     */
+    set onSpeakingWhileMuted(handler) {
+        this._speakingWhileMutedHandler = handler;
+    }
+    /**
+     * Current level between 0 and 1, heard no matter if the microphone is muted or not.
+     */
+    get level() {
+        return this._meter ? this._meter.level : 0;
+    }
+    /**
+     * Highest level since start.
+     */
+    get maxLevel() {
+        return this._maxLevel;
+    }
+    /**
+     * Tells if the level never went above silenceThreshold since start.
+     */
+    get silent() {
+        return this._maxLevel < this._options.silenceThreshold;
+    }
+    /**
+     * Start monitoring the microphone track, or move on to another one (e.g. after switching input device) keeping levels heard so far.
+     * @param {MediaStreamTrack} track Local audio track sent to the other end
+     */
+    start(track) {
+        var self = this;
+        self._stopMeter();
+        self._track = track;
+        //disabled track feeds silence to WebAudio, analyse an enabled clone of it to hear the agent while muted
+        self._analysedTrack = track.clone();
+        self._analysedTrack.enabled = true;
+        self._meter = self._createAudioLevelMeter();
+        self._meter.start(self._createMediaStream([self._analysedTrack]));
+        if (!self._sampleTimer) {
+            self._sampleTimer = setInterval(() => self._sample(), SAMPLE_INTERVAL_MS);
+        }
+    }
+    stop() {
+        clearInterval(this._sampleTimer);
+        this._sampleTimer = null;
+        this._stopMeter();
+        this._track = null;
+    }
+    _stopMeter() {
+        if (this._meter) {
+            this._meter.stop();
+            this._meter = null;
+        }
+        if (this._analysedTrack) {
+            this._analysedTrack.stop();
+            this._analysedTrack = null;
+        }
+    }
+    _sample() {
+        var level = this.level;
+        var now = Date.now();
+        this._maxLevel = Math.max(this._maxLevel, level);
+        this._peakLevel = Math.max(this._peakLevel, level);
+        if (now - this._lastLevelTime >= this._options.levelIntervalMillis) {
+            this._lastLevelTime = now;
+            var peakLevel = this._peakLevel;
+            this._peakLevel = 0;
+            this._levelHandler(peakLevel);
+        }
+        if (!this._track || this._track.enabled) {
+            this._resetMutedSpeech();
+        } else if (level >= this._options.speakingThreshold) {
+            this._onMutedSpeech(level, now);
+        } else if (this._mutedSpeechStart !== null && now - this._lastMutedSpeechTime > this._options.speakingMillis) {
+            this._mutedSpeechStart = null;
+        }
+    }
+    _onMutedSpeech(level, now) {
+        if (this._mutedSpeechStart === null) {
+            this._mutedSpeechStart = now;
+        }
+        this._lastMutedSpeechTime = now;
+        if (!this._mutedSpeechNotified && now - this._mutedSpeechStart >= this._options.speakingMillis) {
+            this._mutedSpeechNotified = true;
+            this._speakingWhileMutedHandler(level);
+        }
+    }
+    _resetMutedSpeech() {
+        this._mutedSpeechStart = null;
+        this._lastMutedSpeechTime = null;
+        this._mutedSpeechNotified = false;
+    }
+    _createAudioLevelMeter() {
+        return new AudioLevelMeter();
+    }
+    _createMediaStream(tracks) {
+        return new MediaStream(tracks);
+    }
+}
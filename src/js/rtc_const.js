@@ -16,6 +16,17 @@ export const MAX_ACCEPT_BYE_DELAY_MS = 2000;
  * Timeout waiting for server response to invite.
  */
 export const MAX_INVITE_DELAY_MS = 5000;
+/**
+ * Default timeout of JSON-RPC requests sent to the server by method, methods not listed here use the default entry.
+ */
+export const DEFAULT_RPC_TIMEOUTS_MS = {
+    invite: MAX_INVITE_DELAY_MS,
+    reinvite: MAX_INVITE_DELAY_MS,
+    accept: MAX_ACCEPT_BYE_DELAY_MS,
+    bye: MAX_ACCEPT_BYE_DELAY_MS,
+    cancel: MAX_ACCEPT_BYE_DELAY_MS,
+    default: MAX_INVITE_DELAY_MS
+};
 /**
  *  Default timeout on opening WebSocket connection.
  */
@@ -28,6 +39,92 @@ export const DEFAULT_ICE_TIMEOUT_MS = 8000;
  * Default gum timeout in milliseconds to be enforced during start of a call.
  */
 export const DEFAULT_GUM_TIMEOUT_MS = 10000;
+/**
+ * Default time in milliseconds to wait for a lost ICE connection to recover by itself before restarting ICE, also the time each ICE restart gets to reconnect.
+ */
+export const DEFAULT_ICE_RESTART_GRACE_PERIOD_MS = 5000;
+/**
+ * Default number of ICE restart attempts before giving up the call.
+ */
+export const DEFAULT_MAX_ICE_RESTART_ATTEMPTS = 2;
+/**
+ * Default policy of reconnecting signaling channel lost in the middle of the call.
+ * First attempt is made right away, then delay grows exponentially from initialDelayMillis up to maxDelayMillis, randomized by up to jitter (fraction of the delay).
+ * Reconnecting gives up after maxAttempts or when totalBudgetMillis is spent, whichever comes first.
+ */
+export const DEFAULT_RECONNECT_POLICY = {
+    maxAttempts: 5,
+    initialDelayMillis: 500,
+    maxDelayMillis: 8000,
+    multiplier: 2,
+    jitter: 0.5,
+    totalBudgetMillis: 30000
+};
+/**
+ * Default options of signaling heartbeat (opt-in). A request of given method is sent every intervalMillis while the call is established,
+ * the connection is considered dead if nothing is received from the server for missThreshold intervals in a row.
+ */
+export const DEFAULT_HEARTBEAT_OPTIONS = {
+    method: 'ping',
+    intervalMillis: 10000,
+    missThreshold: 2
+};
+/**
+ * Default options of monitoring microphone level while the call is established (see LocalAudioMonitor).
+ * levelIntervalMillis - how often local audio level is notified, with the peak level since the previous notification.
+ * speakingThreshold - level (0 to 1) considered as voice.
+ * speakingMillis - how long voice has to be heard while microphone is muted before it's notified, pauses shorter than this don't count as end of speech.
+ * silenceThreshold - level (0 to 1) below which microphone is considered silent.
+ */
+export const DEFAULT_LOCAL_AUDIO_MONITOR_OPTIONS = {
+    levelIntervalMillis: 250,
+    speakingThreshold: 0.02,
+    speakingMillis: 500,
+    silenceThreshold: 0.002
+};
+/**
+ * Default options of call recording (see CallRecorder).
+ * mimeType - container and codecs of the recording, e.g. 'audio/webm;codecs=opus', browser default if null.
+ * timesliceMillis - deliver the recording in chunks of about this length as it's recorded, instead of a single Blob once stopped.
+ * audioBitsPerSecond, videoBitsPerSecond - encoding bitrate, browser default if null.
+ */
+export const DEFAULT_RECORDING_OPTIONS = {
+    mimeType: null,
+    timesliceMillis: null,
+    audioBitsPerSecond: null,
+    videoBitsPerSecond: null
+};
+/**
+ * What video encoder gives up first when bandwidth or CPU is short, see RtcSession.setVideoSenderParameters.
+ */
+export const DEGRADATION_PREFERENCES = {
+    MAINTAIN_FRAMERATE: 'maintain-framerate',
+    MAINTAIN_RESOLUTION: 'maintain-resolution',
+    BALANCED: 'balanced'
+};
+/**
+ * Policies of moving the live call to another device when devices change (see DeviceManager).
+ * NONE - never switch automatically.
+ * NEW_DEVICE - switch to the device just plugged in, e.g. a headset.
+ * DEFAULT_DEVICE - follow the OS default device.
+ */
+export const DEVICE_SWITCH_POLICIES = {
+    NONE: 'none',
+    NEW_DEVICE: 'newDevice',
+    DEFAULT_DEVICE: 'defaultDevice'
+};
+/**
+ * Default device switch policy by kind of device, nothing is switched unless opted in.
+ */
+export const DEFAULT_DEVICE_SWITCH_POLICY = {
+    audioinput: DEVICE_SWITCH_POLICIES.NONE,
+    audiooutput: DEVICE_SWITCH_POLICIES.NONE,
+    videoinput: DEVICE_SWITCH_POLICIES.NONE
+};
+/**
+ * Prefix of the keys persisted call data is stored under (see SessionStorageStore), followed by call id.
+ */
+export const SESSION_STORE_KEY_PREFIX = 'connect-rtc-session-';
 
 /**
  * RTC error names.
@@ -44,5 +141,159 @@ export const RTC_ERRORS = {
      NO_REMOTE_ICE_CANDIDATE : 'No Remote ICE Candidate',
      GUM_TIMEOUT_FAILURE : 'GUM Timeout Failure',
      GUM_OTHER_FAILURE : 'GUM Other Failure',
-     CALL_NOT_FOUND: 'Call Not Found'
-};
\ No newline at end of file
+     CALL_NOT_FOUND: 'Call Not Found',
+     CREATE_ANSWER_FAILURE : 'Create Answer Failure',
+     ICE_RESTART_FAILURE : 'ICE Restart Failure',
+     CALL_CANCELLED : 'Call Cancelled',
+     RESUME_FAILURE : 'Resume Failure'
+};
+
+/**
+ * Stable codes of RtcError, one for each of RTC_ERRORS plus SESSION_ENDED for session ended without failure before the call was connected.
+ */
+export const RTC_ERROR_CODES = {
+     ICE_COLLECTION_TIMEOUT : 'ICE_COLLECTION_TIMEOUT',
+     USER_BUSY : 'USER_BUSY',
+     SIGNALLING_CONNECTION_FAILURE : 'SIGNALLING_CONNECTION_FAILURE',
+     SIGNALLING_HANDSHAKE_FAILURE : 'SIGNALLING_HANDSHAKE_FAILURE',
+     SET_REMOTE_DESCRIPTION_FAILURE : 'SET_REMOTE_DESCRIPTION_FAILURE',
+     CREATE_OFFER_FAILURE : 'CREATE_OFFER_FAILURE',
+     SET_LOCAL_DESCRIPTION_FAILURE : 'SET_LOCAL_DESCRIPTION_FAILURE',
+     INVALID_REMOTE_SDP : 'INVALID_REMOTE_SDP',
+     NO_REMOTE_ICE_CANDIDATE : 'NO_REMOTE_ICE_CANDIDATE',
+     GUM_TIMEOUT_FAILURE : 'GUM_TIMEOUT_FAILURE',
+     GUM_OTHER_FAILURE : 'GUM_OTHER_FAILURE',
+     CALL_NOT_FOUND : 'CALL_NOT_FOUND',
+     CREATE_ANSWER_FAILURE : 'CREATE_ANSWER_FAILURE',
+     ICE_RESTART_FAILURE : 'ICE_RESTART_FAILURE',
+     CALL_CANCELLED : 'CALL_CANCELLED',
+     RESUME_FAILURE : 'RESUME_FAILURE',
+     SESSION_ENDED : 'SESSION_ENDED'
+};
+
+/**
+ * Reason codes for rejecting an incoming call or re-invite, sent to the server as JSON-RPC error code in response to the invite.
+ */
+export const REJECT_REASONS = {
+     TEMPORARILY_UNAVAILABLE : 480,
+     BUSY : 486,
+     NOT_ACCEPTABLE : 488,
+     REQUEST_PENDING : 491,
+     DECLINE : 603
+};
+/**
+ * Lifecycle events of RtcSession, see RtcSession.on().
+ * Payload of each event is an object with type and rtcSession fields, plus the fields listed next to the event.
+ */
+export const RTC_SESSION_EVENTS = {
+     GUM_SUCCESS : 'gumSuccess',
+     GUM_ERROR : 'gumError', // error
+     SESSION_FAILED : 'sessionFailed', // error (RtcError)
+     LOCAL_STREAM_ADDED : 'localStreamAdded', // stream
+     SESSION_INITIALIZED : 'sessionInitialized', // initializationTime (millis)
+     SIGNALING_CONNECTED : 'signalingConnected',
+     ICE_COLLECTION_COMPLETE : 'iceCollectionComplete', // timeout (boolean), candidateCount
+     INCOMING_CALL : 'incomingCall', // callerInfo
+     SIGNALING_STARTED : 'signalingStarted',
+     SESSION_CONNECTED : 'sessionConnected',
+     REMOTE_STREAM_ADDED : 'remoteStreamAdded', // stream
+     RENEGOTIATED : 'renegotiated',
+     RENEGOTIATION_FAILED : 'renegotiationFailed', // error
+     RECONNECTING : 'reconnecting', // attempt, delayMillis
+     RECONNECTED : 'reconnected',
+     SESSION_COMPLETED : 'sessionCompleted',
+     SESSION_DESTROYED : 'sessionDestroyed', // sessionReport
+     STATE_CHANGE : 'stateChange', // from, to (RTC_SESSION_STATES, from is null for the first state), timestamp (Date)
+     LOCAL_AUDIO_LEVEL : 'localAudioLevel', // level (0 to 1)
+     SPEAKING_WHILE_MUTED : 'speakingWhileMuted', // level (0 to 1)
+     RECORDING_DATA : 'recordingData', // data (Blob chunk, only when recording with timesliceMillis)
+     RECORDING_STOPPED : 'recordingStopped', // recording (Blob of the whole recording, null when recorded with timesliceMillis)
+     RECORDING_ERROR : 'recordingError', // error
+     SCREEN_SHARE_STARTED : 'screenShareStarted', // stream
+     SCREEN_SHARE_STOPPED : 'screenShareStopped' // endedByUser (boolean, TRUE if sharing was stopped from browser UI)
+};
+
+/**
+ * Sources of SessionReport.timeline entries.
+ */
+export const TIMELINE_SOURCES = {
+     SESSION : 'session',
+     SIGNALING : 'signaling',
+     ICE : 'ice',
+     PEER_CONNECTION : 'peerConnection'
+};
+
+/**
+ * Names of RtcSession states, see RtcSession.state.
+ */
+export const RTC_SESSION_STATES = {
+     GRAB_LOCAL_MEDIA : 'GrabLocalMediaState',
+     CREATE_OFFER : 'CreateOfferState',
+     SET_LOCAL_SESSION_DESCRIPTION : 'SetLocalSessionDescriptionState',
+     CONNECT_SIGNALING_AND_ICE_COLLECTION : 'ConnectSignalingAndIceCollectionState',
+     INVITE_ANSWER : 'InviteAnswerState',
+     ACCEPT : 'AcceptState',
+     PENDING_INCOMING_CALL : 'PendingIncomingCallState',
+     RINGING : 'RingingState',
+     CREATE_ANSWER : 'CreateAnswerState',
+     SET_LOCAL_ANSWER_DESCRIPTION : 'SetLocalAnswerDescriptionState',
+     ANSWER_ICE_COLLECTION : 'AnswerIceCollectionState',
+     SEND_ANSWER : 'SendAnswerState',
+     TALKING : 'TalkingState',
+     RENEGOTIATING : 'RenegotiatingState',
+     RESUME_SIGNALING : 'ResumeSignalingState',
+     RESUME_MEDIA : 'ResumeMediaState',
+     ICE_RESTART : 'IceRestartState',
+     REMOTE_RENEGOTIATING : 'RemoteRenegotiatingState',
+     DISCONNECTED : 'DisconnectedState',
+     FAILED : 'FailedState'
+};
+
+/**
+ * Names of signaling channel states, see AmznRtcSignaling.stateName.
+ */
+export const SIGNALING_STATES = {
+     PENDING_CONNECT : 'PendingConnectState',
+     PENDING_INVITE : 'PendingInviteState',
+     PENDING_ANSWER : 'PendingAnswerState',
+     PENDING_INCOMING_INVITE : 'PendingIncomingInviteState',
+     PENDING_LOCAL_ANSWER : 'PendingLocalAnswerState',
+     PENDING_ACCEPT : 'PendingAcceptState',
+     PENDING_ACCEPT_ACK : 'PendingAcceptAckState',
+     TALKING : 'TalkingState',
+     PENDING_REINVITE_ANSWER : 'PendingReinviteAnswerState',
+     PENDING_LOCAL_REINVITE_ANSWER : 'PendingLocalReinviteAnswerState',
+     PENDING_RESUME : 'PendingResumeState',
+     PENDING_RECONNECT : 'PendingReconnectState',
+     PENDING_REMOTE_HANGUP : 'PendingRemoteHangupState',
+     PENDING_LOCAL_HANGUP : 'PendingLocalHangupState',
+     DISCONNECTED : 'DisconnectedState',
+     FAILED : 'FailedState'
+};
+
+/**
+ * Status of each check in the report of Diagnostics.run(), the report status is the worst of all checks.
+ */
+export const DIAGNOSTIC_STATUS = {
+     PASS : 'pass',
+     WARN : 'warn',
+     FAIL : 'fail'
+};
+
+/**
+ * Default options of Diagnostics.
+ * checkCamera - check camera capture and video codecs as well, camera failure is reported as a warning.
+ * gumTimeoutMillis - time limit of each getUserMedia call.
+ * iceTimeoutMillis - time limit of ICE gathering against each TURN server URL.
+ * signalingTimeoutMillis - time limit of opening the signaling WebSocket.
+ * inputLevelMillis - how long microphone input level is measured.
+ * minInputLevel - input level (0 to 1) below which the microphone is considered silent.
+ */
+export const DEFAULT_DIAGNOSTICS_OPTIONS = {
+    checkCamera: true,
+    gumTimeoutMillis: DEFAULT_GUM_TIMEOUT_MS,
+    iceTimeoutMillis: DEFAULT_ICE_TIMEOUT_MS,
+    signalingTimeoutMillis: DEFAULT_CONNECT_TIMEOUT_MS,
+    inputLevelMillis: 1000,
+    minInputLevel: 0.01
+};
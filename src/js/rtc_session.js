@@ -7,14 +7,17 @@
  *
  * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
  */
-import { hitch, wrapLogger, closeStream, SdpOptions, transformSdp } from './utils';
+import { hitch, wrapLogger, closeStream, grabLocalMedia, IceCandidateTracker, SdpOptions, transformSdp, setVideoBandwidth } from './utils';
 import { SessionReport } from './session_report';
-import { DEFAULT_ICE_TIMEOUT_MS, DEFAULT_GUM_TIMEOUT_MS, RTC_ERRORS } from './rtc_const';
-import { UnsupportedOperation, IllegalParameters, IllegalState, GumTimeout, BusyExceptionName, CallNotFoundExceptionName } from './exceptions';
+import { DEFAULT_ICE_TIMEOUT_MS, DEFAULT_GUM_TIMEOUT_MS, DEFAULT_ICE_RESTART_GRACE_PERIOD_MS, DEFAULT_MAX_ICE_RESTART_ATTEMPTS, RTC_ERRORS, REJECT_REASONS, RTC_SESSION_EVENTS, RTC_SESSION_STATES, SIGNALING_STATES, TIMELINE_SOURCES } from './rtc_const';
+import { EventEmitter } from './event_emitter';
+import { UnsupportedOperation, IllegalParameters, IllegalState, Timeout, GumTimeout, BusyExceptionName, CallNotFoundExceptionName, createRtcError, createSessionEndedError } from './exceptions';
 import RtcSignaling from './signaling';
 import uuid from 'uuid/v4';
 import {extractMediaStatsFromStats} from './rtp-stats';
-import { parseCandidate } from 'sdp';
+import { LocalAudioMonitor } from './local_audio_monitor';
+import { AudioProcessingChain } from './audio_processing_chain';
+import { CallRecorder } from './call_recorder';
 
 export class RTCSessionState {
     /**
@@ -39,12 +42,45 @@ export class RTCSessionState {
     get logger() {
         return this._rtcSession._logger;
     }
+    /**
+     * Local hangup before the call is established. Signaling (if created) cancels the outstanding invite or says bye,
+     * the session fails with CALL_CANCELLED. Established and terminal states override.
+     */
     hangup() {
-        this.transit(new FailedState(this._rtcSession));
+        var rtcSession = this._rtcSession;
+        rtcSession._sessionReport.callCancelled = true;
+        if (rtcSession._signalingChannel) {
+            rtcSession._signalingChannel.hangup();
+        }
+        this.transit(new FailedState(rtcSession, RTC_ERRORS.CALL_CANCELLED));
+    }
+    onIceCandidate(evt) {
+        //ConnectSignalingAndIceCollectionState overrides to collect candidates, but collecting process could last much longer than ConnectSignalingAndIceCollectionState
+        //ignore candidate by default (we don't want to spam the console log), unless trickle ICE is enabled, in which case it's sent to the server as is
+        if (this._rtcSession._trickleIce && this._rtcSession._signalingChannel) {
+            this._rtcSession._signalingChannel.sendCandidate(evt.candidate || null);
+        }
+    }
+    /**
+     * Trickle ICE only. Add remote candidate if remote description is already set, states expecting remote description override to keep it for later.
+     */
+    onRemoteCandidate(candidate) {
+        var self = this;
+        var pc = self._rtcSession._pc;
+        if (!candidate) {
+            self.logger.log('End of remote candidates');
+        } else if (pc && pc.remoteDescription) {
+            var remoteCandidate = self._createRemoteCandidate(candidate);
+            self.logger.info('Adding remote candidate', remoteCandidate);
+            pc.addIceCandidate(remoteCandidate).catch(e => {
+                self.logger.warn('Error adding remote candidate', e);
+            });
+        } else {
+            self.logger.warn('Ignoring remote candidate received in ' + self.name, candidate);
+        }
     }
-    onIceCandidate(evt) {// eslint-disable-line no-unused-vars
-        //ignore candidate by default, ConnectSignalingAndIceCollectionState will override to collect candidates, but collecting process could last much longer than ConnectSignalingAndIceCollectionState
-        //we don't want to spam the console log
+    _createRemoteCandidate(initDict) {
+        return new RTCIceCandidate(initDict);
     }
     onRemoteHungup() {
         throw new UnsupportedOperation('onRemoteHungup not implemented by ' + this.name);
@@ -63,30 +99,257 @@ export class RTCSessionState {
     }
     onIceStateChange(evt) {// eslint-disable-line no-unused-vars
     }
+    onSignalingInvited(sdp, candidates, callerInfo) {// eslint-disable-line no-unused-vars
+        throw new UnsupportedOperation('onSignalingInvited not implemented by ' + this.name);
+    }
+    onSignalingReinvited(sdp, candidates) {// eslint-disable-line no-unused-vars
+        throw new UnsupportedOperation('onSignalingReinvited not implemented by ' + this.name);
+    }
+    onSignalingReinviteAnswered(sdp, candidates) {// eslint-disable-line no-unused-vars
+        throw new UnsupportedOperation('onSignalingReinviteAnswered not implemented by ' + this.name);
+    }
+    onSignalingReinviteFailed(e) {// eslint-disable-line no-unused-vars
+        throw new UnsupportedOperation('onSignalingReinviteFailed not implemented by ' + this.name);
+    }
+    accept() {
+        throw new IllegalState('accept not supported by ' + this.name);
+    }
+    reject(reasonCode) {// eslint-disable-line no-unused-vars
+        throw new IllegalState('reject not supported by ' + this.name);
+    }
+    renegotiate() {
+        throw new IllegalState('renegotiate not supported by ' + this.name);
+    }
+    addLocalVideo() {
+        return Promise.reject(new IllegalState('addLocalVideo not supported by ' + this.name));
+    }
+    switchInput(kind, deviceId) {// eslint-disable-line no-unused-vars
+        return Promise.reject(new IllegalState('switchInput not supported by ' + this.name));
+    }
+    startRecording(options) {// eslint-disable-line no-unused-vars
+        throw new IllegalState('startRecording not supported by ' + this.name);
+    }
+    startScreenShare() {
+        return Promise.reject(new IllegalState('startScreenShare not supported by ' + this.name));
+    }
+}
+
+/**
+ * Inbound call states fail before the invite is answered, reject the invite so that the server doesn't wait for an answer that will never come.
+ * @param {RtcSession} rtcSession
+ * @param {RTCSessionState} nextState
+ */
+function rejectInviteOnFailure(rtcSession, nextState) {
+    if (nextState instanceof FailedState) {
+        rtcSession._signalingChannel.reject(REJECT_REASONS.NOT_ACCEPTABLE, 'Failed answering the call');
+    }
+}
+
+/**
+ * Inbound call. Caller hung up while the call is being answered, ack the bye and give up answering.
+ * @param {RTCSessionState} state Current answering state
+ */
+function cancelAnswer(state) {
+    var rtcSession = state._rtcSession;
+    state.logger.info('Caller hung up before the call is answered');
+    rtcSession._signalingChannel.hangup();
+    state.transit(new FailedState(rtcSession, RTC_ERRORS.CALL_CANCELLED));
+}
+
+/**
+ * Build SDP transformation options from user settings, applied to every local SDP (initial offer/answer and renegotiations).
+ * @param {RtcSession} rtcSession
+ */
+function buildSdpOptions(rtcSession) {
+    var sdpOptions = new SdpOptions();
+    // Set audio codec.
+    if (rtcSession._forceAudioCodec) {
+        sdpOptions.forceCodec['audio'] = rtcSession._forceAudioCodec;
+    }
+    // Set video codec.
+    if (rtcSession._forceVideoCodec) {
+        sdpOptions.forceCodec['video'] = rtcSession._forceVideoCodec;
+    }
+    sdpOptions.enableOpusDtx = rtcSession._enableOpusDtx;
+    return sdpOptions;
+}
+
+/**
+ * Add local stream to peer connection, one sendrecv transceiver per track, audio first so that m lines come in the order Connect media servers expect.
+ * Inbound call adds tracks before the remote offer is applied, which only works with addTrack as remote offer doesn't pick up transceivers created by addTransceiver.
+ * @param {RtcSession} rtcSession
+ * @param {MediaStream} stream
+ */
+function addLocalStream(rtcSession, stream) {
+    var pc = rtcSession._pc;
+    stream.getAudioTracks().concat(stream.getVideoTracks()).forEach(track => {
+        track = sentTrack(rtcSession, track);
+        if (rtcSession._inbound) {
+            pc.addTrack(track, stream);
+        } else {
+            pc.addTransceiver(track, {
+                direction: 'sendrecv',
+                streams: [stream]
+            });
+        }
+    });
+    rtcSession._onLocalStreamAdded(rtcSession, stream);
+}
+
+/**
+ * Track sent to the other end for given local track, i.e. output of audio processing chain if the track goes through it,
+ * or screen track if camera is replaced by screen share.
+ * @param {RtcSession} rtcSession
+ * @param {MediaStreamTrack} track Track of local stream
+ */
+function sentTrack(rtcSession, track) {
+    var chain = rtcSession._audioProcessingChain;
+    if (chain && chain.inputTrack === track) {
+        return chain.outputTrack;
+    }
+    if (rtcSession._screenShareStream && track.kind === 'video') {
+        return rtcSession._screenShareStream.getVideoTracks()[0];
+    }
+    return track;
+}
+
+/**
+ * Build a new audio processing chain of current processors on given microphone track.
+ * @param {RtcSession} rtcSession
+ * @param {MediaStreamTrack} track
+ * @return Promise resolved with the chain, or null if there is no processor.
+ */
+function processAudio(rtcSession, track) {
+    if (!rtcSession._audioProcessors || rtcSession._audioProcessors.length === 0) {
+        return Promise.resolve(null);
+    }
+    var chain = rtcSession._createAudioProcessingChain(rtcSession._audioProcessors);
+    return chain.process(track).then(() => chain);
+}
+
+/**
+ * Replace current audio processing chain of the session (if any) with given one, which could be null.
+ * @param {RtcSession} rtcSession
+ * @param {AudioProcessingChain} chain
+ */
+function swapAudioProcessingChain(rtcSession, chain) {
+    if (rtcSession._audioProcessingChain) {
+        rtcSession._audioProcessingChain.stop();
+    }
+    rtcSession._audioProcessingChain = chain;
 }
+
+/**
+ * Apply video encoding parameters (see RtcSession.setVideoSenderParameters) to every encoding of the sender, null removes the parameter.
+ * @param {RTCRtpSender} sender
+ * @param {Object} parameters
+ */
+function applyVideoSenderParameters(sender, parameters) {
+    var sendParameters = sender.getParameters();
+    (sendParameters.encodings || []).forEach(encoding => {
+        ['maxBitrate', 'maxFramerate', 'scaleResolutionDownBy'].filter(field => typeof parameters[field] !== 'undefined').forEach(field => {
+            if (parameters[field] === null) {
+                delete encoding[field];
+            } else {
+                encoding[field] = parameters[field];
+            }
+        });
+    });
+    if (parameters.degradationPreference) {
+        sendParameters.degradationPreference = parameters.degradationPreference;
+    }
+    return sender.setParameters(sendParameters);
+}
+
+/**
+ * Cap outgoing video bitrate with bandwidth lines in remote SDP, on browsers without RTCRtpSender.setParameters.
+ * @param {RtcSession} rtcSession
+ * @param {string} sdp Remote SDP
+ */
+function limitRemoteVideoBandwidth(rtcSession, sdp) {
+    var maxBitrate = rtcSession._videoSenderParameters && rtcSession._videoSenderParameters.maxBitrate;
+    if (!maxBitrate || !sdp || rtcSession._videoSenders().every(sender => typeof sender.setParameters === 'function')) {
+        return sdp;
+    }
+    return setVideoBandwidth(sdp, maxBitrate);
+}
+
+/**
+ * Find transceiver of given kind of media which is not stopped yet.
+ * @param {RTCPeerConnection} pc
+ * @param {string} kind audio|video
+ */
+function findTransceiver(pc, kind) {
+    return pc.getTransceivers().filter(transceiver => !transceiver.stopped && transceiver.receiver.track.kind === kind)[0];
+}
+
+/**
+ * Senders (sending = TRUE) or receivers of given kind of media, only those negotiated to send/receive are included.
+ * @param {RTCPeerConnection} pc
+ * @param {string} kind audio|video
+ * @param {boolean} sending
+ */
+function negotiatedRtpEndpoints(pc, kind, sending) {
+    return pc.getTransceivers().filter(transceiver => {
+        var direction = transceiver.currentDirection || '';
+        if (transceiver.stopped || transceiver.receiver.track.kind !== kind) {
+            return false;
+        }
+        return sending ? !!transceiver.sender.track && direction.indexOf('send') >= 0 : direction.indexOf('recv') >= 0;
+    }).map(transceiver => sending ? transceiver.sender : transceiver.receiver);
+}
+
+/**
+ * One line description of an error for SessionReport.
+ */
+function describeError(e) {
+    return e.name ? e.name + ': ' + e.message : String(e);
+}
+
+/**
+ * Failure reason (one of RTC_ERRORS) followed by the error leading to it.
+ */
+function describeFailure(reason, cause) {
+    return cause ? reason + ' (' + describeError(cause) + ')' : reason;
+}
+
+/**
+ * Route audio played by the element to given output device.
+ * @param {HTMLMediaElement} element
+ * @param {string} deviceId Audio output device id, see MediaDevices.enumerateDevices()
+ * @return Promise rejected with UnsupportedOperation if the browser doesn't support output device selection.
+ */
+function applyAudioOutputDevice(element, deviceId) {
+    if (typeof element.setSinkId !== 'function') {
+        return Promise.reject(new UnsupportedOperation('Audio output device selection is not supported by this browser'));
+    }
+    return element.setSinkId(deviceId);
+}
+
 export class GrabLocalMediaState extends RTCSessionState {
     onEnter() {
         var self = this;
         var startTime = Date.now();
         if (self._rtcSession._userAudioStream) {
-            self.transit(new CreateOfferState(self._rtcSession));
+            self._processLocalAudio();
         } else {
-            var gumTimeoutPromise = new Promise((resolve, reject) => {
-                setTimeout(() => {
-                    reject(new GumTimeout('Local media has not been initialized yet.'));
-                }, self._rtcSession._gumTimeoutMillis);
-            });
-            var sessionGumPromise = self._gUM(self._rtcSession._buildMediaConstraints());
-
-            Promise.race([sessionGumPromise, gumTimeoutPromise])
+            grabLocalMedia(hitch(self, self._gUM), self._rtcSession._buildMediaConstraints(), self._rtcSession._gumTimeoutMillis)
                 .then(stream => {
+                    if (!self._isCurrentState()) {
+                        //hung up while waiting for media, nobody is going to release the stream
+                        closeStream(stream);
+                        return;
+                    }
                     self._rtcSession._sessionReport.gumTimeMillis = Date.now() - startTime;
                     self._rtcSession._onGumSuccess(self._rtcSession);
                     self._rtcSession._localStream = stream;
                     self._rtcSession._sessionReport.gumOtherFailure = false;
                     self._rtcSession._sessionReport.gumTimeoutFailure = false;
-                    self.transit(new CreateOfferState(self._rtcSession));
+                    self._processLocalAudio();
                 }).catch(e => {
+                    if (!self._isCurrentState()) {
+                        return;
+                    }
                     self._rtcSession._sessionReport.gumTimeMillis = Date.now() - startTime;
                     var errorReason;
                     if (e instanceof GumTimeout) {
@@ -99,24 +362,57 @@ export class GrabLocalMediaState extends RTCSessionState {
                         self._rtcSession._sessionReport.gumTimeoutFailure = false;
                     }
                     self.logger.error('Local media initialization failed', e);
-                    self._rtcSession._onGumError(self._rtcSession);
-                    self.transit(new FailedState(self._rtcSession, errorReason));
+                    self._rtcSession._onGumError(self._rtcSession, e);
+                    self.transit(new FailedState(self._rtcSession, errorReason, e));
                 });
         }
     }
     get name() {
-        return "GrabLocalMediaState";
+        return RTC_SESSION_STATES.GRAB_LOCAL_MEDIA;
+    }
+    /**
+     * Put microphone audio through audio processors (if any) before moving on, unprocessed audio is sent if the chain fails.
+     */
+    _processLocalAudio() {
+        var self = this;
+        var rtcSession = self._rtcSession;
+        var hasProcessors = rtcSession._audioProcessors && rtcSession._audioProcessors.length > 0;
+        var audioTrack = hasProcessors && rtcSession._localStream && rtcSession._localStream.getAudioTracks()[0];
+        if (!audioTrack) {
+            self.transit(self._createNextState());
+            return;
+        }
+        processAudio(rtcSession, audioTrack).catch(e => {
+            self.logger.warn('Failed processing local audio, sending unprocessed audio', e);
+            return null;
+        }).then(chain => {
+            if (!self._isCurrentState()) {
+                if (chain) {
+                    chain.stop();
+                }
+                return;
+            }
+            swapAudioProcessingChain(rtcSession, chain);
+            self.transit(self._createNextState());
+        });
     }
     _gUM(constraints) {
         return navigator.mediaDevices.getUserMedia(constraints);
     }
+    _createNextState() {
+        if (this._rtcSession._resumedSession) {
+            return new ResumeSignalingState(this._rtcSession);
+        }
+        if (this._rtcSession._inbound) {
+            return new PendingIncomingCallState(this._rtcSession);
+        }
+        return new CreateOfferState(this._rtcSession);
+    }
 }
 export class CreateOfferState extends RTCSessionState {
     onEnter() {
         var self = this;
-        var stream = self._rtcSession._localStream;
-        self._rtcSession._pc.addStream(stream);
-        self._rtcSession._onLocalStreamAdded(self._rtcSession, stream);
+        addLocalStream(self._rtcSession, self._rtcSession._localStream);
         self._rtcSession._pc.createOffer().then(rtcSessionDescription => {
             self._rtcSession._localSessionDescription = rtcSessionDescription;
             self._rtcSession._sessionReport.createOfferFailure = false;
@@ -124,11 +420,11 @@ export class CreateOfferState extends RTCSessionState {
         }).catch(e => {
             self.logger.error('CreateOffer failed', e);
             self._rtcSession._sessionReport.createOfferFailure = true;
-            self.transit(new FailedState(self._rtcSession, RTC_ERRORS.CREATE_OFFER_FAILURE));
+            self.transit(new FailedState(self._rtcSession, RTC_ERRORS.CREATE_OFFER_FAILURE, e));
         });
     }
     get name() {
-        return "CreateOfferState";
+        return RTC_SESSION_STATES.CREATE_OFFER;
     }
 }
 export class SetLocalSessionDescriptionState extends RTCSessionState {
@@ -137,18 +433,7 @@ export class SetLocalSessionDescriptionState extends RTCSessionState {
 
         // fix/modify SDP as needed here, before setLocalDescription
         var localDescription = self._rtcSession._localSessionDescription;
-        var sdpOptions = new SdpOptions();
-        // Set audio codec.
-        if (self._rtcSession._forceAudioCodec) {
-            sdpOptions.forceCodec['audio'] = self._rtcSession._forceAudioCodec;
-        }
-        // Set video codec.
-        if (self._rtcSession._forceVideoCodec) {
-            sdpOptions.forceCodec['video'] = self._rtcSession._forceVideoCodec;
-        }
-        sdpOptions.enableOpusDtx = self._rtcSession._enableOpusDtx;
-
-        var transformedSdp = transformSdp(localDescription.sdp, sdpOptions);
+        var transformedSdp = transformSdp(localDescription.sdp, buildSdpOptions(self._rtcSession));
         localDescription.sdp = transformedSdp.sdp;
 
         self.logger.info('LocalSD', self._rtcSession._localSessionDescription);
@@ -157,15 +442,18 @@ export class SetLocalSessionDescriptionState extends RTCSessionState {
             self._rtcSession._sessionReport.initializationTimeMillis = initializationTime;
             self._rtcSession._onSessionInitialized(self._rtcSession, initializationTime);
             self._rtcSession._sessionReport.setLocalDescriptionFailure = false;
-            self.transit(new ConnectSignalingAndIceCollectionState(self._rtcSession, transformedSdp.mLines));
+            self.transit(self._createNextState(transformedSdp.mLines));
         }).catch(e => {
             self.logger.error('SetLocalDescription failed', e);
             self._rtcSession._sessionReport.setLocalDescriptionFailure = true;
-            self.transit(new FailedState(self._rtcSession, RTC_ERRORS.SET_LOCAL_DESCRIPTION_FAILURE));
+            self.transit(new FailedState(self._rtcSession, RTC_ERRORS.SET_LOCAL_DESCRIPTION_FAILURE, e));
         });
     }
     get name() {
-        return "SetLocalSessionDescriptionState";
+        return RTC_SESSION_STATES.SET_LOCAL_SESSION_DESCRIPTION;
+    }
+    _createNextState(mLines) {
+        return new ConnectSignalingAndIceCollectionState(this._rtcSession, mLines);
     }
 }
 
@@ -183,19 +471,21 @@ export class ConnectSignalingAndIceCollectionState extends RTCSessionState {
     constructor(rtcSession, mLines) {
         super(rtcSession);
         this._iceCandidates = [];
-        this._iceCandidateFoundationsMap = {};
-        this._mLines = mLines;
+        this._iceCandidateTracker = new IceCandidateTracker(mLines);
     }
     onEnter() {
+        this._startTime = Date.now();
+        this._startIceCollectionTimer();
+        this._rtcSession._createSignalingChannel().connect();
+    }
+    _startIceCollectionTimer() {
         var self = this;
-        self._startTime = Date.now();
         setTimeout(() => {
             if (self._isCurrentState() && !self._iceCompleted) {
                 self.logger.warn('ICE collection timed out');
                 self._reportIceCompleted(true);
             }
         }, self._rtcSession._iceTimeoutMillis);
-        self._rtcSession._createSignalingChannel().connect();
     }
     onSignalingConnected() {
         this._rtcSession._signallingConnectTimestamp = Date.now();
@@ -209,7 +499,7 @@ export class ConnectSignalingAndIceCollectionState extends RTCSessionState {
         this._rtcSession._sessionReport.signallingConnectTimeMillis = Date.now() - this._startTime;
         this.logger.error('Failed connecting to signaling server', e);
         this._rtcSession._sessionReport.signallingConnectionFailure = true;
-        this.transit(new FailedState(this._rtcSession, RTC_ERRORS.SIGNALLING_CONNECTION_FAILURE));
+        this.transit(new FailedState(this._rtcSession, RTC_ERRORS.SIGNALLING_CONNECTION_FAILURE, e));
     }
     _createLocalCandidate(initDict) {
         return new RTCIceCandidate(initDict);
@@ -230,22 +520,8 @@ export class ConnectSignalingAndIceCollectionState extends RTCSessionState {
     }
     _checkCandidatesSufficient(candidate) {
         //check if we collected sufficient candidates from single media server to start the call
-        var candidateObj = parseCandidate(candidate.candidate);
-        if (candidateObj.component != 1) {
-            return;
-        }
-        var candidateFoundation = candidateObj.foundation;
-        var candidateMLineIndex = candidate.sdpMLineIndex;
-        if (candidateFoundation && candidateMLineIndex >= 0 && candidateMLineIndex < this._mLines) {
-            var mIndexList = this._iceCandidateFoundationsMap[candidateFoundation] || [];
-            if (!mIndexList.includes(candidateMLineIndex)) {
-                mIndexList.push(candidateMLineIndex);
-            }
-            this._iceCandidateFoundationsMap[candidateFoundation] = mIndexList;
-
-            if (this._mLines == mIndexList.length) {
-                this._reportIceCompleted(false);
-            }
+        if (this._iceCandidateTracker.add(candidate)) {
+            this._reportIceCompleted(false);
         }
     }
     _reportIceCompleted(isTimeout) {
@@ -262,8 +538,9 @@ export class ConnectSignalingAndIceCollectionState extends RTCSessionState {
         }
     }
     _checkAndTransit() {
-        if (this._iceCompleted && this._signalingConnected) {
-            this.transit(new InviteAnswerState(this._rtcSession, this._iceCandidates));
+        if (this._signalingConnected && (this._iceCompleted || this._rtcSession._trickleIce)) {
+            //with trickle ICE, invite goes out as soon as signaling is connected, remaining candidates are sent later
+            this.transit(this._createNextState());
         } else if (!this._iceCompleted) {
             this.logger.log('Pending ICE collection');
         } else {//implies _signalingConnected == false
@@ -271,7 +548,10 @@ export class ConnectSignalingAndIceCollectionState extends RTCSessionState {
         }
     }
     get name() {
-        return "ConnectSignalingAndIceCollectionState";
+        return RTC_SESSION_STATES.CONNECT_SIGNALING_AND_ICE_COLLECTION;
+    }
+    _createNextState() {
+        return new InviteAnswerState(this._rtcSession, this._iceCandidates);
     }
 }
 
@@ -279,6 +559,7 @@ export class InviteAnswerState extends RTCSessionState {
     constructor(rtcSession, iceCandidates) {
         super(rtcSession);
         this._iceCandidates = iceCandidates;
+        this._remoteCandidates = [];
     }
     onEnter() {
         var rtcSession = this._rtcSession;
@@ -286,9 +567,17 @@ export class InviteAnswerState extends RTCSessionState {
         rtcSession._signalingChannel.invite(rtcSession._localSessionDescription.sdp,
             this._iceCandidates);
     }
+    onRemoteCandidate(candidate) {
+        if (candidate) {
+            this._remoteCandidates.push(candidate);
+        }
+    }
     onSignalingAnswered(sdp, candidates) {
         this._rtcSession._sessionReport.userBusyFailure = false;
         this._rtcSession._sessionReport.handshakingFailure = false;
+        if (this._remoteCandidates.length > 0) {
+            candidates = (candidates || []).concat(this._remoteCandidates);
+        }
         this.transit(new AcceptState(this._rtcSession, sdp, candidates));
     }
     onSignalingFailed(e) {
@@ -308,10 +597,10 @@ export class InviteAnswerState extends RTCSessionState {
             this._rtcSession._sessionReport.handshakingFailure = true;
             reason = RTC_ERRORS.SIGNALLING_HANDSHAKE_FAILURE;
         }
-        this.transit(new FailedState(this._rtcSession, reason));
+        this.transit(new FailedState(this._rtcSession, reason, e));
     }
     get name() {
-        return "InviteAnswerState";
+        return RTC_SESSION_STATES.INVITE_ANSWER;
     }
 }
 export class AcceptState extends RTCSessionState {
@@ -323,9 +612,6 @@ export class AcceptState extends RTCSessionState {
     _createSessionDescription(initDict) {
         return new RTCSessionDescription(initDict);
     }
-    _createRemoteCandidate(initDict) {
-        return new RTCIceCandidate(initDict);
-    }
     onEnter() {
         var self = this;
         var rtcSession = self._rtcSession;
@@ -336,6 +622,9 @@ export class AcceptState extends RTCSessionState {
             rtcSession._sessionReport.invalidRemoteSDPFailure = true;
             self.transit(new FailedState(rtcSession, RTC_ERRORS.INVALID_REMOTE_SDP));
             return;
+        } else if (rtcSession._trickleIce) {
+            //remote candidates may all come later
+            self._candidates = self._candidates || [];
         } else if (!self._candidates || self._candidates.length < 1) {
             self.logger.error('No remote ICE candidate');
             rtcSession._stopSession();
@@ -348,12 +637,13 @@ export class AcceptState extends RTCSessionState {
         rtcSession._sessionReport.noRemoteIceCandidateFailure = false;
         var setRemoteDescriptionPromise = rtcSession._pc.setRemoteDescription(self._createSessionDescription({
             type: 'answer',
-            sdp: self._sdp
+            sdp: limitRemoteVideoBandwidth(rtcSession, self._sdp)
         }));
         setRemoteDescriptionPromise.catch(e => {
             self.logger.error('SetRemoteDescription failed', e);
         });
         setRemoteDescriptionPromise.then(() => {
+            self._remoteDescriptionApplied = true;
             var remoteCandidatePromises = Promise.all(self._candidates.map(function (candidate) {
                 var remoteCandidate = self._createRemoteCandidate(candidate);
                 self.logger.info('Adding remote candidate', remoteCandidate);
@@ -367,12 +657,19 @@ export class AcceptState extends RTCSessionState {
             rtcSession._sessionReport.setRemoteDescriptionFailure = false;
             self._remoteDescriptionSet = true;
             self._checkAndTransit();
-        }).catch(() => {
+        }).catch(e => {
             rtcSession._stopSession();
             rtcSession._sessionReport.setRemoteDescriptionFailure = true;
-            self.transit(new FailedState(rtcSession, RTC_ERRORS.SET_REMOTE_DESCRIPTION_FAILURE));
+            self.transit(new FailedState(rtcSession, RTC_ERRORS.SET_REMOTE_DESCRIPTION_FAILURE, e));
         });
     }
+    onRemoteCandidate(candidate) {
+        if (this._remoteDescriptionApplied) {
+            super.onRemoteCandidate(candidate);
+        } else if (candidate) {
+            this._candidates.push(candidate);
+        }
+    }
     onSignalingHandshaked() {
         this._rtcSession._sessionReport.handshakingTimeMillis = Date.now() - this._rtcSession._signallingConnectTimestamp;
         this._signalingHandshaked = true;
@@ -388,85 +685,992 @@ export class AcceptState extends RTCSessionState {
         }
     }
     get name() {
-        return "AcceptState";
+        return RTC_SESSION_STATES.ACCEPT;
     }
 }
-export class TalkingState extends RTCSessionState {
+/**
+ * Inbound call. Add local stream to peer connection, connect signaling channel and wait for the server to send the invite.
+ */
+export class PendingIncomingCallState extends RTCSessionState {
     onEnter() {
-        this._startTime = Date.now();
-        this._rtcSession._sessionReport.preTalkingTimeMillis = this._startTime - this._rtcSession._connectTimeStamp;
-        this._rtcSession._onSessionConnected(this._rtcSession);
+        var self = this;
+        addLocalStream(self._rtcSession, self._rtcSession._localStream);
+        self._startTime = Date.now();
+        self._rtcSession._createSignalingChannel().listen();
     }
-    onSignalingReconnected() {
+    onSignalingConnected() {
+        this._rtcSession._signallingConnectTimestamp = Date.now();
+        this._rtcSession._sessionReport.signallingConnectTimeMillis = this._rtcSession._signallingConnectTimestamp - this._startTime;
+        this._signalingConnected = true;
+        this._rtcSession._onSignalingConnected(this._rtcSession);
+        this._rtcSession._sessionReport.signallingConnectionFailure = false;
     }
-    onRemoteHungup() {
-        this._rtcSession._signalingChannel.hangup();
-        this.transit(new DisconnectedState(this._rtcSession));
+    onSignalingFailed(e) {
+        this.logger.error('Failed connecting to signaling server', e);
+        this._rtcSession._sessionReport.signallingConnectionFailure = !this._signalingConnected;
+        this.transit(new FailedState(this._rtcSession, RTC_ERRORS.SIGNALLING_CONNECTION_FAILURE, e));
     }
-    hangup() {
-        this._rtcSession._signalingChannel.hangup();
-        this.transit(new DisconnectedState(this._rtcSession));
+    onSignalingInvited(sdp, candidates, callerInfo) {
+        this.transit(new RingingState(this._rtcSession, sdp, candidates, callerInfo));
     }
-    onIceStateChange(evt) {
-        if (evt.currentTarget.iceConnectionState == 'disconnected') {
-            this.logger.info('Lost ICE connection');
-            this._rtcSession._sessionReport.iceConnectionsLost += 1;
+    hangup() {
+        if (this._signalingConnected) {
+            this._rtcSession._signalingChannel.hangup();
+            this.transit(new DisconnectedState(this._rtcSession));
+        } else {
+            super.hangup();
         }
     }
-    onExit() {
-        this._rtcSession._sessionReport.talkingTimeMillis = Date.now() - this._startTime;
-        this._rtcSession._detachMedia();
-        this._rtcSession._sessionReport.sessionEndTime = new Date();
-        this._rtcSession._onSessionCompleted(this._rtcSession);
-    }
     get name() {
-        return "TalkingState";
+        return RTC_SESSION_STATES.PENDING_INCOMING_CALL;
     }
 }
-export class CleanUpState extends RTCSessionState {
+
+/**
+ * Inbound call. Apply the offer from the server and notify the incoming call, then wait for local user to accept or reject it.
+ */
+export class RingingState extends RTCSessionState {
+    /**
+     * @param {RtcSession} rtcSession
+     * @param {string} sdp Remote SDP (offer)
+     * @param {Array} candidates Remote ICE candidates
+     * @param {Object} callerInfo Caller metadata sent along with the invite
+     */
+    constructor(rtcSession, sdp, candidates, callerInfo) {
+        super(rtcSession);
+        this._sdp = sdp;
+        this._candidates = candidates;
+        this._callerInfo = callerInfo;
+    }
+    _createSessionDescription(initDict) {
+        return new RTCSessionDescription(initDict);
+    }
     onEnter() {
-        this._startTime = Date.now();
-        this._rtcSession._stopSession();
-        this._rtcSession._sessionReport.cleanupTimeMillis = Date.now() - this._startTime;
-        this._rtcSession._onSessionDestroyed(this._rtcSession, this._rtcSession._sessionReport);
+        var self = this;
+        var rtcSession = self._rtcSession;
+
+        if (!self._sdp) {
+            self.logger.error('Invalid remote SDP');
+            rtcSession._sessionReport.invalidRemoteSDPFailure = true;
+            self.transit(new FailedState(rtcSession, RTC_ERRORS.INVALID_REMOTE_SDP));
+            return;
+        } else if (rtcSession._trickleIce) {
+            //remote candidates may all come later
+            self._candidates = self._candidates || [];
+        } else if (!self._candidates || self._candidates.length < 1) {
+            self.logger.error('No remote ICE candidate');
+            rtcSession._sessionReport.noRemoteIceCandidateFailure = true;
+            self.transit(new FailedState(rtcSession, RTC_ERRORS.NO_REMOTE_ICE_CANDIDATE));
+            return;
+        }
+
+        rtcSession._sessionReport.invalidRemoteSDPFailure = false;
+        rtcSession._sessionReport.noRemoteIceCandidateFailure = false;
+        rtcSession._pc.setRemoteDescription(self._createSessionDescription({
+            type: 'offer',
+            sdp: limitRemoteVideoBandwidth(rtcSession, self._sdp)
+        })).then(() => {
+            self._remoteDescriptionApplied = true;
+            return Promise.all(self._candidates.map(function (candidate) {
+                var remoteCandidate = self._createRemoteCandidate(candidate);
+                self.logger.info('Adding remote candidate', remoteCandidate);
+                return rtcSession._pc.addIceCandidate(remoteCandidate);
+            }));
+        }).then(() => {
+            rtcSession._sessionReport.setRemoteDescriptionFailure = false;
+            if (self._isCurrentState()) {
+                self._remoteDescriptionSet = true;
+                rtcSession._onIncomingCall(rtcSession, self._callerInfo);
+            }
+        }).catch(e => {
+            self.logger.error('SetRemoteDescription failed', e);
+            rtcSession._sessionReport.setRemoteDescriptionFailure = true;
+            self.transit(new FailedState(rtcSession, RTC_ERRORS.SET_REMOTE_DESCRIPTION_FAILURE, e));
+        });
     }
-    get name() {
-        return "CleanUpState";
+    onRemoteCandidate(candidate) {
+        if (this._remoteDescriptionApplied) {
+            super.onRemoteCandidate(candidate);
+        } else if (candidate) {
+            this._candidates.push(candidate);
+        }
     }
-    hangup() {
-        //do nothing, already at the end of lifecycle
+    transit(nextState) {
+        if (this._isCurrentState()) {
+            rejectInviteOnFailure(this._rtcSession, nextState);
+        }
+        super.transit(nextState);
     }
-}
-export class DisconnectedState extends CleanUpState {
-    get name() {
-        return "DisconnectedState";
+    accept() {
+        if (!this._remoteDescriptionSet) {
+            throw new IllegalState('Incoming call is not ready to be accepted yet');
+        }
+        this.transit(new CreateAnswerState(this._rtcSession));
     }
-}
-export class FailedState extends CleanUpState {
-    constructor(rtcSession, failureReason) {
-        super(rtcSession);
-        this._failureReason = failureReason;
+    reject(reasonCode) {
+        this._rtcSession._signalingChannel.reject(reasonCode || REJECT_REASONS.DECLINE);
+        this._rtcSession._sessionReport.incomingCallRejected = true;
+        this.transit(new DisconnectedState(this._rtcSession));
     }
-    onEnter() {
-        this._rtcSession._sessionReport.sessionEndTime = new Date();
-        this._rtcSession._onSessionFailed(this._rtcSession, this._failureReason);
-        super.onEnter();
+    hangup() {
+        this.reject(REJECT_REASONS.DECLINE);
+    }
+    onRemoteHungup() {
+        this._rtcSession._signalingChannel.hangup();
+        this.transit(new DisconnectedState(this._rtcSession));
+    }
+    onSignalingFailed(e) {
+        this.logger.error('Signaling failed while ringing', e);
+        this._rtcSession._sessionReport.handshakingFailure = true;
+        this.transit(new FailedState(this._rtcSession, RTC_ERRORS.SIGNALLING_HANDSHAKE_FAILURE, e));
     }
     get name() {
-        return "FailedState";
+        return RTC_SESSION_STATES.RINGING;
     }
 }
 
-export default class RtcSession {
-    /**
-     * Build an AmazonConnect RTC session.
-     * @param {*} signalingUri
-     * @param {*} iceServers Array of ice servers
-     * @param {*} contactToken A string representing the contact token (optional)
-     * @param {*} logger An object provides logging functions, such as console
-     * @param {*} contactId Must be UUID, uniquely identifies the session.
-     */
-    constructor(signalingUri, iceServers, contactToken, logger, contactId) {
+/**
+ * Inbound call. Local user accepted the call, create the answer.
+ */
+export class CreateAnswerState extends RTCSessionState {
+    onEnter() {
+        var self = this;
+        self._rtcSession._pc.createAnswer().then(rtcSessionDescription => {
+            self._rtcSession._localSessionDescription = rtcSessionDescription;
+            self._rtcSession._sessionReport.createAnswerFailure = false;
+            self.transit(new SetLocalAnswerDescriptionState(self._rtcSession));
+        }).catch(e => {
+            self.logger.error('CreateAnswer failed', e);
+            self._rtcSession._sessionReport.createAnswerFailure = true;
+            self.transit(new FailedState(self._rtcSession, RTC_ERRORS.CREATE_ANSWER_FAILURE, e));
+        });
+    }
+    transit(nextState) {
+        if (this._isCurrentState()) {
+            rejectInviteOnFailure(this._rtcSession, nextState);
+        }
+        super.transit(nextState);
+    }
+    onRemoteHungup() {
+        cancelAnswer(this);
+    }
+    get name() {
+        return RTC_SESSION_STATES.CREATE_ANSWER;
+    }
+}
+
+/**
+ * Inbound call. Same as SetLocalSessionDescriptionState except signaling channel is already connected, so it moves on to collect ICE candidates for the answer.
+ */
+export class SetLocalAnswerDescriptionState extends SetLocalSessionDescriptionState {
+    transit(nextState) {
+        if (this._isCurrentState()) {
+            rejectInviteOnFailure(this._rtcSession, nextState);
+        }
+        super.transit(nextState);
+    }
+    onRemoteHungup() {
+        cancelAnswer(this);
+    }
+    get name() {
+        return RTC_SESSION_STATES.SET_LOCAL_ANSWER_DESCRIPTION;
+    }
+    _createNextState(mLines) {
+        return new AnswerIceCollectionState(this._rtcSession, mLines);
+    }
+}
+
+/**
+ * Inbound call. Collect local ICE candidates for the answer, signaling channel is already connected.
+ */
+export class AnswerIceCollectionState extends ConnectSignalingAndIceCollectionState {
+    onEnter() {
+        this._startTime = Date.now();
+        this._signalingConnected = true;
+        this._startIceCollectionTimer();
+        this._checkAndTransit();
+    }
+    transit(nextState) {
+        if (this._isCurrentState()) {
+            rejectInviteOnFailure(this._rtcSession, nextState);
+        }
+        super.transit(nextState);
+    }
+    onRemoteHungup() {
+        cancelAnswer(this);
+    }
+    get name() {
+        return RTC_SESSION_STATES.ANSWER_ICE_COLLECTION;
+    }
+    _createNextState() {
+        return new SendAnswerState(this._rtcSession, this._iceCandidates);
+    }
+}
+
+/**
+ * Inbound call. Send the answer and wait for signaling handshake to complete.
+ */
+export class SendAnswerState extends RTCSessionState {
+    constructor(rtcSession, iceCandidates) {
+        super(rtcSession);
+        this._iceCandidates = iceCandidates;
+    }
+    onEnter() {
+        var rtcSession = this._rtcSession;
+        var signalingState = rtcSession._signalingChannel.stateName;
+        if (signalingState !== SIGNALING_STATES.PENDING_LOCAL_ANSWER) {
+            //invite is gone in the meantime, e.g. caller hung up
+            this.logger.warn('Not sending answer in signaling state ' + signalingState);
+            cancelAnswer(this);
+            return;
+        }
+        rtcSession._onSignalingStarted(rtcSession);
+        rtcSession._signalingChannel.answer(rtcSession._localSessionDescription.sdp,
+            this._iceCandidates);
+    }
+    onSignalingHandshaked() {
+        this._rtcSession._sessionReport.handshakingTimeMillis = Date.now() - this._rtcSession._signallingConnectTimestamp;
+        this._rtcSession._sessionReport.handshakingFailure = false;
+        this.transit(new TalkingState(this._rtcSession));
+    }
+    onSignalingFailed(e) {
+        this.logger.error('Failed handshaking with signaling server', e);
+        this._rtcSession._sessionReport.handshakingFailure = true;
+        this.transit(new FailedState(this._rtcSession, RTC_ERRORS.SIGNALLING_HANDSHAKE_FAILURE, e));
+    }
+    onRemoteHungup() {
+        cancelAnswer(this);
+    }
+    get name() {
+        return RTC_SESSION_STATES.SEND_ANSWER;
+    }
+}
+
+export class TalkingState extends RTCSessionState {
+    /**
+     * @param {RtcSession} rtcSession
+     * @param {number} startTime Only set when coming back from a mid-call exchange (e.g. renegotiation), call is not reported as connected again.
+     */
+    constructor(rtcSession, startTime) {
+        super(rtcSession);
+        this._startTime = startTime;
+    }
+    onEnter() {
+        //video may be sent by a new sender after renegotiation
+        this._rtcSession._applyVideoSenderParameters();
+        if (this._startTime) {
+            //media path may be lost while in the middle of another exchange
+            if (this._rtcSession._pc) {
+                this._checkIceConnection(this._rtcSession._pc.iceConnectionState);
+            }
+            return;
+        }
+        this._startTime = Date.now();
+        this._rtcSession._sessionReport.preTalkingTimeMillis = this._startTime - this._rtcSession._connectTimeStamp;
+        this._rtcSession._startLocalAudioMonitor();
+        this._rtcSession._onSessionConnected(this._rtcSession);
+    }
+    /**
+     * Transit to another state of the established call (e.g. RenegotiatingState), the call is not ended on exit.
+     */
+    _transitInCall(nextState) {
+        this._inCallTransit = true;
+        this.transit(nextState);
+    }
+    transit(nextState) {
+        if (this._isCurrentState()) {
+            //failure is reported by FailedState, the call is not completed as well
+            this._callFailed = nextState instanceof FailedState;
+        }
+        super.transit(nextState);
+    }
+    renegotiate() {
+        this._transitInCall(new RenegotiatingState(this._rtcSession, this._startTime));
+    }
+    onSignalingReinvited(sdp, candidates) {
+        this._transitInCall(new RemoteRenegotiatingState(this._rtcSession, this._startTime, sdp, candidates));
+    }
+    addLocalVideo() {
+        var self = this;
+        var rtcSession = self._rtcSession;
+        if (rtcSession._localStream.getVideoTracks().length > 0) {
+            return Promise.reject(new IllegalState('Local video is already added'));
+        }
+        //video is not sent if it can't be added, restore the flag so that later media requests don't ask for the camera
+        var videoEnabled = rtcSession._enableVideo;
+        rtcSession._enableVideo = true;
+        var mediaConstraints = rtcSession._buildMediaConstraints();
+        mediaConstraints.audio = false;
+        return self._gUM(mediaConstraints).catch(e => {
+            rtcSession._enableVideo = videoEnabled;
+            throw e;
+        }).then(stream => {
+            var videoTrack = stream.getVideoTracks()[0];
+            if (!self._isCurrentState()) {
+                rtcSession._enableVideo = videoEnabled;
+                closeStream(stream);
+                throw new IllegalState('Call state changed while adding local video');
+            }
+            rtcSession._localStream.addTrack(videoTrack);
+            rtcSession._acquiredTracks.push(videoTrack);
+            //reuse video transceiver receiving remote video if there is one, so that no new m line is added
+            var transceiver = findTransceiver(rtcSession._pc, 'video');
+            if (transceiver) {
+                transceiver.direction = 'sendrecv';
+                return transceiver.sender.replaceTrack(videoTrack);
+            }
+            rtcSession._pc.addTransceiver(videoTrack, {
+                direction: 'sendrecv',
+                streams: [rtcSession._localStream]
+            });
+        }).then(() => {
+            self.renegotiate();
+        });
+    }
+    /**
+     * Replace local audio/video track with the one grabbed from given device, on the sender as well as in local stream. Media is not renegotiated.
+     * Old track is stopped unless it's provided by user, new track inherits its enabled flag (e.g. muted microphone stays muted).
+     */
+    switchInput(kind, deviceId) {
+        var self = this;
+        var rtcSession = self._rtcSession;
+        var pc = rtcSession._pc;
+        var localStream = rtcSession._localStream;
+        var getTracks = stream => kind === 'audio' ? stream.getAudioTracks() : stream.getVideoTracks();
+        var oldTrack = getTracks(localStream)[0];
+        var oldSentTrack = oldTrack && sentTrack(rtcSession, oldTrack);
+        var sender = oldTrack && pc.getSenders().filter(sender => sender.track === oldSentTrack)[0];
+        if (!sender) {
+            return Promise.reject(new IllegalState('No local ' + kind + ' to switch'));
+        }
+        var mediaConstraints = rtcSession._buildMediaConstraints();
+        var kindConstraints = typeof mediaConstraints[kind] === 'object' ? mediaConstraints[kind] : {};
+        kindConstraints.deviceId = {exact: deviceId};
+        mediaConstraints = {audio: false, video: false};
+        mediaConstraints[kind] = kindConstraints;
+        return self._gUM(mediaConstraints).then(stream => {
+            var newTrack = getTracks(stream)[0];
+            if (rtcSession._pc !== pc || !(rtcSession._state instanceof TalkingState)) {
+                closeStream(stream);
+                throw new IllegalState('Call state changed while switching ' + kind + ' input');
+            }
+            var chain = null;
+            var processing = kind === 'audio' ? processAudio(rtcSession, newTrack) : Promise.resolve(null);
+            return processing.then(processingChain => {
+                chain = processingChain;
+                if (kind === 'video' && rtcSession._screenShareStream) {
+                    //camera is switched behind screen share, it's sent once sharing stops
+                    return;
+                }
+                return sender.replaceTrack(chain ? chain.outputTrack : newTrack);
+            }).then(() => {
+                newTrack.enabled = oldTrack.enabled;
+                localStream.removeTrack(oldTrack);
+                localStream.addTrack(newTrack);
+                if (rtcSession._ownsTrack(oldTrack)) {
+                    oldTrack.stop();
+                }
+                rtcSession._acquiredTracks = rtcSession._acquiredTracks.filter(track => track !== oldTrack).concat([newTrack]);
+                if (kind === 'audio') {
+                    rtcSession._audioDeviceId = deviceId;
+                    swapAudioProcessingChain(rtcSession, chain);
+                    rtcSession._replaceRecordedTrack(oldSentTrack, sentTrack(rtcSession, newTrack));
+                    rtcSession._monitorLocalAudio(newTrack);
+                } else {
+                    rtcSession._videoDeviceId = deviceId;
+                }
+            }, e => {
+                if (chain) {
+                    chain.stop();
+                }
+                closeStream(stream);
+                throw e;
+            });
+        });
+    }
+    _gUM(constraints) {
+        return navigator.mediaDevices.getUserMedia(constraints);
+    }
+    /**
+     * Send screen instead of camera, the camera track stays in local stream and is sent again once sharing stops.
+     */
+    startScreenShare() {
+        var self = this;
+        var rtcSession = self._rtcSession;
+        var pc = rtcSession._pc;
+        if (rtcSession._screenShareStream) {
+            return Promise.reject(new IllegalState('Screen is already shared'));
+        }
+        var cameraTrack = rtcSession._localStream.getVideoTracks()[0];
+        var sender = cameraTrack && pc.getSenders().filter(sender => sender.track === cameraTrack)[0];
+        if (!sender) {
+            return Promise.reject(new IllegalState('No local video to replace with screen'));
+        }
+        return self._getDisplayMedia({video: true, audio: false}).then(stream => {
+            if (rtcSession._pc !== pc || !(rtcSession._state instanceof TalkingState) || rtcSession._screenShareStream) {
+                closeStream(stream);
+                throw new IllegalState('Call state changed while starting screen share');
+            }
+            return sender.replaceTrack(stream.getVideoTracks()[0]).then(() => {
+                rtcSession._screenShareStarted(stream, sender);
+            }, e => {
+                closeStream(stream);
+                throw e;
+            });
+        });
+    }
+    _getDisplayMedia(constraints) {
+        if (!navigator.mediaDevices.getDisplayMedia) {
+            return Promise.reject(new UnsupportedOperation('Screen sharing is not supported by this browser'));
+        }
+        return navigator.mediaDevices.getDisplayMedia(constraints);
+    }
+    /**
+     * Record local audio along with audio and video received from the other end.
+     */
+    startRecording(options) {
+        var rtcSession = this._rtcSession;
+        var pc = rtcSession._pc;
+        var remoteAudioTracks = negotiatedRtpEndpoints(pc, 'audio', false).map(receiver => receiver.track);
+        var remoteVideoReceiver = negotiatedRtpEndpoints(pc, 'video', false)[0];
+        //local audio is recorded the way it's sent, after audio processing
+        var localAudioTracks = rtcSession._localStream.getAudioTracks().map(track => sentTrack(rtcSession, track));
+        rtcSession._startRecording(localAudioTracks.concat(remoteAudioTracks),
+            remoteVideoReceiver ? remoteVideoReceiver.track : null, options);
+    }
+    onSignalingReconnecting(attempt, delayMillis) {
+        this._rtcSession._sessionReport.signallingReconnects += 1;
+        this._rtcSession._onReconnecting(this._rtcSession, attempt, delayMillis);
+    }
+    onSignalingReconnected() {
+        this._rtcSession._onReconnected(this._rtcSession);
+    }
+    onSignalingFailed(e) {
+        //reconnecting gave up, the call can't be controlled anymore
+        this.logger.error('Lost signaling connection', e);
+        this._rtcSession._sessionReport.signallingConnectionFailure = true;
+        this.transit(new FailedState(this._rtcSession, RTC_ERRORS.SIGNALLING_CONNECTION_FAILURE, e));
+    }
+    onRemoteHungup() {
+        this._rtcSession._signalingChannel.hangup();
+        this.transit(new DisconnectedState(this._rtcSession));
+    }
+    hangup() {
+        this._rtcSession._signalingChannel.hangup();
+        this.transit(new DisconnectedState(this._rtcSession));
+    }
+    onIceStateChange(evt) {
+        if (evt.currentTarget.iceConnectionState == 'disconnected') {
+            this.logger.info('Lost ICE connection');
+            this._rtcSession._sessionReport.iceConnectionsLost += 1;
+        }
+        this._checkIceConnection(evt.currentTarget.iceConnectionState);
+    }
+    /**
+     * Restart ICE right away if ICE connection failed. If it's disconnected, give it a grace period to recover by itself.
+     */
+    _checkIceConnection(iceConnectionState) {
+        var self = this;
+        if (!(self._rtcSession._maxIceRestartAttempts > 0)) {
+            return;
+        }
+        if (iceConnectionState == 'failed') {
+            self._restartIce();
+        } else if (iceConnectionState == 'disconnected') {
+            setTimeout(() => {
+                var currentIceConnectionState = self._rtcSession._pc.iceConnectionState;
+                if (self._isCurrentState() && (currentIceConnectionState == 'disconnected' || currentIceConnectionState == 'failed')) {
+                    self._restartIce();
+                }
+            }, self._rtcSession._iceRestartGracePeriodMillis);
+        }
+    }
+    _restartIce() {
+        this.logger.warn('ICE connection is lost, restarting ICE');
+        this._transitInCall(new IceRestartState(this._rtcSession, this._startTime, 1));
+    }
+    onExit() {
+        if (this._inCallTransit) {
+            return;
+        }
+        this._rtcSession._sessionReport.talkingTimeMillis = Date.now() - this._startTime;
+        this._rtcSession._stopRecording();
+        this._rtcSession._detachMedia();
+        if (!this._callFailed) {
+            this._rtcSession._sessionReport.sessionEndTime = new Date();
+            this._rtcSession._onSessionCompleted(this._rtcSession);
+        }
+    }
+    get name() {
+        return RTC_SESSION_STATES.TALKING;
+    }
+}
+
+/**
+ * Mid-call renegotiation started locally. Create a new offer, send it to the server as re-invite and apply the answer.
+ * Call is established all the time, hangup works the same as in TalkingState. Renegotiation failure doesn't end the call, local offer is rolled back.
+ */
+export class RenegotiatingState extends TalkingState {
+    /**
+     * @param {RtcSession} rtcSession
+     * @param {number} startTime Start time of the call
+     * @param {Object} offerOptions Options of createOffer
+     */
+    constructor(rtcSession, startTime, offerOptions) {
+        super(rtcSession, startTime);
+        this._offerOptions = offerOptions;
+        this._iceCandidates = [];
+        this._remoteCandidates = [];
+    }
+    onEnter() {
+        var self = this;
+        var rtcSession = self._rtcSession;
+        rtcSession._sessionReport.renegotiations += 1;
+        rtcSession._pc.createOffer(self._offerOptions).then(rtcSessionDescription => {
+            return self._setLocalDescription(rtcSessionDescription);
+        }).then(() => {
+            self._waitForCandidates();
+        }).catch(e => {
+            self._fail('Failed creating renegotiation offer', e);
+        });
+    }
+    _setLocalDescription(rtcSessionDescription) {
+        var self = this;
+        rtcSessionDescription.sdp = transformSdp(rtcSessionDescription.sdp, buildSdpOptions(self._rtcSession)).sdp;
+        self.logger.info('LocalSD', rtcSessionDescription);
+        return self._rtcSession._pc.setLocalDescription(rtcSessionDescription).then(() => {
+            self._localSessionDescription = rtcSessionDescription;
+        });
+    }
+    /**
+     * Send local SDP right away if trickle ICE is enabled or no new candidate is expected (e.g. codec change), otherwise wait for ICE collection to complete or time out.
+     */
+    _waitForCandidates() {
+        var self = this;
+        if (!self._isCurrentState()) {
+            return;
+        }
+        if (self._rtcSession._trickleIce || self._rtcSession._pc.iceGatheringState === 'complete') {
+            self._sendLocalDescription();
+        } else {
+            setTimeout(() => {
+                if (self._isCurrentState() && !self._localDescriptionSent) {
+                    self.logger.warn('ICE collection timed out');
+                    self._sendLocalDescription();
+                }
+            }, self._rtcSession._iceTimeoutMillis);
+        }
+    }
+    _createLocalCandidate(initDict) {
+        return new RTCIceCandidate(initDict);
+    }
+    onIceCandidate(evt) {
+        if (this._localDescriptionSent) {
+            super.onIceCandidate(evt);
+        } else if (evt.candidate) {
+            this._iceCandidates.push(this._createLocalCandidate(evt.candidate));
+        } else if (this._localSessionDescription) {
+            this._sendLocalDescription();
+        }
+    }
+    _sendLocalDescription() {
+        if (this._localDescriptionSent) {
+            return;
+        }
+        this._localDescriptionSent = true;
+        try {
+            this._rtcSession._signalingChannel.reinvite(this._localSessionDescription.sdp, this._iceCandidates);
+        } catch (e) {
+            this._fail('Failed sending renegotiation offer', e);
+        }
+    }
+    onRemoteCandidate(candidate) {
+        //candidates of the new remote description are kept until it's applied
+        if (this._remoteDescriptionApplied) {
+            super.onRemoteCandidate(candidate);
+        } else if (candidate) {
+            this._remoteCandidates.push(candidate);
+        }
+    }
+    onSignalingReinviteAnswered(sdp, candidates) {
+        var self = this;
+        self._applyRemoteDescription('answer', sdp, candidates).then(() => {
+            self._succeed();
+        }).catch(e => {
+            self._fail('Failed applying renegotiation answer', e);
+        });
+    }
+    onSignalingReinviteFailed(e) {
+        this._fail('Renegotiation failed in signaling', e);
+    }
+    onSignalingReinvited() {
+        //glare while the local offer is still being created, signaling took the remote re-invite, so turn it down and go on with the local one.
+        //once the local re-invite is sent signaling turns down the remote one by itself and doesn't notify it.
+        this.logger.warn('Rejecting remote re-invite during renegotiation');
+        this._rtcSession._signalingChannel.rejectReinvite(REJECT_REASONS.REQUEST_PENDING, 'Request pending');
+    }
+    renegotiate() {
+        throw new IllegalState('Renegotiation already in progress');
+    }
+    addLocalVideo() {
+        return Promise.reject(new IllegalState('Renegotiation already in progress'));
+    }
+    startRecording() {
+        //media may not be flowing yet (e.g. resumed call), recording starts once the call is back in TalkingState
+        throw new IllegalState('startRecording not supported by ' + this.name);
+    }
+    _createSessionDescription(initDict) {
+        return new RTCSessionDescription(initDict);
+    }
+    _applyRemoteDescription(type, sdp, candidates) {
+        var self = this;
+        var pc = self._rtcSession._pc;
+        if (!sdp) {
+            return Promise.reject(new IllegalParameters('Invalid remote SDP'));
+        }
+        return pc.setRemoteDescription(self._createSessionDescription({
+            type: type,
+            sdp: limitRemoteVideoBandwidth(self._rtcSession, sdp)
+        })).then(() => {
+            self._remoteDescriptionApplied = true;
+            return Promise.all((candidates || []).concat(self._remoteCandidates).map(candidate => {
+                var remoteCandidate = self._createRemoteCandidate(candidate);
+                self.logger.info('Adding remote candidate', remoteCandidate);
+                return pc.addIceCandidate(remoteCandidate).catch(e => {
+                    self.logger.warn('Error adding remote candidate', e);
+                });
+            }));
+        });
+    }
+    _succeed() {
+        if (!this._isCurrentState()) {
+            return;
+        }
+        this.logger.info('Renegotiation completed');
+        this._renegotiationSucceeded();
+    }
+    _renegotiationSucceeded() {
+        this._rtcSession._onRenegotiated(this._rtcSession);
+        this._transitInCall(new TalkingState(this._rtcSession, this._startTime));
+    }
+    _fail(message, e) {
+        var self = this;
+        var rtcSession = self._rtcSession;
+        if (!self._isCurrentState()) {
+            return;
+        }
+        self.logger.error(message, e);
+        rtcSession._sessionReport.renegotiationFailures += 1;
+        var rollbackPromise = Promise.resolve();
+        if (rtcSession._pc.signalingState !== 'stable') {
+            rollbackPromise = rtcSession._pc.setLocalDescription(self._createSessionDescription({type: 'rollback'})).catch(rollbackError => {
+                self.logger.warn('Failed rolling back renegotiation', rollbackError);
+            });
+        }
+        return rollbackPromise.then(() => {
+            if (self._isCurrentState()) {
+                self._renegotiationFailed(e);
+            }
+        });
+    }
+    _renegotiationFailed(e) {
+        this._rtcSession._onRenegotiationFailed(this._rtcSession, e);
+        this._transitInCall(new TalkingState(this._rtcSession, this._startTime));
+    }
+    onIceStateChange(evt) {
+        //ICE connection is checked again once back to TalkingState
+        if (evt.currentTarget.iceConnectionState == 'disconnected') {
+            this.logger.info('Lost ICE connection');
+            this._rtcSession._sessionReport.iceConnectionsLost += 1;
+        }
+    }
+    get name() {
+        return RTC_SESSION_STATES.RENEGOTIATING;
+    }
+}
+
+/**
+ * Resume the call established by a previous session (e.g. before page reload).
+ * Local stream is added to the new peer connection and signaling channel reconnects with the persisted client token.
+ */
+export class ResumeSignalingState extends RTCSessionState {
+    onEnter() {
+        var rtcSession = this._rtcSession;
+        addLocalStream(rtcSession, rtcSession._localStream);
+        this._startTime = Date.now();
+        rtcSession._createSignalingChannel().resume(rtcSession._resumedSession.clientToken);
+    }
+    onSignalingConnected() {
+        var rtcSession = this._rtcSession;
+        rtcSession._signallingConnectTimestamp = Date.now();
+        rtcSession._sessionReport.signallingConnectTimeMillis = rtcSession._signallingConnectTimestamp - this._startTime;
+        rtcSession._sessionReport.signallingConnectionFailure = false;
+        rtcSession._onSignalingConnected(rtcSession);
+        this.transit(new ResumeMediaState(rtcSession));
+    }
+    onSignalingFailed(e) {
+        this.logger.error('Failed resuming signaling connection', e);
+        this._rtcSession._sessionReport.signallingConnectionFailure = true;
+        this.transit(new FailedState(this._rtcSession, RTC_ERRORS.RESUME_FAILURE, e));
+    }
+    get name() {
+        return RTC_SESSION_STATES.RESUME_SIGNALING;
+    }
+}
+
+/**
+ * Resumed call is connected in signaling, renegotiate media on the new peer connection through re-invite.
+ * The call is reported as connected once it's done. Failure ends the call as there is no media to go on with.
+ */
+export class ResumeMediaState extends RenegotiatingState {
+    _renegotiationSucceeded() {
+        this.transit(new TalkingState(this._rtcSession));
+    }
+    _renegotiationFailed(e) {
+        this._rtcSession._signalingChannel.hangup();
+        this.transit(new FailedState(this._rtcSession, RTC_ERRORS.RESUME_FAILURE, e));
+    }
+    onExit() {
+        //call is not connected in this session yet, nothing to complete
+    }
+    get name() {
+        return RTC_SESSION_STATES.RESUME_MEDIA;
+    }
+}
+
+/**
+ * ICE restart after media path is lost. New offer with fresh ICE credentials is exchanged through re-invite, then ICE connection is expected to recover within the grace period.
+ * Failed attempt is retried until maxIceRestartAttempts is reached, after which the call is hung up and failed.
+ */
+export class IceRestartState extends RenegotiatingState {
+    /**
+     * @param {RtcSession} rtcSession
+     * @param {number} startTime Start time of the call
+     * @param {number} attempt Restart attempt number, starting from 1
+     */
+    constructor(rtcSession, startTime, attempt) {
+        super(rtcSession, startTime, {iceRestart: true});
+        this._attempt = attempt;
+    }
+    onEnter() {
+        this._restartStartTime = Date.now();
+        this.logger.info('ICE restart attempt ' + this._attempt);
+        super.onEnter();
+    }
+    onIceStateChange(evt) {
+        var iceConnectionState = evt.currentTarget.iceConnectionState;
+        if (!this._remoteDescriptionApplied) {
+            //still about the previous ICE session
+            return;
+        }
+        if (iceConnectionState == 'connected' || iceConnectionState == 'completed') {
+            this._iceReconnected();
+        } else if (iceConnectionState == 'failed') {
+            this._fail('ICE connection failed after restart', new Error('ICE connection failed'));
+        }
+    }
+    _renegotiationSucceeded() {
+        var self = this;
+        var iceConnectionState = self._rtcSession._pc.iceConnectionState;
+        if (iceConnectionState == 'connected' || iceConnectionState == 'completed') {
+            self._iceReconnected();
+            return;
+        }
+        setTimeout(() => {
+            self._fail('ICE connection did not recover after restart', new Timeout('ICE restart timed out'));
+        }, self._rtcSession._iceRestartGracePeriodMillis);
+    }
+    _iceReconnected() {
+        if (!this._isCurrentState()) {
+            return;
+        }
+        this.logger.info('ICE connection recovered');
+        this._recordAttempt(true);
+        this._transitInCall(new TalkingState(this._rtcSession, this._startTime));
+    }
+    _renegotiationFailed(e) {
+        var rtcSession = this._rtcSession;
+        this._recordAttempt(false, e);
+        if (this._attempt < rtcSession._maxIceRestartAttempts) {
+            this._transitInCall(new IceRestartState(rtcSession, this._startTime, this._attempt + 1));
+        } else {
+            this.logger.error('Giving up after ' + this._attempt + ' ICE restart attempts');
+            rtcSession._signalingChannel.hangup();
+            this.transit(new FailedState(rtcSession, RTC_ERRORS.ICE_RESTART_FAILURE));
+        }
+    }
+    _recordAttempt(succeeded, e) {
+        this._rtcSession._sessionReport.iceRestarts.push({
+            attempt: this._attempt,
+            durationMillis: Date.now() - this._restartStartTime,
+            succeeded: succeeded,
+            failureReason: e ? e.name + ': ' + e.message : null
+        });
+    }
+    get name() {
+        return RTC_SESSION_STATES.ICE_RESTART;
+    }
+}
+
+/**
+ * Mid-call renegotiation started by the server (re-invite received). Apply remote offer, create the answer and send it back.
+ * Re-invite is rejected if the offer couldn't be answered, the call goes on with the previous session description.
+ */
+export class RemoteRenegotiatingState extends RenegotiatingState {
+    /**
+     * @param {RtcSession} rtcSession
+     * @param {number} startTime Start time of the call
+     * @param {string} sdp Remote SDP offer
+     * @param {Array} candidates Remote ICE candidates
+     */
+    constructor(rtcSession, startTime, sdp, candidates) {
+        super(rtcSession, startTime);
+        this._sdp = sdp;
+        this._candidates = candidates;
+    }
+    onEnter() {
+        var self = this;
+        var rtcSession = self._rtcSession;
+        rtcSession._sessionReport.renegotiations += 1;
+        self._applyRemoteDescription('offer', self._sdp, self._candidates).then(() => {
+            return rtcSession._pc.createAnswer();
+        }).then(rtcSessionDescription => {
+            return self._setLocalDescription(rtcSessionDescription);
+        }).then(() => {
+            self._waitForCandidates();
+        }).catch(e => {
+            self._rejectReinvite();
+            self._fail('Failed answering renegotiation offer', e);
+        });
+    }
+    _rejectReinvite() {
+        if (this._isCurrentState()) {
+            this._rtcSession._signalingChannel.rejectReinvite(REJECT_REASONS.NOT_ACCEPTABLE, 'Failed answering re-invite');
+        }
+    }
+    _sendLocalDescription() {
+        if (this._localDescriptionSent) {
+            return;
+        }
+        this._localDescriptionSent = true;
+        try {
+            this._rtcSession._signalingChannel.answerReinvite(this._localSessionDescription.sdp, this._iceCandidates);
+        } catch (e) {
+            this._fail('Failed sending renegotiation answer', e);
+            return;
+        }
+        this._succeed();
+    }
+    onSignalingReinviteAnswered() {
+        this.logger.warn('Unexpected re-invite answer in ' + this.name);
+    }
+    get name() {
+        return RTC_SESSION_STATES.REMOTE_RENEGOTIATING;
+    }
+}
+export class CleanUpState extends RTCSessionState {
+    onEnter() {
+        this._startTime = Date.now();
+        this._rtcSession._stopSession();
+        this._rtcSession._sessionReport.cleanupTimeMillis = Date.now() - this._startTime;
+        this._rtcSession._onSessionDestroyed(this._rtcSession, this._rtcSession._sessionReport);
+    }
+    get name() {
+        return "CleanUpState";
+    }
+    hangup() {
+        //do nothing, already at the end of lifecycle
+    }
+    onSignalingFailed(e) {
+        //e.g. bye sent upon hangup is not acked in time, the call is over all the same
+        this.logger.warn('Signaling failed after the session ended', e);
+    }
+    onRemoteHungup() {
+        //do nothing, already at the end of lifecycle
+    }
+}
+export class DisconnectedState extends CleanUpState {
+    get name() {
+        return RTC_SESSION_STATES.DISCONNECTED;
+    }
+}
+export class FailedState extends CleanUpState {
+    /**
+     * @param {RtcSession} rtcSession
+     * @param {string} failureReason One of RTC_ERRORS
+     * @param {*} cause The error leading to the failure (optional)
+     */
+    constructor(rtcSession, failureReason, cause) {
+        super(rtcSession);
+        this._failureReason = failureReason;
+        this._cause = cause;
+    }
+    onEnter() {
+        var rtcSession = this._rtcSession;
+        var failedIn = rtcSession._previousState;
+        this._error = createRtcError(this._failureReason, failedIn ? failedIn.name : null, this._cause);
+        rtcSession._sessionReport.sessionEndTime = new Date();
+        rtcSession._onSessionFailed(rtcSession, this._error);
+        super.onEnter();
+    }
+    /**
+     * RtcError of the failure, available once the state is entered.
+     */
+    get error() {
+        return this._error;
+    }
+    get name() {
+        return RTC_SESSION_STATES.FAILED;
+    }
+}
+
+/**
+ * Internal notifier of each lifecycle event, followed by names of the payload fields.
+ * Notifiers are called with RtcSession object first, then the values of payload fields in order (same params as callbacks set through setters).
+ */
+const SESSION_EVENT_NOTIFIERS = {
+    [RTC_SESSION_EVENTS.GUM_SUCCESS]: ['_onGumSuccess'],
+    [RTC_SESSION_EVENTS.GUM_ERROR]: ['_onGumError', 'error'],
+    [RTC_SESSION_EVENTS.SESSION_FAILED]: ['_onSessionFailed', 'error'],
+    [RTC_SESSION_EVENTS.LOCAL_STREAM_ADDED]: ['_onLocalStreamAdded', 'stream'],
+    [RTC_SESSION_EVENTS.SESSION_INITIALIZED]: ['_onSessionInitialized', 'initializationTime'],
+    [RTC_SESSION_EVENTS.SIGNALING_CONNECTED]: ['_onSignalingConnected'],
+    [RTC_SESSION_EVENTS.ICE_COLLECTION_COMPLETE]: ['_onIceCollectionComplete', 'timeout', 'candidateCount'],
+    [RTC_SESSION_EVENTS.INCOMING_CALL]: ['_onIncomingCall', 'callerInfo'],
+    [RTC_SESSION_EVENTS.SIGNALING_STARTED]: ['_onSignalingStarted'],
+    [RTC_SESSION_EVENTS.SESSION_CONNECTED]: ['_onSessionConnected'],
+    [RTC_SESSION_EVENTS.REMOTE_STREAM_ADDED]: ['_onRemoteStreamAdded', 'stream'],
+    [RTC_SESSION_EVENTS.RENEGOTIATED]: ['_onRenegotiated'],
+    [RTC_SESSION_EVENTS.RENEGOTIATION_FAILED]: ['_onRenegotiationFailed', 'error'],
+    [RTC_SESSION_EVENTS.RECONNECTING]: ['_onReconnecting', 'attempt', 'delayMillis'],
+    [RTC_SESSION_EVENTS.RECONNECTED]: ['_onReconnected'],
+    [RTC_SESSION_EVENTS.SESSION_COMPLETED]: ['_onSessionCompleted'],
+    [RTC_SESSION_EVENTS.SESSION_DESTROYED]: ['_onSessionDestroyed', 'sessionReport'],
+    [RTC_SESSION_EVENTS.STATE_CHANGE]: ['_onStateChange', 'from', 'to', 'timestamp'],
+    [RTC_SESSION_EVENTS.LOCAL_AUDIO_LEVEL]: ['_onLocalAudioLevel', 'level'],
+    [RTC_SESSION_EVENTS.SPEAKING_WHILE_MUTED]: ['_onSpeakingWhileMuted', 'level'],
+    [RTC_SESSION_EVENTS.RECORDING_DATA]: ['_onRecordingData', 'data'],
+    [RTC_SESSION_EVENTS.RECORDING_STOPPED]: ['_onRecordingStopped', 'recording'],
+    [RTC_SESSION_EVENTS.RECORDING_ERROR]: ['_onRecordingError', 'error'],
+    [RTC_SESSION_EVENTS.SCREEN_SHARE_STARTED]: ['_onScreenShareStarted', 'stream'],
+    [RTC_SESSION_EVENTS.SCREEN_SHARE_STOPPED]: ['_onScreenShareStopped', 'endedByUser']
+};
+
+/**
+ * Any number of listeners could subscribe to lifecycle events (see RTC_SESSION_EVENTS) with on/off/once,
+ * each onXxx setter holds one more listener of the same event, called with params listed in its doc.
+ */
+export default class RtcSession extends EventEmitter {
+    /**
+     * Build an AmazonConnect RTC session.
+     * @param {*} signalingUri
+     * @param {*} iceServers Array of ice servers
+     * @param {*} contactToken A string representing the contact token (optional)
+     * @param {*} logger An object provides logging functions, such as console
+     * @param {*} contactId Must be UUID, uniquely identifies the session.
+     */
+    constructor(signalingUri, iceServers, contactToken, logger, contactId) {
+        super();
         if (typeof signalingUri !== 'string' || signalingUri.trim().length === 0) {
             throw new IllegalParameters('signalingUri required');
         }
@@ -490,6 +1694,8 @@ export default class RtcSession {
         this._logger = wrapLogger(this._originalLogger, this._callId, 'SESSION');
         this._iceTimeoutMillis = DEFAULT_ICE_TIMEOUT_MS;
         this._gumTimeoutMillis = DEFAULT_GUM_TIMEOUT_MS;
+        this._iceRestartGracePeriodMillis = DEFAULT_ICE_RESTART_GRACE_PERIOD_MS;
+        this._maxIceRestartAttempts = DEFAULT_MAX_ICE_RESTART_ATTEMPTS;
 
         this._enableAudio = true;
         this._enableVideo = false;
@@ -504,24 +1710,45 @@ export default class RtcSession {
          * session ends.
          */
         this._userProvidedStream = false;
+        /**
+         * Tracks grabbed from local devices after the call started (e.g. adding video, switching input).
+         * They are owned by RtcSession even if they end up in the stream provided by user.
+         */
+        this._acquiredTracks = [];
+        this._audioProcessors = [];
+        /**
+         * Chain turning microphone track in local stream into the track sent to the other end, null if audio is sent as captured.
+         */
+        this._audioProcessingChain = null;
+        this._screenShareStream = null;
+        this._videoSenderParameters = {};
+        this._iceConnectionState = null;
+        this._connectionState = null;
 
-        this._onGumError =
-            this._onGumSuccess =
-            this._onLocalStreamAdded =
-            this._onSessionFailed =
-            this._onSessionInitialized =
-            this._onSignalingConnected =
-            this._onIceCollectionComplete =
-            this._onSignalingStarted =
-            this._onSessionConnected =
-            this._onRemoteStreamAdded =
-            this._onSessionCompleted =
-            this._onSessionDestroyed = () => {
+        this._callbackListeners = {};
+        Object.keys(SESSION_EVENT_NOTIFIERS).forEach(type => {
+            var [notifier, ...fields] = SESSION_EVENT_NOTIFIERS[type];
+            this[notifier] = (rtcSession, ...values) => {
+                var payload = {
+                    type: type,
+                    rtcSession: rtcSession
+                };
+                fields.forEach((field, i) => {
+                    payload[field] = values[i];
+                });
+                this._emit(type, payload);
             };
+        });
     }
     get sessionReport() {
         return this._sessionReport;
     }
+    /**
+     * Name of current state, one of RTC_SESSION_STATES. Null before connect()/listen()/resume() is called.
+     */
+    get state() {
+        return this._state ? this._state.name : null;
+    }
     get callId() {
         return this._callId;
     }
@@ -536,6 +1763,24 @@ export default class RtcSession {
     get remoteVideoStream() {
         return this._remoteVideoStream;
     }
+    /**
+     * Current microphone level between 0 and 1 while the call is established, heard even if local audio is paused. 0 if it's not monitored.
+     */
+    get localAudioLevel() {
+        return this._localAudioMonitor ? this._localAudioMonitor.level : 0;
+    }
+    /**
+     * Stream of the screen being shared, null if screen is not shared.
+     */
+    get screenShareStream() {
+        return this._screenShareStream;
+    }
+    /**
+     * State of call recording, inactive|recording|paused.
+     */
+    get recordingState() {
+        return this._callRecorder ? this._callRecorder.state : 'inactive';
+    }
     pauseLocalVideo() {
         if(this._localStream) {
             var videoTrack = this._localStream.getVideoTracks()[0];
@@ -554,7 +1799,7 @@ export default class RtcSession {
     }
     pauseRemoteVideo() {
         if (this._remoteVideoStream) {
-            var videoTrack = this._remoteVideoStream.getTracks()[1];
+            var videoTrack = this._remoteVideoStream.getVideoTracks()[0];
             if(videoTrack) {
                 videoTrack.enabled = false;
             }
@@ -562,7 +1807,7 @@ export default class RtcSession {
     }
     resumeRemoteVideo() {
         if (this._remoteVideoStream) {
-            var videoTrack = this._remoteVideoStream.getTracks()[1];
+            var videoTrack = this._remoteVideoStream.getVideoTracks()[0];
             if(videoTrack) {
                 videoTrack.enabled = true;
             }
@@ -586,7 +1831,7 @@ export default class RtcSession {
     }
     pauseRemoteAudio() {
         if (this._remoteAudioStream) {
-            var audioTrack = this._remoteAudioStream.getTracks()[0];
+            var audioTrack = this._remoteAudioStream.getAudioTracks()[0];
             if(audioTrack) {
                 audioTrack.enabled = false;
             }
@@ -594,107 +1839,214 @@ export default class RtcSession {
     }
     resumeRemoteAudio() {
         if (this._remoteAudioStream) {
-            var audioTrack = this._remoteAudioStream.getTracks()[0];
+            var audioTrack = this._remoteAudioStream.getAudioTracks()[0];
             if(audioTrack) {
                 audioTrack.enabled = true;
             }
         }
     }
     /**
-     * Callback when gUM succeeds.
+     * Callback when gUM succeeds.
+     * First param is RtcSession object.
+     */
+    set onGumSuccess(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.GUM_SUCCESS, handler);
+    }
+    /**
+     * Callback when gUM fails.
+     * First param is RtcSession object.
+     * Second param is the error.
+     */
+    set onGumError(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.GUM_ERROR, handler);
+    }
+    /**
+     * Callback when the session fails, at any stage of the call.
+     * First param is RtcSession object.
+     * Second param is RtcError, its legacy field holds the failure reason in RTC_ERRORS which used to be passed here.
+     */
+    set onSessionFailed(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SESSION_FAILED, handler);
+    }
+    /**
+     * Callback after local user media stream is added to the session.
+     * First param is RtcSession object.
+     * Second param is media stream
+     */
+    set onLocalStreamAdded(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.LOCAL_STREAM_ADDED, handler);
+    }
+    /**
+     * Callback when all local resources are ready. Establishing signaling chanel and ICE collection happens at the same time after this.
+     * First param is RtcSession object.
+     */
+    set onSessionInitialized(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SESSION_INITIALIZED, handler);
+    }
+    /**
+     * Callback when signaling channel is established.
+     * RTC session will move forward only if onSignalingConnected and onIceCollectionComplete are both called.
+     *
+     * First param is RtcSession object.
+     */
+    set onSignalingConnected(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SIGNALING_CONNECTED, handler);
+    }
+    /**
+     * Callback when ICE collection completes either because there is no more candidate or collection timed out.
+     * RTC session will move forward only if onSignalingConnected and onIceCollectionComplete are both called.
+     *
+     * First param is RtcSession object.
+     * Second param is boolean, TRUE - ICE collection timed out.
+     * Third param is number of candidates collected.
+     */
+    set onIceCollectionComplete(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.ICE_COLLECTION_COMPLETE, handler);
+    }
+    /**
+     * Inbound call only. Callback when the server invites this session, the call is ringing until accept() or reject() is called.
+     * First param is RtcSession object.
+     * Second param is caller metadata object sent by the server along with the invite.
+     */
+    set onIncomingCall(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.INCOMING_CALL, handler);
+    }
+    /**
+     * Callback when signaling channel is established and ICE collection completed with at least one candidate.
+     * First param is RtcSession object.
+     */
+    set onSignalingStarted(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SIGNALING_STARTED, handler);
+    }
+    /**
+     * Callback when the call is established (handshaked and media stream should be flowing)
+     * First param is RtcSession object.
+     */
+    set onSessionConnected(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SESSION_CONNECTED, handler);
+    }
+    /**
+     * Callback after remote media stream is added to the session.
+     * This could be called multiple times with the same stream if multiple tracks are included in the same stream.
+     *
+     * First param is RtcSession object.
+     * Second param is media stream track.
+     */
+    set onRemoteStreamAdded(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.REMOTE_STREAM_ADDED, handler);
+    }
+    /**
+     * Callback when mid-call renegotiation completes, no matter which side started it.
+     * First param is RtcSession object.
+     */
+    set onRenegotiated(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.RENEGOTIATED, handler);
+    }
+    /**
+     * Callback when mid-call renegotiation fails. The call goes on with previous media setup.
+     * First param is RtcSession object.
+     * Second param is the error.
+     */
+    set onRenegotiationFailed(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.RENEGOTIATION_FAILED, handler);
+    }
+    /**
+     * Callback before each attempt of reconnecting signaling channel lost in the middle of the call. Media keeps flowing while reconnecting.
      * First param is RtcSession object.
+     * Second param is attempt number, starting from 1.
+     * Third param is delay in millis before the attempt.
      */
-    set onGumSuccess(handler) {
-        this._onGumSuccess = handler;
+    set onReconnecting(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.RECONNECTING, handler);
     }
     /**
-     * Callback when gUM fails.
+     * Callback when signaling channel lost in the middle of the call is connected again.
      * First param is RtcSession object.
-     * Second param is the error.
      */
-    set onGumError(handler) {
-        this._onGumError = handler;
+    set onReconnected(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.RECONNECTED, handler);
     }
     /**
-     * Callback if failed initializing local resources
+     * Callback when the hangup is initiated (implies the call was successfully established).
      * First param is RtcSession object.
      */
-    set onSessionFailed(handler) {
-        this._onSessionFailed = handler;
+    set onSessionCompleted(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SESSION_COMPLETED, handler);
     }
     /**
-     * Callback after local user media stream is added to the session.
+     * Callback after session is cleaned up, no matter if the call was successfully established or not.
      * First param is RtcSession object.
-     * Second param is media stream
+     * Second param is SessionReport object.
      */
-    set onLocalStreamAdded(handler) {
-        this._onLocalStreamAdded = handler;
+    set onSessionDestroyed(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SESSION_DESTROYED, handler);
     }
     /**
-     * Callback when all local resources are ready. Establishing signaling chanel and ICE collection happens at the same time after this.
+     * Callback when the session moves to another state, before the new state takes any action.
      * First param is RtcSession object.
+     * Second param is the name of previous state (one of RTC_SESSION_STATES), null for the first state.
+     * Third param is the name of new state.
+     * Fourth param is the time of the change (Date).
      */
-    set onSessionInitialized(handler) {
-        this._onSessionInitialized = handler;
+    set onStateChange(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.STATE_CHANGE, handler);
     }
     /**
-     * Callback when signaling channel is established.
-     * RTC session will move forward only if onSignalingConnected and onIceCollectionComplete are both called.
-     *
+     * Callback with microphone level while the call is established, called periodically (see DEFAULT_LOCAL_AUDIO_MONITOR_OPTIONS).
      * First param is RtcSession object.
+     * Second param is the peak level (0 to 1) since the previous call.
      */
-    set onSignalingConnected(handler) {
-        this._onSignalingConnected = handler;
+    set onLocalAudioLevel(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.LOCAL_AUDIO_LEVEL, handler);
     }
     /**
-     * Callback when ICE collection completes either because there is no more candidate or collection timed out.
-     * RTC session will move forward only if onSignalingConnected and onIceCollectionComplete are both called.
-     *
+     * Callback when the agent is heard speaking while local audio is paused, so that they could be reminded to resume it.
+     * Called once per pause.
      * First param is RtcSession object.
-     * Second param is boolean, TRUE - ICE collection timed out.
-     * Third param is number of candidates collected.
+     * Second param is the level (0 to 1) heard.
      */
-    set onIceCollectionComplete(handler) {
-        this._onIceCollectionComplete = handler;
+    set onSpeakingWhileMuted(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SPEAKING_WHILE_MUTED, handler);
     }
     /**
-     * Callback when signaling channel is established and ICE collection completed with at least one candidate.
+     * Callback with each chunk of call recording started with timesliceMillis option.
      * First param is RtcSession object.
+     * Second param is the chunk (Blob).
      */
-    set onSignalingStarted(handler) {
-        this._onSignalingStarted = handler;
+    set onRecordingData(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.RECORDING_DATA, handler);
     }
     /**
-     * Callback when the call is established (handshaked and media stream should be flowing)
+     * Callback when call recording is stopped, either by stopRecording() or because the call ended.
      * First param is RtcSession object.
+     * Second param is Blob of the whole recording, null if it's delivered in chunks through onRecordingData.
      */
-    set onSessionConnected(handler) {
-        this._onSessionConnected = handler;
+    set onRecordingStopped(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.RECORDING_STOPPED, handler);
     }
     /**
-     * Callback after remote media stream is added to the session.
-     * This could be called multiple times with the same stream if multiple tracks are included in the same stream.
-     *
+     * Callback when MediaRecorder reports an error while recording the call.
      * First param is RtcSession object.
-     * Second param is media stream track.
+     * Second param is the error.
      */
-    set onRemoteStreamAdded(handler) {
-        this._onRemoteStreamAdded = handler;
+    set onRecordingError(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.RECORDING_ERROR, handler);
     }
     /**
-     * Callback when the hangup is initiated (implies the call was successfully established).
+     * Callback when screen starts being sent instead of camera.
      * First param is RtcSession object.
+     * Second param is the screen stream.
      */
-    set onSessionCompleted(handler) {
-        this._onSessionCompleted = handler;
+    set onScreenShareStarted(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SCREEN_SHARE_STARTED, handler);
     }
     /**
-     * Callback after session is cleaned up, no matter if the call was successfully established or not.
+     * Callback when screen sharing stops, either by stopScreenShare(), from browser UI or because the call ended.
      * First param is RtcSession object.
-     * Second param is SessionReport object.
+     * Second param is boolean, TRUE - sharing was stopped from browser UI.
      */
-    set onSessionDestroyed(handler) {
-        this._onSessionDestroyed = handler;
+    set onScreenShareStopped(handler) {
+        this._setCallback(RTC_SESSION_EVENTS.SCREEN_SHARE_STOPPED, handler);
     }
 
     set enableAudio(flag) {
@@ -749,10 +2101,18 @@ export default class RtcSession {
      */
     set remoteAudioElement(element) {
         this._remoteAudioElement = element;
+        this._applyAudioOutputDevice();
     }
     set remoteVideoElement(element) {
         this._remoteVideoElement = element;
     }
+    /**
+     * Optional. Audio element the application plays ringtones with, so that they could go to a different device than the call (see setRingerDevice).
+     */
+    set ringerElement(element) {
+        this._ringerElement = element;
+        this._applyRingerDevice();
+    }
     /**
      * Override the default signaling connect time out.
      */
@@ -766,6 +2126,66 @@ export default class RtcSession {
         this._iceTimeoutMillis = timeoutMillis;
     }
 
+    /**
+     * Override the default time to wait for lost ICE connection to recover before restarting ICE, also the time each ICE restart gets to reconnect.
+     */
+    set iceRestartGracePeriodMillis(gracePeriodMillis) {
+        this._iceRestartGracePeriodMillis = gracePeriodMillis;
+    }
+    /**
+     * Override the default number of ICE restart attempts after media path is lost.
+     * Set to 0 to disable ICE restart, e.g. if the signaling server doesn't support re-invite.
+     */
+    set maxIceRestartAttempts(attempts) {
+        this._maxIceRestartAttempts = attempts;
+    }
+
+    /**
+     * Override the default policy of reconnecting signaling channel lost in the middle of the call (see DEFAULT_RECONNECT_POLICY).
+     * Object with any of maxAttempts, initialDelayMillis, maxDelayMillis, multiplier, jitter and totalBudgetMillis, missing fields keep default values.
+     */
+    set reconnectPolicy(policy) {
+        this._reconnectPolicy = policy;
+    }
+
+    /**
+     * Opt in signaling heartbeat while the call is established, so that half-open connection is detected and reconnected promptly.
+     * Object with any of method, intervalMillis and missThreshold (see DEFAULT_HEARTBEAT_OPTIONS), missing fields keep default values.
+     */
+    set signalingHeartbeat(options) {
+        this._signalingHeartbeat = options;
+    }
+
+    /**
+     * Override the default options of monitoring microphone level (see DEFAULT_LOCAL_AUDIO_MONITOR_OPTIONS), missing fields keep default values.
+     */
+    set localAudioMonitorOptions(options) {
+        this._localAudioMonitorOptions = options;
+    }
+
+    /**
+     * Override the default WebSocket transport of signaling channel, e.g. to go through a proxy or a worker.
+     * Factory function returns a new transport object for each connection, see WebSocketTransport for the interface.
+     */
+    set signalingTransportFactory(factory) {
+        this._signalingTransportFactory = factory;
+    }
+
+    /**
+     * Override the default timeouts of signaling requests by method (see DEFAULT_RPC_TIMEOUTS_MS), e.g. {invite: 10000}.
+     */
+    set signalingRequestTimeouts(timeouts) {
+        this._signalingRequestTimeouts = timeouts;
+    }
+
+    /**
+     * Opt in persisting the call (call id, client token and media settings) once it's accepted, so it could be resumed after page reload (see resume()).
+     * Store is any object implementing get/set/remove, e.g. SessionStorageStore backed by window.sessionStorage. Persisted call is removed when the session ends.
+     */
+    set sessionStore(store) {
+        this._sessionStore = store;
+    }
+
     /**
      * Override the default GUM timeout time limit.
      */
@@ -793,6 +2213,17 @@ export default class RtcSession {
         this._forceVideoCodec = videoCodec;
     }
 
+    /**
+     * connect-rtc-js collects ICE candidates (see iceTimeoutMillis) before sending the invite by default.
+     * Setting this to true sends the invite as soon as signaling channel is connected, with candidates collected so far.
+     * The rest of local/remote candidates are exchanged one by one over signaling channel.
+     * Amazon Connect service must support trickle ICE for this to work.
+     * @param flag boolean
+     */
+    set enableTrickleIce(flag) {
+        this._trickleIce = flag;
+    }
+
     /**
      * connect-rtc-js disables OPUS DTX by default because it harms audio quality.
      * @param flag boolean
@@ -808,7 +2239,13 @@ export default class RtcSession {
                 this._state.onExit();
             }
         } finally {
+            var previousStateName = this._state ? this._state.name : null;
+            var timestamp = new Date();
+            this._previousState = this._state;
             this._state = nextState;
+            this._recordTimeline(TIMELINE_SOURCES.SESSION, previousStateName, nextState.name, timestamp,
+                nextState instanceof FailedState ? describeFailure(nextState._failureReason, nextState._cause) : null);
+            this._onStateChange(this, previousStateName, nextState.name, timestamp);
             if (nextState.onEnter) {
                 try {
                     nextState.onEnter();
@@ -823,8 +2260,28 @@ export default class RtcSession {
     _createSignalingChannel() {
         var signalingChannel = new RtcSignaling(this._callId, this._signalingUri, this._contactToken, this._originalLogger, this._signalingConnectTimeout);
         signalingChannel.onConnected = hitch(this, this._signalingConnected);
+        signalingChannel.onInvited = hitch(this, this._signalingInvited);
+        signalingChannel.onRemoteCandidate = hitch(this, this._signalingRemoteCandidate);
+        signalingChannel.trickleIce = this._trickleIce;
         signalingChannel.onAnswered = hitch(this, this._signalingAnswered);
         signalingChannel.onHandshaked = hitch(this, this._signalingHandshaked);
+        signalingChannel.onReinvited = hitch(this, this._signalingReinvited);
+        signalingChannel.onReinviteAnswered = hitch(this, this._signalingReinviteAnswered);
+        signalingChannel.onReinviteFailed = hitch(this, this._signalingReinviteFailed);
+        signalingChannel.onReconnecting = hitch(this, this._signalingReconnecting);
+        signalingChannel.onReconnected = hitch(this, this._signalingReconnected);
+        signalingChannel.onClientTokenUpdated = hitch(this, this._signalingClientTokenUpdated);
+        signalingChannel.onStateChange = hitch(this, this._signalingStateChanged);
+        if (this._reconnectPolicy) {
+            signalingChannel.reconnectPolicy = this._reconnectPolicy;
+        }
+        signalingChannel.heartbeat = this._signalingHeartbeat;
+        if (this._signalingTransportFactory) {
+            signalingChannel.transportFactory = this._signalingTransportFactory;
+        }
+        if (this._signalingRequestTimeouts) {
+            signalingChannel.requestTimeouts = this._signalingRequestTimeouts;
+        }
         signalingChannel.onRemoteHungup = hitch(this, this._signalingRemoteHungup);
         signalingChannel.onFailed = hitch(this, this._signalingFailed);
         signalingChannel.onDisconnected = hitch(this, this._signalingDisconnected);
@@ -837,12 +2294,61 @@ export default class RtcSession {
     _signalingConnected() {
         this._state.onSignalingConnected();
     }
+    _signalingInvited(sdp, candidates, callerInfo) {
+        this._state.onSignalingInvited(sdp, candidates, callerInfo);
+    }
     _signalingAnswered(sdp, candidates) {
         this._state.onSignalingAnswered(sdp, candidates);
     }
+    _signalingRemoteCandidate(candidate) {
+        this._state.onRemoteCandidate(candidate);
+    }
     _signalingHandshaked() {
         this._state.onSignalingHandshaked();
     }
+    _signalingReinvited(sdp, candidates) {
+        this._state.onSignalingReinvited(sdp, candidates);
+    }
+    _signalingReinviteAnswered(sdp, candidates) {
+        this._state.onSignalingReinviteAnswered(sdp, candidates);
+    }
+    _signalingReinviteFailed(e) {
+        this._state.onSignalingReinviteFailed(e);
+    }
+    _signalingReconnecting(attempt, delayMillis) {
+        this._state.onSignalingReconnecting(attempt, delayMillis);
+    }
+    _signalingReconnected() {
+        this._state.onSignalingReconnected();
+    }
+    _signalingClientTokenUpdated(clientToken) {
+        if (!this._sessionStore) {
+            return;
+        }
+        try {
+            this._sessionStore.set(this._callId, {
+                callId: this._callId,
+                clientToken: clientToken,
+                enableAudio: this._enableAudio,
+                enableVideo: this._enableVideo
+            });
+        } catch (e) {
+            this._logger.warn('Failed persisting the call', e);
+        }
+    }
+    _forgetSession() {
+        if (!this._sessionStore) {
+            return;
+        }
+        try {
+            this._sessionStore.remove(this._callId);
+        } catch (e) {
+            this._logger.warn('Failed removing persisted call', e);
+        }
+    }
+    _signalingStateChanged(from, to, timestamp, exception) {
+        this._recordTimeline(TIMELINE_SOURCES.SIGNALING, from, to, timestamp, exception ? describeError(exception) : null);
+    }
     _signalingRemoteHungup() {
         this._state.onRemoteHungup();
     }
@@ -854,10 +2360,22 @@ export default class RtcSession {
     _createPeerConnection(configuration) {
         return new RTCPeerConnection(configuration);
     }
+    /**
+     * Start the call, onSessionConnected is called once it's established.
+     * @return Promise resolved with this RtcSession once the call is connected, rejected with RtcError if the session ends before that.
+     */
     connect() {
         var self = this;
+        var connected = new Promise((resolve, reject) => {
+            self.once(RTC_SESSION_EVENTS.SESSION_CONNECTED, () => resolve(self));
+            self.once(RTC_SESSION_EVENTS.SESSION_DESTROYED, () => reject(self._createSessionFailure()));
+        });
+        //callers relying on callbacks don't handle the rejection
+        connected.catch(() => {
+        });
         var now = new Date();
         self._sessionReport.sessionStartTime = now;
+        self._sessionReport.trickleIce = !!self._trickleIce;
         self._connectTimeStamp = now.getTime();
 
         self._pc = self._createPeerConnection({
@@ -865,7 +2383,7 @@ export default class RtcSession {
             iceTransportPolicy: 'relay',
             rtcpMuxPolicy: 'require',
             bundlePolicy: 'balanced',
-            sdpSemantics: 'plan-b'
+            sdpSemantics: 'unified-plan'
         }, {
             optional: [
                 {
@@ -877,14 +2395,208 @@ export default class RtcSession {
         self._pc.ontrack = hitch(self, self._ontrack);
         self._pc.onicecandidate = hitch(self, self._onIceCandidate);
         self._pc.oniceconnectionstatechange = hitch(self, self._onIceStateChange);
+        self._pc.onconnectionstatechange = hitch(self, self._onConnectionStateChange);
 
         self.transit(new GrabLocalMediaState(self));
+        return connected;
+    }
+    /**
+     * Wait for the server to invite this session (inbound call), instead of inviting the server.
+     * Local media is grabbed and signaling channel is connected the same way as connect(), onIncomingCall is called once the invite arrives.
+     * @return Promise resolved once the incoming call is accepted and connected, rejected with RtcError otherwise (e.g. the call is rejected)
+     */
+    listen() {
+        this._inbound = true;
+        return this.connect();
     }
+    /**
+     * Inbound call only. Accept the ringing call, answer is created and sent to the server.
+     */
     accept() {
-        throw new UnsupportedOperation('accept does not go through signaling channel at this moment');
+        this._state.accept();
+    }
+    /**
+     * Inbound call only. Reject the ringing call.
+     * @param {number} reasonCode One of REJECT_REASONS, default to REJECT_REASONS.DECLINE
+     */
+    reject(reasonCode) {
+        this._state.reject(reasonCode);
+    }
+    /**
+     * Resume the call persisted in sessionStore by a previous RtcSession of the same contactId (e.g. before page reload), in place of connect().
+     * Local media is grabbed with persisted media settings, signaling channel reconnects with the persisted client token and media is renegotiated on a new peer connection.
+     * onSessionConnected is called once it's done, onSessionFailed with RESUME_FAILURE if the call can't be resumed.
+     * @return Promise settled the same way as connect()
+     */
+    resume() {
+        var savedSession = this._sessionStore && this._sessionStore.get(this._callId);
+        if (!savedSession || !savedSession.clientToken) {
+            throw new IllegalState('No persisted call to resume for ' + this._callId);
+        }
+        this._resumedSession = savedSession;
+        this._enableAudio = savedSession.enableAudio !== false;
+        this._enableVideo = !!savedSession.enableVideo;
+        this._sessionReport.sessionResumed = true;
+        return this.connect();
     }
+    /**
+     * Hang up the call, or cancel it if it's not connected yet.
+     * @return Promise resolved with SessionReport once the session is cleaned up.
+     */
     hangup() {
+        if (this._state instanceof CleanUpState) {
+            return Promise.resolve(this._sessionReport);
+        }
+        var ended = new Promise(resolve => {
+            this.once(RTC_SESSION_EVENTS.SESSION_DESTROYED, payload => resolve(payload.sessionReport));
+        });
         this._state.hangup();
+        return ended;
+    }
+    /**
+     * Renegotiate media with the server in the middle of the call (re-invite), e.g. to apply new forceAudioCodec/forceVideoCodec.
+     * Only supported once the call is connected and no other renegotiation is in progress. onRenegotiated or onRenegotiationFailed is called when it's done.
+     */
+    renegotiate() {
+        this._state.renegotiate();
+    }
+    /**
+     * Add camera video to a connected audio only call. Video is grabbed with current video settings and media is renegotiated.
+     * @return Promise resolved once the video track is added and renegotiation started, rejected if camera couldn't be grabbed or the call is not connected.
+     */
+    addLocalVideo() {
+        return this._state.addLocalVideo();
+    }
+    /**
+     * Switch microphone in the middle of the call, the new track replaces the current one on the sender without renegotiation and mediaStream is updated.
+     * Following getUserMedia calls of this session (e.g. addLocalVideo) use the same device.
+     * @param {string} deviceId Audio input device id, see MediaDevices.enumerateDevices()
+     * @return Promise resolved once the new track is sent, rejected if the device couldn't be grabbed or the call is not connected.
+     */
+    switchAudioInput(deviceId) {
+        return this._state.switchInput('audio', deviceId);
+    }
+    /**
+     * Switch camera in the middle of the call, works the same way as switchAudioInput. Only supported when the call already sends video.
+     * @param {string} deviceId Video input device id, see MediaDevices.enumerateDevices()
+     */
+    switchVideoInput(deviceId) {
+        return this._state.switchInput('video', deviceId);
+    }
+    /**
+     * Play remote audio on given speaker or headset. The choice applies to remoteAudioElement set later on and is kept when remote stream changes.
+     * @param {string} deviceId Audio output device id, see MediaDevices.enumerateDevices()
+     * @return Promise resolved once remote audio is routed to the device, rejected with UnsupportedOperation if the browser doesn't support output device selection.
+     */
+    setAudioOutputDevice(deviceId) {
+        this._audioOutputDeviceId = deviceId;
+        return this._remoteAudioElement ? applyAudioOutputDevice(this._remoteAudioElement, deviceId) : Promise.resolve();
+    }
+    /**
+     * Process microphone audio before it's sent, e.g. noise suppression, gain control or custom DSP. Local stream keeps the captured track,
+     * so pausing local audio and level monitoring work on captured audio. Each processor is either
+     * - a function called with AudioContext, returning an AudioNode or a promise of it (e.g. AudioWorkletNode once its module is loaded);
+     * - an object with process(track) function, returning processed MediaStreamTrack or a promise of it.
+     * Processors apply in order, the chain could be replaced any time in the middle of the call, an empty array sends audio as captured.
+     * @param {Array} processors
+     * @return Promise resolved once processed audio is sent (right away if microphone is not grabbed yet),
+     *         rejected if the chain couldn't be built in the middle of the call, previous chain is kept then.
+     */
+    setAudioProcessors(processors) {
+        var self = this;
+        self._audioProcessors = processors || [];
+        var pc = self._pc;
+        var captureTrack = self._localStream && self._localStream.getAudioTracks()[0];
+        var currentSentTrack = captureTrack && sentTrack(self, captureTrack);
+        var sender = currentSentTrack && pc && pc.getSenders().filter(sender => sender.track === currentSentTrack)[0];
+        if (!sender) {
+            //applied once local audio is added to peer connection
+            return Promise.resolve();
+        }
+        var chain = null;
+        return processAudio(self, captureTrack).then(processingChain => {
+            chain = processingChain;
+            if (self._pc !== pc) {
+                throw new IllegalState('Call ended while processing local audio');
+            }
+            return sender.replaceTrack(chain ? chain.outputTrack : captureTrack);
+        }).then(() => {
+            swapAudioProcessingChain(self, chain);
+            self._replaceRecordedTrack(currentSentTrack, sentTrack(self, captureTrack));
+        }, e => {
+            if (chain) {
+                chain.stop();
+            }
+            throw e;
+        });
+    }
+    /**
+     * Play ringtones on given device, e.g. loud speaker while the call goes to headset. Works the same way as setAudioOutputDevice, on ringerElement.
+     * @param {string} deviceId Audio output device id, see MediaDevices.enumerateDevices()
+     */
+    setRingerDevice(deviceId) {
+        this._ringerDeviceId = deviceId;
+        return this._ringerElement ? applyAudioOutputDevice(this._ringerElement, deviceId) : Promise.resolve();
+    }
+    /**
+     * Control outgoing video encoding at any time, e.g. lower bitrate on poor network. Any of these fields, missing ones are left as they are,
+     * null resets to browser default:
+     * maxBitrate (bps), maxFramerate, scaleResolutionDownBy (e.g. 2 halves width and height), degradationPreference (one of DEGRADATION_PREFERENCES).
+     * Parameters are kept for video sent later on (e.g. addLocalVideo). Browsers without RTCRtpSender.setParameters only get maxBitrate,
+     * through bandwidth of remote SDP, media is renegotiated for it if the call is connected.
+     * @param {Object} parameters
+     * @return Promise resolved once parameters are applied to video being sent (right away if there is none or it's renegotiated)
+     * @throws IllegalParameters if parameters is not an object
+     */
+    setVideoSenderParameters(parameters) {
+        var self = this;
+        if (!parameters || typeof parameters !== 'object') {
+            throw new IllegalParameters('parameters required');
+        }
+        Object.assign(self._videoSenderParameters, parameters);
+        var senders = self._videoSenders();
+        if (senders.some(sender => typeof sender.setParameters !== 'function')) {
+            if (typeof parameters.maxBitrate !== 'undefined' && self.state === RTC_SESSION_STATES.TALKING) {
+                self.renegotiate();
+            }
+            return Promise.resolve();
+        }
+        return Promise.all(senders.map(sender => applyVideoSenderParameters(sender, self._videoSenderParameters))).then(() => {});
+    }
+    /**
+     * Send screen instead of camera in the middle of a video call, without renegotiation. The user picks what to share in browser UI.
+     * Camera is sent again when stopScreenShare() is called or the user stops sharing from browser UI.
+     * @return Promise resolved once the screen is sent, rejected if the call doesn't send video, it's not connected or the user declined.
+     */
+    startScreenShare() {
+        return this._state.startScreenShare();
+    }
+    /**
+     * @return Promise resolved once camera is sent again.
+     */
+    stopScreenShare() {
+        return this._screenShareStream ? this._stopScreenShare(false, true) : Promise.reject(new IllegalState('Screen is not shared'));
+    }
+    /**
+     * Record the call on this machine: local and remote audio mixed into one track, along with remote video if any. One recording at a time.
+     * Recording is delivered through onRecordingData/onRecordingStopped, it stops automatically when the call ends.
+     * @param {Object} options Override DEFAULT_RECORDING_OPTIONS (optional)
+     * @throws IllegalState if the call is not connected or it's already recording
+     */
+    startRecording(options) {
+        this._state.startRecording(options);
+    }
+    pauseRecording() {
+        this._getCallRecorder().pause();
+    }
+    resumeRecording() {
+        this._getCallRecorder().resume();
+    }
+    /**
+     * @return Promise resolved with Blob of the whole recording (null if it's delivered in chunks) once it's complete.
+     */
+    stopRecording() {
+        return this._callRecorder ? this._callRecorder.stop() : Promise.reject(new IllegalState('Not recording'));
     }
 
     /**
@@ -895,28 +2607,12 @@ export default class RtcSession {
     async getStats() {
         var timestamp = new Date();
 
-        var impl = async (stream, streamType) => {
-            var tracks = [];
-
-            if (! stream) {
-                return [];
-            }
-
-            switch(streamType) {
-            case 'audio_input':
-            case 'audio_output':
-                tracks = stream.getAudioTracks();
-                break;
-            case 'video_input':
-            case 'video_output':
-                tracks = stream.getVideoTracks();
-                break;
-            default:
-                throw new Error('Unsupported stream type while trying to get stats: ' + streamType);
-            }
+        // input is what's sent to Amazon Connect (senders), output is what's received from it (receivers)
+        var impl = async (kind, streamType) => {
+            var rtpEndpoints = negotiatedRtpEndpoints(this._pc, kind, streamType.endsWith('_input'));
 
-            return await Promise.all(tracks.map(async (track) => {
-                var rawStats = await this._pc.getStats(track);
+            return await Promise.all(rtpEndpoints.map(async (rtpEndpoint) => {
+                var rawStats = await rtpEndpoint.getStats();
                 var digestedStats = extractMediaStatsFromStats(timestamp, rawStats, streamType);
                 if (! digestedStats) {
                     throw new Error('Failed to extract MediaRtpStats from RTCStatsReport for stream type ' + streamType);
@@ -928,13 +2624,13 @@ export default class RtcSession {
         if (this._pc && this._pc.signalingState === 'stable') {
             var statsResult = {
                 audio: {
-                    input:  await impl(this._remoteAudioStream, 'audio_input'),
-                    output: await impl(this._localStream, 'audio_output')
+                    input:  await impl('audio', 'audio_input'),
+                    output: await impl('audio', 'audio_output')
                 },
 
                 video: {
-                    input:  await impl(this._remoteVideoStream, 'video_input'),
-                    output: await impl(this._localStream, 'video_output')
+                    input:  await impl('video', 'video_input'),
+                    output: await impl('video', 'video_output')
                 }
             };
 
@@ -1031,9 +2727,38 @@ export default class RtcSession {
     }
 
     _onIceStateChange(evt) {
+        var iceConnectionState = evt.currentTarget.iceConnectionState;
+        this._recordTimeline(TIMELINE_SOURCES.ICE, this._iceConnectionState, iceConnectionState, new Date());
+        this._iceConnectionState = iceConnectionState;
+        if ((iceConnectionState === 'connected' || iceConnectionState === 'completed') && this._sessionReport.timeToFirstMediaMillis === null) {
+            this._sessionReport.timeToFirstMediaMillis = Date.now() - this._connectTimeStamp;
+        }
         this._state.onIceStateChange(evt);
     }
 
+    _onConnectionStateChange(evt) {
+        var connectionState = evt.currentTarget.connectionState;
+        this._recordTimeline(TIMELINE_SOURCES.PEER_CONNECTION, this._connectionState, connectionState, new Date());
+        this._connectionState = connectionState;
+    }
+    /**
+     * Append an entry to SessionReport.timeline.
+     * @param {string} source One of TIMELINE_SOURCES
+     * @param {string} from Previous state, null for the first one
+     * @param {string} to New state
+     * @param {Date} timestamp
+     * @param {string} error Description of the error leading to the transition (optional)
+     */
+    _recordTimeline(source, from, to, timestamp, error) {
+        this._sessionReport.timeline.push({
+            timestamp: timestamp,
+            source: source,
+            from: from,
+            to: to,
+            error: error || null
+        });
+    }
+
     /**
      * Attach remote media stream to web element.
      */
@@ -1042,14 +2767,70 @@ export default class RtcSession {
             this._logger.warn('Found more than 1 streams for ' + evt.track.kind + ' track ' + evt.track.id + ' : ' +
                 evt.streams.map(stream => stream.id).join(','));
         }
+        this._logger.info('Remote ' + evt.track.kind + ' track added, mid=' + (evt.transceiver ? evt.transceiver.mid : null));
+        //track isn't associated with any stream if remote SDP comes without msid
+        var stream = evt.streams[0] || this._createMediaStream([evt.track]);
         if (evt.track.kind === 'video' && this._remoteVideoElement) {
-            this._remoteVideoElement.srcObject = evt.streams[0];
-            this._remoteVideoStream = evt.streams[0];
+            this._remoteVideoElement.srcObject = stream;
+            this._remoteVideoStream = stream;
         } else if (evt.track.kind === 'audio' && this._remoteAudioElement) {
-            this._remoteAudioElement.srcObject = evt.streams[0];
-            this._remoteAudioStream = evt.streams[0];
+            this._remoteAudioElement.srcObject = stream;
+            this._remoteAudioStream = stream;
+            this._applyAudioOutputDevice();
+        }
+        this._onRemoteStreamAdded(this, stream);
+    }
+    _applyAudioOutputDevice() {
+        var self = this;
+        if (self._remoteAudioElement && self._audioOutputDeviceId) {
+            applyAudioOutputDevice(self._remoteAudioElement, self._audioOutputDeviceId).catch(e => {
+                self._logger.warn('Failed routing remote audio to ' + self._audioOutputDeviceId, e);
+            });
+        }
+    }
+    _applyRingerDevice() {
+        var self = this;
+        if (self._ringerElement && self._ringerDeviceId) {
+            applyAudioOutputDevice(self._ringerElement, self._ringerDeviceId).catch(e => {
+                self._logger.warn('Failed routing ringtone to ' + self._ringerDeviceId, e);
+            });
+        }
+    }
+    /**
+     * Replace the listener held by onXxx setter of the event, callback is called with the RtcSession object followed by payload fields.
+     */
+    _setCallback(type, callback) {
+        var fields = SESSION_EVENT_NOTIFIERS[type].slice(1);
+        if (this._callbackListeners[type]) {
+            this.off(type, this._callbackListeners[type]);
+            this._callbackListeners[type] = null;
+        }
+        if (callback) {
+            this._callbackListeners[type] = payload => callback(payload.rtcSession, ...fields.map(field => payload[field]));
+            this.on(type, this._callbackListeners[type]);
         }
-        this._onRemoteStreamAdded(this, evt.streams[0]);
+    }
+    _createSessionFailure() {
+        var report = this._sessionReport;
+        var error = this._state instanceof FailedState ? this._state.error :
+            createSessionEndedError(this._previousState ? this._previousState.name : null);
+        error.timings = {
+            sessionStartTime: report.sessionStartTime,
+            sessionEndTime: report.sessionEndTime,
+            gumTimeMillis: report.gumTimeMillis,
+            initializationTimeMillis: report.initializationTimeMillis,
+            iceCollectionTimeMillis: report.iceCollectionTimeMillis,
+            signallingConnectTimeMillis: report.signallingConnectTimeMillis,
+            handshakingTimeMillis: report.handshakingTimeMillis,
+            cleanupTimeMillis: report.cleanupTimeMillis
+        };
+        return error;
+    }
+    _listenerFailed(type, e) {
+        this._logger.error('Listener of ' + type + ' failed', e);
+    }
+    _createMediaStream(tracks) {
+        return new MediaStream(tracks);
     }
     _detachMedia() {
         if (this._remoteVideoElement) {
@@ -1060,13 +2841,152 @@ export default class RtcSession {
             this._remoteAudioStream = null;
         }
     }
+    _startLocalAudioMonitor() {
+        var self = this;
+        var audioTrack = self._localStream && self._localStream.getAudioTracks()[0];
+        if (!audioTrack) {
+            return;
+        }
+        self._localAudioMonitor = self._createLocalAudioMonitor();
+        self._localAudioMonitor.onLevel = level => self._onLocalAudioLevel(self, level);
+        self._localAudioMonitor.onSpeakingWhileMuted = level => self._onSpeakingWhileMuted(self, level);
+        self._monitorLocalAudio(audioTrack);
+    }
+    _monitorLocalAudio(audioTrack) {
+        if (!this._localAudioMonitor) {
+            return;
+        }
+        try {
+            this._localAudioMonitor.start(audioTrack);
+        } catch (e) {
+            //level is not available without WebAudio, the call goes on
+            this._logger.warn('Failed monitoring local audio', e);
+            this._localAudioMonitor.stop();
+            this._localAudioMonitor = null;
+        }
+    }
+    _videoSenders() {
+        return this._pc ? this._pc.getSenders().filter(sender => sender.track && sender.track.kind === 'video') : [];
+    }
+    _applyVideoSenderParameters() {
+        var self = this;
+        if (Object.keys(self._videoSenderParameters).length === 0) {
+            return;
+        }
+        self._videoSenders().filter(sender => typeof sender.setParameters === 'function').forEach(sender => {
+            applyVideoSenderParameters(sender, self._videoSenderParameters).catch(e => {
+                self._logger.warn('Failed setting video sender parameters', e);
+            });
+        });
+    }
+    _screenShareStarted(stream, sender) {
+        var self = this;
+        self._screenShareStream = stream;
+        self._screenShareSender = sender;
+        self._screenShareStartTime = Date.now();
+        self._sessionReport.screenShares += 1;
+        stream.getVideoTracks()[0].onended = () => {
+            if (self._screenShareStream === stream) {
+                self._logger.info('Screen sharing ended by user');
+                self._stopScreenShare(true, true).catch(e => {
+                    self._logger.warn('Failed sending camera after screen sharing', e);
+                });
+            }
+        };
+        self._onScreenShareStarted(self, stream);
+    }
+    /**
+     * Stop screen stream and send camera again if restoreCamera is TRUE (it's not when the session is being stopped).
+     */
+    _stopScreenShare(endedByUser, restoreCamera) {
+        var self = this;
+        var stream = self._screenShareStream;
+        var sender = self._screenShareSender;
+        self._screenShareStream = self._screenShareSender = null;
+        self._sessionReport.screenShareTimeMillis += Date.now() - self._screenShareStartTime;
+        closeStream(stream);
+        var cameraTrack = restoreCamera && self._localStream && self._localStream.getVideoTracks()[0];
+        var restoringCamera = cameraTrack ? sender.replaceTrack(cameraTrack) : Promise.resolve();
+        return restoringCamera.then(() => {
+            self._onScreenShareStopped(self, endedByUser);
+        }, e => {
+            self._onScreenShareStopped(self, endedByUser);
+            throw e;
+        });
+    }
+    _startRecording(audioTracks, videoTrack, options) {
+        var self = this;
+        if (self._callRecorder) {
+            throw new IllegalState('Recording is already started');
+        }
+        var recorder = self._createCallRecorder(options);
+        recorder.onData = data => self._onRecordingData(self, data);
+        recorder.onStop = recording => {
+            if (self._callRecorder === recorder) {
+                self._callRecorder = null;
+            }
+            self._onRecordingStopped(self, recording);
+        };
+        recorder.onError = e => {
+            self._logger.error('Recording failed', e);
+            self._onRecordingError(self, e);
+        };
+        recorder.start(audioTracks, videoTrack);
+        self._callRecorder = recorder;
+    }
+    _stopRecording() {
+        if (this._callRecorder) {
+            this._callRecorder.stop();
+        }
+    }
+    /**
+     * Keep recording local audio once another track is sent in place of the recorded one (e.g. microphone switched or processors replaced).
+     */
+    _replaceRecordedTrack(oldTrack, newTrack) {
+        if (this._callRecorder) {
+            this._callRecorder.replaceAudioTrack(oldTrack, newTrack);
+        }
+    }
+    _getCallRecorder() {
+        if (!this._callRecorder) {
+            throw new IllegalState('Not recording');
+        }
+        return this._callRecorder;
+    }
+    _createCallRecorder(options) {
+        return new CallRecorder(options);
+    }
+    _createAudioProcessingChain(processors) {
+        return new AudioProcessingChain(processors);
+    }
+    _createLocalAudioMonitor() {
+        return new LocalAudioMonitor(this._localAudioMonitorOptions);
+    }
+    _stopLocalAudioMonitor() {
+        if (this._localAudioMonitor) {
+            this._localAudioMonitor.stop();
+            this._sessionReport.localAudioSilent = this._localAudioMonitor.silent;
+            this._sessionReport.localAudioMaxLevel = this._localAudioMonitor.maxLevel;
+            this._localAudioMonitor = null;
+        }
+    }
     _stopSession() {
+        this._forgetSession();
+        this._stopLocalAudioMonitor();
+        //processed track is stopped along with the chain, captured track is stopped with local stream below
+        swapAudioProcessingChain(this, null);
+        if (this._screenShareStream) {
+            this._stopScreenShare(false, false);
+        }
         try {
             if (this._localStream && !this._userProvidedStream) {
                 closeStream(this._localStream);
                 this._localStream = null;
                 this._userProvidedStream = false;
+            } else {
+                this._acquiredTracks.forEach(track => track.stop());
             }
+            this._acquiredTracks = [];
         } finally {
             try {
                 if (this._pc) {
@@ -1080,6 +3000,13 @@ export default class RtcSession {
         }
     }
 
+    /**
+     * Tells if the track should be stopped by RtcSession, i.e. it's not provided by user.
+     */
+    _ownsTrack(track) {
+        return !this._userProvidedStream || this._acquiredTracks.indexOf(track) >= 0;
+    }
+
     _buildMediaConstraints() {
         var self = this;
         var mediaConstraints = {};
@@ -1089,6 +3016,9 @@ export default class RtcSession {
             if (typeof self._echoCancellation !== 'undefined') {
                 audioConstraints.echoCancellation = !!self._echoCancellation;
             }
+            if (self._audioDeviceId) {
+                audioConstraints.deviceId = {exact: self._audioDeviceId};
+            }
             if (Object.keys(audioConstraints).length > 0) {
                 mediaConstraints.audio = audioConstraints;
             } else {
@@ -1146,7 +3076,12 @@ export default class RtcSession {
             if(self._facingMode !== 'user' && self._facingMode !== "environment") {
                 self._facingMode = 'user';
             }
-            videoConstraints.facingMode = self._facingMode;
+            if (self._videoDeviceId) {
+                //specific camera is picked, facing mode no longer applies
+                videoConstraints.deviceId = {exact: self._videoDeviceId};
+            } else {
+                videoConstraints.facingMode = self._facingMode;
+            }
 
             // set video constraints
             if (Object.keys(videoConstraints).length > 0) {
@@ -2,16 +2,58 @@
 * Extract rtp stats of specified stream from RTCStatsReport
 * Chrome reports all stream stats in statsReports whereas firefox reports only single stream stats in report
 * StreamType is passed only to pull right stream stats audio_input or audio_output.
+* Standard stats (RTCRtpSender/RTCRtpReceiver getStats) come as map-like RTCStatsReport, legacy ones as plain object.
 */
 
 import { is_defined, when_defined } from './utils';
 export function extractMediaStatsFromStats(timestamp, stats, streamType) {
     var extractedStats = null;
+    var extractedStatsType = null;
+    var statsReports = stats;
+    var kind = streamType.split('_')[0];
+    var sending = streamType.endsWith('_input');
 
-    for (var key in stats) {
-        var statsReport = stats[key];
+    if (typeof stats.forEach === 'function') {
+        statsReports = {};
+        stats.forEach(statsReport => {
+            statsReports[statsReport.id] = statsReport;
+        });
+    }
+
+    for (var key in statsReports) {
+        var statsReport = statsReports[key];
         if (statsReport) {
-            if (statsReport.type === 'ssrc') {
+            if (statsReport.type === 'outbound-rtp' && sending && (statsReport.kind || statsReport.mediaType) === kind) {
+                //standard stats, packets lost and round trip time are reported by the remote end
+                var remoteInbound = statsReports[statsReport.remoteId] || {};
+                var mediaSource = statsReports[statsReport.mediaSourceId] || {};
+                extractedStatsType = statsReport.type;
+                extractedStats = {
+                    timestamp:          timestamp,
+                    packetsCount:       statsReport.packetsSent,
+                    bytesSent:          statsReport.bytesSent,
+                    audioLevel:         when_defined(mediaSource.audioLevel),
+                    packetsLost:        is_defined(remoteInbound.packetsLost) ? Math.max(0, remoteInbound.packetsLost) : 0,
+                    rttMilliseconds:    is_defined(remoteInbound.roundTripTime) ? remoteInbound.roundTripTime * 1000 : null,
+                    framesEncoded:      when_defined(statsReport.framesEncoded),
+                    frameRateSent:      when_defined(statsReport.framesPerSecond)
+                };
+
+            } else if (statsReport.type === 'inbound-rtp' && !sending && (statsReport.kind || statsReport.mediaType) === kind) {
+                extractedStatsType = statsReport.type;
+                extractedStats = {
+                    timestamp:          timestamp,
+                    packetsCount:       statsReport.packetsReceived,
+                    bytesReceived:      statsReport.bytesReceived,
+                    audioLevel:         when_defined(statsReport.audioLevel),
+                    packetsLost:        is_defined(statsReport.packetsLost) ? Math.max(0, statsReport.packetsLost) : 0,
+                    jbMilliseconds:     statsReport.jitterBufferEmittedCount > 0 ?
+                        statsReport.jitterBufferDelay / statsReport.jitterBufferEmittedCount * 1000 : when_defined(statsReport.jitter, 0) * 1000,
+                    framesDecoded:      when_defined(statsReport.framesDecoded),
+                    frameRateReceived:  when_defined(statsReport.framesPerSecond)
+                };
+
+            } else if (statsReport.type === 'ssrc') {
                 //chrome, opera case. chrome reports stats for all streams, not just the stream passed in.
                 if (is_defined(statsReport.packetsSent) && statsReport.mediaType == 'audio' && streamType === 'audio_input') {
                     extractedStats = {
@@ -74,7 +116,7 @@ export function extractMediaStatsFromStats(timestamp, stats, streamType) {
         }
     }
 
-    return extractedStats ? new MediaRtpStats(extractedStats, statsReport.type, streamType) : null;
+    return extractedStats ? new MediaRtpStats(extractedStats, extractedStatsType || statsReport.type, streamType) : null;
 }
 
 /**
@@ -23,7 +23,17 @@ export class SessionReport {
         this._handshakingTimeMillis = null;
         this._preTalkingTimeMillis = null;
         this._talkingTimeMillis = null;
+        this._timeToFirstMediaMillis = null;
+        this._trickleIce = null;
         this._iceConnectionsLost = 0;
+        this._renegotiations = 0;
+        this._renegotiationFailures = 0;
+        this._iceRestarts = [];
+        this._signallingReconnects = 0;
+        this._localAudioSilent = null;
+        this._localAudioMaxLevel = null;
+        this._screenShares = 0;
+        this._screenShareTimeMillis = 0;
         this._cleanupTimeMillis = null;
         this._iceCollectionFailure = null;
         this._signallingConnectionFailure = null;
@@ -31,12 +41,17 @@ export class SessionReport {
         this._gumOtherFailure = null;
         this._gumTimeoutFailure = null;
         this._createOfferFailure = null;
+        this._createAnswerFailure = null;
         this._setLocalDescriptionFailure = null;
         this._userBusyFailure = null;
         this._invalidRemoteSDPFailure = null;
         this._noRemoteIceCandidateFailure = null;
         this._setRemoteDescriptionFailure = null;
+        this._incomingCallRejected = null;
+        this._callCancelled = null;
+        this._sessionResumed = null;
         this._streamStats = [];
+        this._timeline = [];
     }
     /**
      *Timestamp when RTCSession started.
@@ -92,12 +107,72 @@ export class SessionReport {
     get talkingTimeMillis() {
         return this._talkingTimeMillis;
     }
+    /**
+     * Times spent from RTCSession connection until ICE connection is first established (media starts flowing) in millis.
+     */
+    get timeToFirstMediaMillis() {
+        return this._timeToFirstMediaMillis;
+    }
+    /**
+     * Tells if the RTCSession exchanged ICE candidates with trickle ICE.
+     */
+    get trickleIce() {
+        return this._trickleIce;
+    }
     /**
      * How many times the RTCSession has lost ICE connection in talking state.
      */
     get iceConnectionsLost() {
         return this._iceConnectionsLost;
     }
+    /**
+     * How many times media was renegotiated in the middle of the call, started by either side.
+     */
+    get renegotiations() {
+        return this._renegotiations;
+    }
+    /**
+     * How many of the mid-call renegotiations failed.
+     */
+    get renegotiationFailures() {
+        return this._renegotiationFailures;
+    }
+    /**
+     * ICE restart attempts made after media path was lost, each one is an object of attempt number, durationMillis, succeeded flag and failureReason.
+     */
+    get iceRestarts() {
+        return this._iceRestarts;
+    }
+    /**
+     * How many times the RTCSession tried reconnecting signaling channel lost in the middle of the call.
+     */
+    get signallingReconnects() {
+        return this._signallingReconnects;
+    }
+    /**
+     * Tells if the microphone produced nothing but silence for the whole call, null if local audio was not monitored.
+     */
+    get localAudioSilent() {
+        return this._localAudioSilent;
+    }
+    /**
+     * Highest microphone level (0 to 1) during the call, muted or not. Null if local audio was not monitored.
+     */
+    get localAudioMaxLevel() {
+        return this._localAudioMaxLevel;
+    }
+    /**
+     * How many times screen was shared during the call.
+     */
+    get screenShares() {
+        return this._screenShares;
+    }
+    /**
+     * Total time spent sharing screen in millis.
+     */
+    get screenShareTimeMillis() {
+        return this._screenShareTimeMillis;
+    }
     /**
      * Times spent in Cleanup state in millis
      */
@@ -140,6 +215,12 @@ export class SessionReport {
     get createOfferFailure() {
         return this._createOfferFailure;
     }
+    /**
+     * Inbound call failed in create answer state.
+     */
+    get createAnswerFailure() {
+        return this._createAnswerFailure;
+    }
     /**
      * Tells if setLocalDescription failed for the RTC Session.
      */
@@ -171,12 +252,37 @@ export class SessionReport {
     get noRemoteIceCandidateFailure() {
         return this._noRemoteIceCandidateFailure;
     }
+    /**
+     * Tells if the incoming call was rejected by local user.
+     */
+    get incomingCallRejected() {
+        return this._incomingCallRejected;
+    }
+    /**
+     * Tells if local user hung up before the call was established.
+     */
+    get callCancelled() {
+        return this._callCancelled;
+    }
+    /**
+     * Tells if the session resumed a call persisted by a previous session (e.g. before page reload).
+     */
+    get sessionResumed() {
+        return this._sessionResumed;
+    }
     /**
      * Statistics for each stream(audio-in, audio-out, video-in, video-out) of the RTCSession.
      */
     get streamStats() {
         return this._streamStats;
     }
+    /**
+     * Every state transition of the RTCSession and its signaling channel, ICE connection state and peer connection state change, in the order they happened.
+     * Each entry is an object of timestamp (Date), source (one of TIMELINE_SOURCES), from and to states, and error leading to the transition (null if none).
+     */
+    get timeline() {
+        return this._timeline;
+    }
 
     set sessionStartTime(value) {
         this._sessionStartTime = value;
@@ -205,9 +311,39 @@ export class SessionReport {
     set talkingTimeMillis(value) {
         this._talkingTimeMillis = value;
     }
+    set timeToFirstMediaMillis(value) {
+        this._timeToFirstMediaMillis = value;
+    }
+    set trickleIce(value) {
+        this._trickleIce = value;
+    }
     set iceConnectionsLost(value) {
         this._iceConnectionsLost = value;
     }
+    set renegotiations(value) {
+        this._renegotiations = value;
+    }
+    set renegotiationFailures(value) {
+        this._renegotiationFailures = value;
+    }
+    set iceRestarts(value) {
+        this._iceRestarts = value;
+    }
+    set signallingReconnects(value) {
+        this._signallingReconnects = value;
+    }
+    set localAudioSilent(value) {
+        this._localAudioSilent = value;
+    }
+    set localAudioMaxLevel(value) {
+        this._localAudioMaxLevel = value;
+    }
+    set screenShares(value) {
+        this._screenShares = value;
+    }
+    set screenShareTimeMillis(value) {
+        this._screenShareTimeMillis = value;
+    }
     set cleanupTimeMillis(value) {
         this._cleanupTimeMillis = value;
     }
@@ -229,6 +365,9 @@ export class SessionReport {
     set createOfferFailure(value) {
         this._createOfferFailure = value;
     }
+    set createAnswerFailure(value) {
+        this._createAnswerFailure = value;
+    }
     set setLocalDescriptionFailure(value) {
         this._setLocalDescriptionFailure = value;
     }
@@ -244,7 +383,19 @@ export class SessionReport {
     set setRemoteDescriptionFailure(value) {
         this._setRemoteDescriptionFailure = value;
     }
+    set incomingCallRejected(value) {
+        this._incomingCallRejected = value;
+    }
+    set callCancelled(value) {
+        this._callCancelled = value;
+    }
+    set sessionResumed(value) {
+        this._sessionResumed = value;
+    }
     set streamStats(value) {
         this._streamStats = value;
     }
+    set timeline(value) {
+        this._timeline = value;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+import { SESSION_STORE_KEY_PREFIX } from './rtc_const';
+
+/**
+ * Session store persists what's needed to resume a call after page reload (see RtcSession.resume), keyed by call id.
+ * Any object implementing get/set/remove could be plugged into RtcSession, values are plain objects.
+ * This is the default implementation on top of Web Storage, sessionStorage by default, which survives page reload but not closing the tab.
+ */
+export class SessionStorageStore {
+    /**
+     * @param {Storage} storage Web Storage to use, default to window.sessionStorage
+     */
+    constructor(storage) {
+        this._storage = storage || window.sessionStorage;
+    }
+    /**
+     * @param {string} key
+     * @return Stored value, null if nothing is stored or it can't be parsed
+     */
+    get(key) {
+        var value = this._storage.getItem(SESSION_STORE_KEY_PREFIX + key);
+        if (!value) {
+            return null;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+    /**
+     * @param {string} key
+     * @param {Object} value
+     */
+    set(key, value) {
+        this._storage.setItem(SESSION_STORE_KEY_PREFIX + key, JSON.stringify(value));
+    }
+    /**
+     * @param {string} key
+     */
+    remove(key) {
+        this._storage.removeItem(SESSION_STORE_KEY_PREFIX + key);
+    }
+}
@@ -9,13 +9,177 @@
  */
 
 import { hitch, wrapLogger } from './utils';
-import { MAX_INVITE_DELAY_MS, MAX_ACCEPT_BYE_DELAY_MS, DEFAULT_CONNECT_TIMEOUT_MS } from './rtc_const';
-import { UnsupportedOperation, Timeout, BusyException, CallNotFoundException, UnknownSignalingError } from './exceptions';
-
-var reqIdSeq = 1;
+import { DEFAULT_RPC_TIMEOUTS_MS, DEFAULT_CONNECT_TIMEOUT_MS, DEFAULT_RECONNECT_POLICY, DEFAULT_HEARTBEAT_OPTIONS, REJECT_REASONS, SIGNALING_STATES } from './rtc_const';
+import { createWebSocketTransport } from './transport';
+import { UnsupportedOperation, Timeout, TimeoutExceptionName, BusyException, CallNotFoundException, UnknownSignalingError, JsonRpcError, UnknownResponseIdError } from './exceptions';
 
 var CONNECT_MAX_RETRIES = 3;
 
+/**
+ * Delay before given reconnect attempt. First attempt is made right away, exponential backoff with jitter after that.
+ * @param {Object} policy Reconnect policy, see DEFAULT_RECONNECT_POLICY
+ * @param {number} attempt Attempt number, starting from 1
+ */
+export function reconnectDelayMillis(policy, attempt) {
+    if (attempt <= 1) {
+        return 0;
+    }
+    var delayMillis = Math.min(policy.maxDelayMillis, policy.initialDelayMillis * Math.pow(policy.multiplier, attempt - 2));
+    return Math.round(delayMillis * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * JSON-RPC 2.0 layer of signaling channel.
+ * Requests sent to the server are tracked by id, request() returns a promise settled by the response or rejected with Timeout after per-method timeout.
+ * Notifications and requests from the server are routed to the handlers, responses with unknown id are reported as errors.
+ * Batch (array) message is handled item by item.
+ */
+export class JsonRpcTracker {
+    /**
+     * @param {function} send Sends serialized message through current transport.
+     */
+    constructor(send) {
+        this._send = send;
+        this._nextId = 1;
+        this._pendingRequests = {};
+        this._timeouts = DEFAULT_RPC_TIMEOUTS_MS;
+        this._notificationHandler =
+            this._requestHandler =
+            this._errorHandler = function noOp() {
+            };
+    }
+    /**
+     * Override DEFAULT_RPC_TIMEOUTS_MS, methods not set in the given map keep default timeouts.
+     */
+    set timeouts(timeouts) {
+        this._timeouts = Object.assign({}, DEFAULT_RPC_TIMEOUTS_MS, timeouts);
+    }
+    /**
+     * Called with each notification (message with method and without id) from the server.
+     */
+    set onNotification(notificationHandler) {
+        this._notificationHandler = notificationHandler;
+    }
+    /**
+     * Called with each request from the server, respond() or respondError() with its id to reply.
+     */
+    set onRequest(requestHandler) {
+        this._requestHandler = requestHandler;
+    }
+    /**
+     * Called with the error when a message couldn't be handled, e.g. malformed message or response to unknown request id.
+     */
+    set onError(errorHandler) {
+        this._errorHandler = errorHandler;
+    }
+    /**
+     * Send request to the server.
+     * @param {string} method
+     * @param {Object} params
+     * @param {number} timeoutMs Optional, override the timeout of the method
+     * @return Promise resolved with the result, rejected with JsonRpcError upon error response or Timeout if no response in time.
+     */
+    request(method, params, timeoutMs) {
+        var self = this;
+        var id = self._nextId++;
+        var requestTimeoutMs = timeoutMs || self._timeouts[method] || self._timeouts.default;
+        return new Promise((resolve, reject) => {
+            var timer = setTimeout(() => {
+                delete self._pendingRequests[id];
+                reject(new Timeout(method + ' request timed out'));
+            }, requestTimeoutMs);
+            self._pendingRequests[id] = {
+                method: method,
+                resolve: resolve,
+                reject: reject,
+                timer: timer
+            };
+            try {
+                self._sendMsg({
+                    jsonrpc: '2.0',
+                    method: method,
+                    params: params,
+                    id: id
+                });
+            } catch (e) {
+                clearTimeout(timer);
+                delete self._pendingRequests[id];
+                reject(e);
+            }
+        });
+    }
+    notify(method, params) {
+        this._sendMsg({
+            jsonrpc: '2.0',
+            method: method,
+            params: params
+        });
+    }
+    respond(id, result) {
+        this._sendMsg({
+            jsonrpc: '2.0',
+            result: result,
+            id: id
+        });
+    }
+    respondError(id, code, message) {
+        this._sendMsg({
+            jsonrpc: '2.0',
+            error: {
+                code: code,
+                message: message
+            },
+            id: id
+        });
+    }
+    _sendMsg(msg) {
+        this._send(JSON.stringify(msg));
+    }
+    /**
+     * Handle raw message received from the server.
+     * @param {string} data
+     */
+    onMessage(data) {
+        var msg;
+        try {
+            msg = JSON.parse(data);
+        } catch (e) {
+            this._errorHandler(e);
+            return;
+        }
+        if (Array.isArray(msg)) {
+            msg.forEach(hitch(this, this._onRpcMsg));
+        } else {
+            this._onRpcMsg(msg);
+        }
+    }
+    _onRpcMsg(msg) {
+        if (!msg || typeof msg !== 'object') {
+            this._errorHandler(new JsonRpcError(-32600, 'Invalid message'));
+        } else if (msg.method && typeof msg.id === 'undefined') {
+            this._notificationHandler(msg);
+        } else if (msg.method) {
+            this._requestHandler(msg);
+        } else {
+            this._onResponse(msg);
+        }
+    }
+    _onResponse(msg) {
+        var pendingRequest = this._pendingRequests[msg.id];
+        if (!pendingRequest) {
+            this._errorHandler(new UnknownResponseIdError('Response to unknown request id ' + msg.id));
+            return;
+        }
+        clearTimeout(pendingRequest.timer);
+        delete this._pendingRequests[msg.id];
+        if (msg.error) {
+            pendingRequest.reject(new JsonRpcError(msg.error.code, msg.error.message, msg.error.data));
+        } else {
+            pendingRequest.resolve(msg.result);
+        }
+    }
+}
+
 /**
  * Abstract signaling state class.
  */
@@ -60,8 +224,20 @@ export class SignalingState {
     channelDown() {
         throw new UnsupportedOperation('channelDown not supported by ' + this.name);
     }
-    onRpcMsg(rpcMsg) {// eslint-disable-line no-unused-vars
-        throw new UnsupportedOperation('onRpcMsg not supported by ' + this.name);
+    /**
+     * Message the state doesn't expect, e.g. server bye crossing local bye. It's dropped, but requests still get a response so the server isn't left waiting:
+     * bye is acked since the call is ending either way, anything else is turned down.
+     */
+    onRpcMsg(msg) {
+        this.logger.warn('Ignoring ' + msg.method + ' in ' + this.name);
+        if (typeof msg.id === 'undefined') {
+            return;
+        }
+        if (msg.method === 'bye') {
+            this._signaling._rpc.respond(msg.id, {});
+        } else {
+            this._signaling._rpc.respondError(msg.id, -32601, msg.method + ' not supported in ' + this.name);
+        }
     }
     invite(sdp, iceCandidates) {// eslint-disable-line no-unused-vars
         throw new UnsupportedOperation('invite not supported by ' + this.name);
@@ -69,9 +245,42 @@ export class SignalingState {
     accept() {
         throw new UnsupportedOperation('accept not supported by ' + this.name);
     }
+    answer(sdp, iceCandidates) {// eslint-disable-line no-unused-vars
+        throw new UnsupportedOperation('answer not supported by ' + this.name);
+    }
+    reject(code, message) {// eslint-disable-line no-unused-vars
+        throw new UnsupportedOperation('reject not supported by ' + this.name);
+    }
     hangup() {
         throw new UnsupportedOperation('hangup not supported by ' + this.name);
     }
+    reinvite(sdp, iceCandidates) {// eslint-disable-line no-unused-vars
+        throw new UnsupportedOperation('reinvite not supported by ' + this.name);
+    }
+    answerReinvite(sdp, iceCandidates) {// eslint-disable-line no-unused-vars
+        throw new UnsupportedOperation('answerReinvite not supported by ' + this.name);
+    }
+    rejectReinvite(code, message) {// eslint-disable-line no-unused-vars
+        throw new UnsupportedOperation('rejectReinvite not supported by ' + this.name);
+    }
+    /**
+     * Trickle ICE only. Send local candidate as JSON-RPC notification, null candidate means end of candidates.
+     */
+    sendCandidate(candidate) {
+        this._signaling._rpc.notify('candidate', {
+            candidate: candidate
+        });
+    }
+    /**
+     * Trickle ICE only. Remote candidate is received as JSON-RPC notification.
+     */
+    onRemoteCandidate(candidate) {
+        var self = this;
+        new Promise(function notifyRemoteCandidate(resolve) {
+            self._signaling._remoteCandidateHandler(candidate);
+            resolve();
+        });
+    }
     get name() {
         return "SignalingState";
     }
@@ -101,7 +310,11 @@ export class PendingConnectState extends FailOnTimeoutState {
         this._retries = retriesIn || 0;
     }
     onOpen() {
-        this.transit(new PendingInviteState(this._signaling));
+        if (this._signaling._inbound) {
+            this.transit(new PendingIncomingInviteState(this._signaling));
+        } else {
+            this.transit(new PendingInviteState(this._signaling));
+        }
     }
     channelDown() {
         var now = new Date().getTime();
@@ -113,8 +326,11 @@ export class PendingConnectState extends FailOnTimeoutState {
             this.transit(new FailedState(this._signaling, new Error('channelDown')));
         }
     }
+    hangup() {
+        this.transit(new DisconnectedState(this._signaling));
+    }
     get name() {
-        return "PendingConnectState";
+        return SIGNALING_STATES.PENDING_CONNECT;
     }
 }
 export class PendingInviteState extends SignalingState {
@@ -127,60 +343,155 @@ export class PendingInviteState extends SignalingState {
     }
     invite(sdp, iceCandidates) {
         var self = this;
-        var inviteId = reqIdSeq++;
-
         var inviteParams = {
             sdp: sdp,
             candidates: iceCandidates
         };
+        if (self._signaling._trickleIce) {
+            inviteParams.trickle = true;
+        }
         self.logger.log('Sending SDP', sdp);
-        self._signaling._wss.send(JSON.stringify({
-            jsonrpc: '2.0',
-            method: 'invite',
-            params: inviteParams,
-            id: inviteId
-        }));
-        self.transit(new PendingAnswerState(self._signaling, inviteId));
+        self.transit(new PendingAnswerState(self._signaling, self._signaling._rpc.request('invite', inviteParams)));
+    }
+    hangup() {
+        this.transit(new DisconnectedState(this._signaling));
     }
     channelDown() {
         this.transit(new FailedState(this._signaling));
     }
     get name() {
-        return "PendingInviteState";
+        return SIGNALING_STATES.PENDING_INVITE;
     }
 }
-export class PendingAnswerState extends FailOnTimeoutState {
-    constructor(signaling, inviteId) {
-        super(signaling, MAX_INVITE_DELAY_MS);
-        this._inviteId = inviteId;
+export class PendingAnswerState extends SignalingState {
+    /**
+     * @param {AmznRtcSignaling} signaling Signaling object.
+     * @param {Promise} invitePromise Invite request, resolved with the answer.
+     */
+    constructor(signaling, invitePromise) {
+        super(signaling);
+        this._invitePromise = invitePromise;
     }
-    onRpcMsg(msg) {
+    onEnter() {
         var self = this;
-        if (msg.id === this._inviteId) {
-            if (msg.error || !msg.result) {
-                this.transit(new FailedState(this._signaling, self.translateInviteError(msg)));
-            } else {
-                new Promise(function notifyAnswered(resolve) {
-                    self.logger.log('Received SDP', msg.result.sdp);
-                    self._signaling._answeredHandler(msg.result.sdp, msg.result.candidates);
-                    resolve();
-                });
-                this.transit(new PendingAcceptState(this._signaling, this._signaling._autoAnswer));
+        self._invitePromise.then(result => {
+            if (!self.isCurrentState) {
+                return;
             }
-        }
+            if (!result) {
+                self.transit(new FailedState(self._signaling, new UnknownSignalingError()));
+                return;
+            }
+            new Promise(function notifyAnswered(resolve) {
+                self.logger.log('Received SDP', result.sdp);
+                self._signaling._answeredHandler(result.sdp, result.candidates);
+                resolve();
+            });
+            self.transit(new PendingAcceptState(self._signaling, self._signaling._autoAnswer));
+        }, e => {
+            if (self.isCurrentState) {
+                self.transit(new FailedState(self._signaling, self.translateInviteError(e)));
+            }
+        });
     }
-    translateInviteError(msg) {
-        if (msg.error && msg.error.code == 486) {
-            return new BusyException(msg.error.message);
-        } else if (msg.error && msg.error.code == 404) {
-            return new CallNotFoundException(msg.error.message);
+    translateInviteError(e) {
+        if (e.code == 486) {
+            return new BusyException(e.message);
+        } else if (e.code == 404) {
+            return new CallNotFoundException(e.message);
+        } else if (e.name === TimeoutExceptionName) {
+            return e;
         } else {
             return new UnknownSignalingError();
         }
     }
+    /**
+     * Invite is still outstanding, tell the server to abandon it. Late answer is ignored once the state is left.
+     */
+    hangup() {
+        this.transit(new PendingRemoteHangupState(this._signaling, this._signaling._rpc.request('cancel', {})));
+    }
 
     get name() {
-        return "PendingAnswerState";
+        return SIGNALING_STATES.PENDING_ANSWER;
+    }
+}
+/**
+ * Inbound call. Signaling channel is connected, waiting for the server to send the invite.
+ */
+export class PendingIncomingInviteState extends SignalingState {
+    onEnter() {
+        var self = this;
+        new Promise(function notifyConnected(resolve) {
+            self._signaling._connectedHandler();
+            resolve();
+        });
+    }
+    onRpcMsg(msg) {
+        var self = this;
+        if (msg.method === 'invite') {
+            var params = msg.params || {};
+            new Promise(function notifyInvited(resolve) {
+                self.logger.log('Received SDP', params.sdp);
+                self._signaling._invitedHandler(params.sdp, params.candidates, params.callerInfo || {});
+                resolve();
+            });
+            this.transit(new PendingLocalAnswerState(this._signaling, msg.id));
+        }
+    }
+    /**
+     * Turned down before the invite arrives, tell the server so that it doesn't go on offering the call.
+     */
+    hangup() {
+        this.transit(new PendingRemoteHangupState(this._signaling, this._signaling._rpc.request('bye', {})));
+    }
+    channelDown() {
+        this.transit(new FailedState(this._signaling));
+    }
+    get name() {
+        return SIGNALING_STATES.PENDING_INCOMING_INVITE;
+    }
+}
+/**
+ * Inbound call. Invite is received, waiting for local user to accept (answer) or reject it.
+ */
+export class PendingLocalAnswerState extends SignalingState {
+    constructor(signaling, inviteId) {
+        super(signaling);
+        this._inviteId = inviteId;
+    }
+    answer(sdp, iceCandidates) {
+        var answerResult = {
+            sdp: sdp,
+            candidates: iceCandidates
+        };
+        if (this._signaling._trickleIce) {
+            answerResult.trickle = true;
+        }
+        this.logger.log('Sending SDP', sdp);
+        this._signaling._rpc.respond(this._inviteId, answerResult);
+        this.transit(new PendingAcceptState(this._signaling, this._signaling._autoAnswer));
+    }
+    reject(code, message) {
+        this._signaling._rpc.respondError(this._inviteId, code, message || 'Rejected');
+        this.transit(new DisconnectedState(this._signaling));
+    }
+    hangup() {
+        this.reject(REJECT_REASONS.DECLINE, 'Hung up');
+    }
+    onRpcMsg(msg) {
+        if (msg.method === 'bye') {
+            //caller gave up before the call is answered
+            this.transit(new PendingLocalHangupState(this._signaling, msg.id));
+        } else {
+            super.onRpcMsg(msg);
+        }
+    }
+    channelDown() {
+        this.transit(new FailedState(this._signaling));
+    }
+    get name() {
+        return SIGNALING_STATES.PENDING_LOCAL_ANSWER;
     }
 }
 export class PendingAcceptState extends SignalingState {
@@ -194,100 +505,336 @@ export class PendingAcceptState extends SignalingState {
         }
     }
     accept() {
-        var acceptId = reqIdSeq++;
-        this._signaling._wss.send(JSON.stringify({
-            jsonrpc: '2.0',
-            method: 'accept',
-            params: {},
-            id: acceptId
-        }));
-        this.transit(new PendingAcceptAckState(this._signaling, acceptId));
+        this.transit(new PendingAcceptAckState(this._signaling, this._signaling._rpc.request('accept', {})));
+    }
+    hangup() {
+        this.transit(new PendingRemoteHangupState(this._signaling, this._signaling._rpc.request('bye', {})));
     }
     channelDown() {
         this.transit(new FailedState(this._signaling));
     }
     get name() {
-        return "PendingAcceptState";
+        return SIGNALING_STATES.PENDING_ACCEPT;
     }
 }
-export class PendingAcceptAckState extends FailOnTimeoutState {
-    constructor(signaling, acceptId) {
-        super(signaling, MAX_ACCEPT_BYE_DELAY_MS);
-        this._acceptId = acceptId;
+export class PendingAcceptAckState extends SignalingState {
+    /**
+     * @param {AmznRtcSignaling} signaling Signaling object.
+     * @param {Promise} acceptPromise Accept request, resolved with client token.
+     */
+    constructor(signaling, acceptPromise) {
+        super(signaling);
+        this._acceptPromise = acceptPromise;
     }
-    onRpcMsg(msg) {
-        if (msg.id === this._acceptId) {
-            if (msg.error) {
-                this.transit(new FailedState(this._signaling));
-            } else {
-                this._signaling._clientToken = msg.result.clientToken;
-                this.transit(new TalkingState(this._signaling));
+    onEnter() {
+        var self = this;
+        self._acceptPromise.then(result => {
+            if (self.isCurrentState) {
+                self._signaling._updateClientToken(result && result.clientToken);
+                self.transit(new TalkingState(self._signaling));
             }
-        }
+        }, e => {
+            if (self.isCurrentState) {
+                self.transit(new FailedState(self._signaling, e));
+            }
+        });
+    }
+    hangup() {
+        this.transit(new PendingRemoteHangupState(this._signaling, this._signaling._rpc.request('bye', {})));
     }
     get name() {
-        return "PendingAcceptAckState";
+        return SIGNALING_STATES.PENDING_ACCEPT_ACK;
     }
 }
 export class TalkingState extends SignalingState {
+    /**
+     * @param {AmznRtcSignaling} signaling Signaling object.
+     * @param {boolean} resumed TRUE - coming back from a mid-call exchange (e.g. re-invite), handshake is not notified again.
+     */
+    constructor(signaling, resumed) {
+        super(signaling);
+        this._resumed = resumed;
+    }
     onEnter() {
         var self = this;
+        self._signaling._startHeartbeat();
+        if (self._resumed) {
+            return;
+        }
         new Promise(function notifyHandshaked(resolve) {
             self._signaling._handshakedHandler();
             resolve();
         });
     }
+    reinvite(sdp, iceCandidates) {
+        var reinviteParams = {
+            sdp: sdp,
+            candidates: iceCandidates
+        };
+        if (this._signaling._trickleIce) {
+            reinviteParams.trickle = true;
+        }
+        this.logger.log('Sending SDP', sdp);
+        this.transit(new PendingReinviteAnswerState(this._signaling, this._signaling._rpc.request('reinvite', reinviteParams)));
+    }
     hangup() {
-        var byeId = reqIdSeq++;
-        this._signaling._wss.send(JSON.stringify({
-            jsonrpc: '2.0',
-            method: 'bye',
-            params: {},
-            id: byeId
-        }));
-        this.transit(new PendingRemoteHangupState(this._signaling, byeId));
+        this.transit(new PendingRemoteHangupState(this._signaling, this._signaling._rpc.request('bye', {})));
     }
     onRpcMsg(msg) {
+        var self = this;
+        var params = msg.params || {};
         if (msg.method === 'bye') {
             this.transit(new PendingLocalHangupState(this._signaling, msg.id));
         } else if (msg.method === 'renewClientToken') {
-            this._signaling._clientToken = msg.params.clientToken;
+            this._signaling._updateClientToken(params.clientToken);
+        } else if (msg.method === 'reinvite') {
+            new Promise(function notifyReinvited(resolve) {
+                self.logger.log('Received SDP', params.sdp);
+                self._signaling._reinvitedHandler(params.sdp, params.candidates);
+                resolve();
+            });
+            this.transit(new PendingLocalReinviteAnswerState(this._signaling, msg.id));
+        } else {
+            super.onRpcMsg(msg);
         }
     }
     channelDown() {
-        this._signaling._reconnect();
-        this._signaling.transit(new PendingReconnectState(this._signaling));
+        this._signaling.transit(new PendingReconnectState(this._signaling, 1, new Date().getTime()));
     }
     get name() {
-        return "TalkingState";
+        return SIGNALING_STATES.TALKING;
     }
 }
-export class PendingReconnectState extends FailOnTimeoutState {
-    constructor(signaling) {
-        super(signaling, DEFAULT_CONNECT_TIMEOUT_MS);
+/**
+ * Re-invite is sent (mid-call renegotiation initiated locally), waiting for the answer.
+ * Call is still established, failure of re-invite doesn't fail the call.
+ */
+export class PendingReinviteAnswerState extends TalkingState {
+    /**
+     * @param {AmznRtcSignaling} signaling Signaling object.
+     * @param {Promise} reinvitePromise Re-invite request, resolved with the answer.
+     */
+    constructor(signaling, reinvitePromise) {
+        super(signaling, true);
+        this._reinvitePromise = reinvitePromise;
     }
+    onEnter() {
+        var self = this;
+        super.onEnter();
+        self._reinvitePromise.then(result => {
+            if (!self.isCurrentState) {
+                return;
+            }
+            if (!result) {
+                self._notifyReinviteFailed(new UnknownSignalingError());
+            } else {
+                new Promise(function notifyReinviteAnswered(resolve) {
+                    self.logger.log('Received SDP', result.sdp);
+                    self._signaling._reinviteAnsweredHandler(result.sdp, result.candidates);
+                    resolve();
+                });
+            }
+            self.transit(new TalkingState(self._signaling, true));
+        }, e => {
+            if (self.isCurrentState) {
+                self._notifyReinviteFailed(e.name === TimeoutExceptionName ? e : new UnknownSignalingError());
+                self.transit(new TalkingState(self._signaling, true));
+            }
+        });
+    }
+    reinvite() {
+        throw new UnsupportedOperation('reinvite not supported by ' + this.name);
+    }
+    onRpcMsg(msg) {
+        if (msg.method === 'reinvite') {
+            //both sides started renegotiation at the same time, the server should retry later
+            this._signaling._rpc.respondError(msg.id, REJECT_REASONS.REQUEST_PENDING, 'Request pending');
+        } else {
+            super.onRpcMsg(msg);
+        }
+    }
+    channelDown() {
+        this._notifyReinviteFailed(new Error('channelDown'));
+        super.channelDown();
+    }
+    _notifyReinviteFailed(e) {
+        var self = this;
+        new Promise(function notifyReinviteFailed(resolve) {
+            self._signaling._reinviteFailedHandler(e);
+            resolve();
+        });
+    }
+    get name() {
+        return SIGNALING_STATES.PENDING_REINVITE_ANSWER;
+    }
+}
+/**
+ * Re-invite is received (mid-call renegotiation initiated by the server), waiting for local answer.
+ */
+export class PendingLocalReinviteAnswerState extends TalkingState {
+    constructor(signaling, reinviteId) {
+        super(signaling, true);
+        this._reinviteId = reinviteId;
+    }
+    reinvite() {
+        throw new UnsupportedOperation('reinvite not supported by ' + this.name);
+    }
+    answerReinvite(sdp, iceCandidates) {
+        var answerResult = {
+            sdp: sdp,
+            candidates: iceCandidates
+        };
+        if (this._signaling._trickleIce) {
+            answerResult.trickle = true;
+        }
+        this.logger.log('Sending SDP', sdp);
+        this._signaling._rpc.respond(this._reinviteId, answerResult);
+        this.transit(new TalkingState(this._signaling, true));
+    }
+    rejectReinvite(code, message) {
+        this._signaling._rpc.respondError(this._reinviteId, code, message || 'Rejected');
+        this.transit(new TalkingState(this._signaling, true));
+    }
+    channelDown() {
+        var self = this;
+        new Promise(function notifyReinviteFailed(resolve) {
+            self._signaling._reinviteFailedHandler(new Error('channelDown'));
+            resolve();
+        });
+        super.channelDown();
+    }
+    get name() {
+        return SIGNALING_STATES.PENDING_LOCAL_REINVITE_ANSWER;
+    }
+}
+/**
+ * Resume the call established before (e.g. before page reload), connect with the client token instead of sending the invite.
+ * Once connected the call goes on in TalkingState, media is renegotiated through re-invite.
+ */
+export class PendingResumeState extends FailOnTimeoutState {
     onOpen() {
-        this.transit(new TalkingState(this._signaling));
+        var self = this;
+        new Promise(function notifyConnected(resolve) {
+            self._signaling._connectedHandler();
+            resolve();
+        });
+        this.transit(new TalkingState(this._signaling, true));
     }
     channelDown() {
-        this.transit(new FailedState(this._signaling));
+        this.transit(new FailedState(this._signaling, new Error('channelDown')));
+    }
+    hangup() {
+        this.transit(new DisconnectedState(this._signaling));
     }
     get name() {
-        return "PendingReconnectState";
+        return SIGNALING_STATES.PENDING_RESUME;
     }
 }
-export class PendingRemoteHangupState extends FailOnTimeoutState {
-    constructor(signaling, byeId) {
-        super(signaling, MAX_ACCEPT_BYE_DELAY_MS);
-        this._byeId = byeId;
+/**
+ * Signaling channel is lost in the middle of the call, reconnect following the reconnect policy (backoff between attempts).
+ * Media may still be flowing, so the call goes on as long as reconnecting eventually succeeds.
+ */
+export class PendingReconnectState extends SignalingState {
+    /**
+     * @param {AmznRtcSignaling} signaling Signaling object.
+     * @param {number} attempt Reconnect attempt number, starting from 1
+     * @param {number} reconnectStartTime Time when the first attempt started
+     */
+    constructor(signaling, attempt, reconnectStartTime) {
+        super(signaling);
+        this._attempt = attempt || 1;
+        this._reconnectStartTime = reconnectStartTime || this._createTime;
     }
-    onRpcMsg(msg) {
-        if (msg.id === this._byeId) {
-            this.transit(new DisconnectedState(this._signaling));
+    get _policy() {
+        return this._signaling._reconnectPolicy || DEFAULT_RECONNECT_POLICY;
+    }
+    onEnter() {
+        var self = this;
+        var delayMillis = reconnectDelayMillis(self._policy, self._attempt);
+        self.logger.info('Reconnecting attempt ' + self._attempt + ' in ' + delayMillis + 'ms');
+        new Promise(function notifyReconnecting(resolve) {
+            self._signaling._reconnectingHandler(self._attempt, delayMillis);
+            resolve();
+        });
+        setTimeout(hitch(self, self._startReconnect), delayMillis);
+    }
+    _startReconnect() {
+        if (!this.isCurrentState) {
+            return;
+        }
+        var remainingBudgetMillis = this._reconnectStartTime + this._policy.totalBudgetMillis - new Date().getTime();
+        this._connecting = true;
+        this._signaling._reconnect();
+        this.setStateTimeout(Math.max(0, Math.min(this._signaling._connectTimeoutMs || DEFAULT_CONNECT_TIMEOUT_MS, remainingBudgetMillis)));
+    }
+    onOpen() {
+        var self = this;
+        new Promise(function notifyReconnected(resolve) {
+            self._signaling._reconnectedHandler();
+            resolve();
+        });
+        this.transit(new TalkingState(this._signaling, true));
+    }
+    onTimeout() {
+        //attempt may still open later, drop it so that it doesn't race with the next one
+        this._signaling._abandonTransport();
+        this._retry(new Timeout());
+    }
+    channelDown() {
+        if (this._connecting) {
+            this._retry(new Error('channelDown'));
+        }
+        //otherwise it's the lost connection still winding down
+    }
+    _retry(e) {
+        var elapsedMillis = new Date().getTime() - this._reconnectStartTime;
+        this.logger.warn('Reconnecting attempt ' + this._attempt + ' failed', e);
+        if (this._attempt < this._policy.maxAttempts && elapsedMillis < this._policy.totalBudgetMillis) {
+            this.transit(new PendingReconnectState(this._signaling, this._attempt + 1, this._reconnectStartTime));
+        } else {
+            this.transit(new FailedState(this._signaling, e));
         }
     }
+    hangup() {
+        //bye can't be delivered, the server ends the call once it finds out the connection is gone
+        this.transit(new DisconnectedState(this._signaling));
+    }
+    sendCandidate(candidate) {
+        this.logger.warn('Dropping local candidate while reconnecting', candidate);
+    }
     get name() {
-        return "PendingRemoteHangupState";
+        return SIGNALING_STATES.PENDING_RECONNECT;
+    }
+}
+export class PendingRemoteHangupState extends SignalingState {
+    /**
+     * @param {AmznRtcSignaling} signaling Signaling object.
+     * @param {Promise} byePromise Bye request, settled once the server acks.
+     */
+    constructor(signaling, byePromise) {
+        super(signaling);
+        this._byePromise = byePromise;
+    }
+    onEnter() {
+        var self = this;
+        self._byePromise.then(() => {
+            if (self.isCurrentState) {
+                self.transit(new DisconnectedState(self._signaling));
+            }
+        }, e => {
+            if (!self.isCurrentState) {
+                return;
+            }
+            if (e.name === TimeoutExceptionName) {
+                self.transit(new FailedState(self._signaling, e));
+            } else {
+                //error response is an ack all the same
+                self.transit(new DisconnectedState(self._signaling));
+            }
+        });
+    }
+    get name() {
+        return SIGNALING_STATES.PENDING_REMOTE_HANGUP;
     }
 }
 export class PendingLocalHangupState extends SignalingState {
@@ -303,19 +850,14 @@ export class PendingLocalHangupState extends SignalingState {
         });
     }
     hangup() {
-        var self = this;
-        self._signaling._wss.send(JSON.stringify({
-            jsonrpc: '2.0',
-            result: {},
-            id: self._byeId
-        }));
-        self.transit(new DisconnectedState(self._signaling));
+        this._signaling._rpc.respond(this._byeId, {});
+        this.transit(new DisconnectedState(this._signaling));
     }
     channelDown() {
         this.transit(new DisconnectedState(this._signaling));
     }
     get name() {
-        return "PendingLocalHangupState";
+        return SIGNALING_STATES.PENDING_LOCAL_HANGUP;
     }
 }
 export class DisconnectedState extends SignalingState {
@@ -325,13 +867,26 @@ export class DisconnectedState extends SignalingState {
             self._signaling._disconnectedHandler();
             resolve();
         });
-        this._signaling._wss.close();
+        this._signaling._stopHeartbeat();
+        this._signaling._transport.close();
     }
     channelDown() {
         //Do nothing
     }
+    hangup() {
+        //Do nothing
+    }
+    reject() {
+        //Do nothing
+    }
+    sendCandidate() {
+        //Do nothing
+    }
+    onRemoteCandidate() {
+        //Do nothing
+    }
     get name() {
-        return "DisconnectedState";
+        return SIGNALING_STATES.DISCONNECTED;
     }
 }
 export class FailedState extends SignalingState {
@@ -345,13 +900,26 @@ export class FailedState extends SignalingState {
             self._signaling._failedHandler(self._exception);
             resolve();
         });
-        this._signaling._wss.close();
+        this._signaling._stopHeartbeat();
+        this._signaling._transport.close();
     }
     channelDown() {
         //Do nothing
     }
+    hangup() {
+        //Do nothing
+    }
+    reject() {
+        //Do nothing
+    }
+    sendCandidate() {
+        //Do nothing
+    }
+    onRemoteCandidate() {
+        //Do nothing
+    }
     get name() {
-        return "FailedState";
+        return SIGNALING_STATES.FAILED;
     }
     get exception() {
         return this._exception;
@@ -366,15 +934,28 @@ export default class AmznRtcSignaling {
         this._signalingUri = signalingUri;
         this._contactToken = contactToken;
         this._logger = wrapLogger(logger, callId, 'SIGNALING');
+        this._reconnectPolicy = DEFAULT_RECONNECT_POLICY;
+        this._rpc = new JsonRpcTracker(hitch(this, this._send));
+        this._rpc.onNotification = hitch(this, this._onRpcNotification);
+        this._rpc.onRequest = hitch(this, this._onRpcRequest);
+        this._rpc.onError = hitch(this, this._onRpcError);
 
         //empty event handlers
         this._connectedHandler =
+            this._invitedHandler =
             this._answeredHandler =
+            this._remoteCandidateHandler =
             this._handshakedHandler =
+            this._reinvitedHandler =
+            this._reinviteAnsweredHandler =
+            this._reinviteFailedHandler =
+            this._reconnectingHandler =
             this._reconnectedHandler =
+            this._clientTokenUpdatedHandler =
             this._remoteHungupHandler =
             this._disconnectedHandler =
-            this._failedHandler = function noOp() {
+            this._failedHandler =
+            this._stateChangeHandler = function noOp() {
             };
     }
     get callId() {
@@ -383,15 +964,60 @@ export default class AmznRtcSignaling {
     set onConnected(connectedHandler) {
         this._connectedHandler = connectedHandler;
     }
+    /**
+     * Inbound call only. Called with remote SDP, remote ICE candidates and caller metadata when the server sends the invite.
+     */
+    set onInvited(invitedHandler) {
+        this._invitedHandler = invitedHandler;
+    }
     set onAnswered(answeredHandler) {
         this._answeredHandler = answeredHandler;
     }
+    /**
+     * Trickle ICE only. Called with each remote candidate the server sends after invite/answer.
+     */
+    set onRemoteCandidate(remoteCandidateHandler) {
+        this._remoteCandidateHandler = remoteCandidateHandler;
+    }
     set onHandshaked(handshakedHandler) {
         this._handshakedHandler = handshakedHandler;
     }
+    /**
+     * Called with remote SDP and remote ICE candidates when the server starts mid-call renegotiation.
+     */
+    set onReinvited(reinvitedHandler) {
+        this._reinvitedHandler = reinvitedHandler;
+    }
+    /**
+     * Called with remote SDP and remote ICE candidates when the server answers re-invite.
+     */
+    set onReinviteAnswered(reinviteAnsweredHandler) {
+        this._reinviteAnsweredHandler = reinviteAnsweredHandler;
+    }
+    /**
+     * Called with the error when re-invite exchange fails, the call itself goes on.
+     */
+    set onReinviteFailed(reinviteFailedHandler) {
+        this._reinviteFailedHandler = reinviteFailedHandler;
+    }
+    /**
+     * Called with attempt number and delay in millis before each attempt of reconnecting signaling channel lost in the middle of the call.
+     */
+    set onReconnecting(reconnectingHandler) {
+        this._reconnectingHandler = reconnectingHandler;
+    }
+    /**
+     * Called when signaling channel lost in the middle of the call is connected again.
+     */
     set onReconnected(reconnectedHandler) {
         this._reconnectedHandler = reconnectedHandler;
     }
+    /**
+     * Called with the client token whenever the server hands out a new one (call accepted, token renewed), which is needed to reconnect or resume the call.
+     */
+    set onClientTokenUpdated(clientTokenUpdatedHandler) {
+        this._clientTokenUpdatedHandler = clientTokenUpdatedHandler;
+    }
     set onRemoteHungup(remoteHungupHandler) {
         this._remoteHungupHandler = remoteHungupHandler;
     }
@@ -401,15 +1027,85 @@ export default class AmznRtcSignaling {
     set onFailed(failedHandler) {
         this._failedHandler = failedHandler;
     }
+    /**
+     * Callback when the signaling channel moves to another state, called with the names of previous state (null for the first state) and new state (SIGNALING_STATES),
+     * the time of the change and the exception leading to it (null if none).
+     */
+    set onStateChange(stateChangeHandler) {
+        this._stateChangeHandler = stateChangeHandler;
+    }
     get state() {
         return this._state;
     }
+    /**
+     * Name of current state, one of SIGNALING_STATES. Null before the channel is connected.
+     */
+    get stateName() {
+        return this._state ? this._state.name : null;
+    }
+    /**
+     * Opt in trickle ICE. Invite/answer goes out with candidates collected so far, the rest are sent/received as 'candidate' notifications.
+     */
+    set trickleIce(flag) {
+        this._trickleIce = flag;
+    }
+    /**
+     * Override DEFAULT_RECONNECT_POLICY, fields not set in the given policy keep default values.
+     */
+    set reconnectPolicy(policy) {
+        this._reconnectPolicy = Object.assign({}, DEFAULT_RECONNECT_POLICY, policy);
+    }
+    /**
+     * Opt in heartbeat, which detects half-open connection that never gets closed. Options override DEFAULT_HEARTBEAT_OPTIONS, null turns heartbeat off.
+     */
+    set heartbeat(options) {
+        this._heartbeatOptions = options ? Object.assign({}, DEFAULT_HEARTBEAT_OPTIONS, options) : null;
+    }
+    /**
+     * Override the default WebSocket transport. Factory function is called with no argument for each connection and returns a new transport object (see WebSocketTransport).
+     */
+    set transportFactory(factory) {
+        this._transportFactory = factory;
+    }
+    /**
+     * Override DEFAULT_RPC_TIMEOUTS_MS, methods not set in the given map keep default timeouts.
+     */
+    set requestTimeouts(timeouts) {
+        this._rpc.timeouts = timeouts;
+    }
     connect() {
         this._connect();
         this.transit(new PendingConnectState(this, this._connectTimeoutMs));
     }
+    /**
+     * Connect and wait for the server to invite (inbound call), instead of sending the invite.
+     */
+    listen() {
+        this._inbound = true;
+        this.connect();
+    }
+    /**
+     * Reconnect to the call established before (e.g. before page reload) with the client token it was given, instead of sending the invite.
+     * onConnected is called once connected, the call is in talking state from then on.
+     * @param {string} clientToken
+     */
+    resume(clientToken) {
+        this._clientToken = clientToken;
+        this._reconnect();
+        this.transit(new PendingResumeState(this, this._connectTimeoutMs));
+    }
     _connect() {
-        this._wss = this._connectWebSocket(this._buildInviteUri());
+        this._connectTransport(this._buildInviteUri());
+    }
+    _updateClientToken(clientToken) {
+        var self = this;
+        self._clientToken = clientToken;
+        if (clientToken) {
+            new Promise(function notifyClientTokenUpdated(resolve) {
+                self._clientTokenUpdatedHandler(clientToken);
+                resolve();
+            });
+        }
     }
     transit(nextState) {
         try {
@@ -418,19 +1114,39 @@ export default class AmznRtcSignaling {
                 this.state.onExit();
             }
         } finally {
+            var previousStateName = this.stateName;
             this._state = nextState;
+            this._notifyStateChange(previousStateName, nextState.name, nextState.exception || null);
             if (this._state.onEnter) {
                 this._state.onEnter();
             }
         }
     }
-    _connectWebSocket(uri) {
-        var wsConnection = new WebSocket(uri);
-        wsConnection.onopen = hitch(this, this._onOpen);
-        wsConnection.onmessage = hitch(this, this._onMessage);
-        wsConnection.onerror = hitch(this, this._onError);
-        wsConnection.onclose = hitch(this, this._onClose);
-        return wsConnection;
+    _notifyStateChange(from, to, exception) {
+        var self = this;
+        new Promise(function notifyStateChange(resolve) {
+            self._stateChangeHandler(from, to, new Date(), exception);
+            resolve();
+        });
+    }
+    /**
+     * Replace current transport with a new one connecting to the given uri.
+     * Events of a replaced transport (e.g. timed out reconnect attempt opening late) are dropped.
+     */
+    _connectTransport(uri) {
+        var self = this;
+        var transport = (self._transportFactory || createWebSocketTransport)();
+        var ifCurrent = handler => function onTransportEvent(evt) {
+            if (transport === self._transport) {
+                handler.call(self, evt);
+            }
+        };
+        transport.onOpen = ifCurrent(self._onOpen);
+        transport.onMessage = ifCurrent(self._onMessage);
+        transport.onError = ifCurrent(self._onError);
+        transport.onClose = ifCurrent(self._onClose);
+        self._transport = transport;
+        transport.connect(uri);
     }
     _buildInviteUri() {
         if (this._contactToken) {
@@ -449,8 +1165,30 @@ export default class AmznRtcSignaling {
         }
         return this._signalingUri + separator + 'callId=' + encodeURIComponent(this._callId);
     }
+    _send(data) {
+        this._transport.send(data);
+    }
     _onMessage(evt) {
-        this.state.onRpcMsg(JSON.parse(evt.data));
+        //any message from the server proves the connection is alive
+        this._missedHeartbeats = 0;
+        this._rpc.onMessage(evt.data);
+    }
+    _onRpcNotification(msg) {
+        if (msg.method === 'candidate') {
+            if (!msg.params) {
+                this._logger.warn('Ignoring malformed candidate notification', JSON.stringify(msg));
+                return;
+            }
+            this.state.onRemoteCandidate(msg.params.candidate);
+        } else {
+            this.state.onRpcMsg(msg);
+        }
+    }
+    _onRpcRequest(msg) {
+        this.state.onRpcMsg(msg);
+    }
+    _onRpcError(e) {
+        this._logger.error('Failed handling message from the server', e);
     }
     _onOpen(evt) {
         this.state.onOpen(evt);
@@ -459,11 +1197,51 @@ export default class AmznRtcSignaling {
         this.state.onError(evt);
     }
     _onClose(evt) {
-        this._logger.log('WebSocket onclose code=' + evt.code + ', reason=' + evt.reason);
+        this._logger.log('Transport onclose code=' + evt.code + ', reason=' + evt.reason);
         this.state.onClose(evt);
     }
     _reconnect() {
-        this._wss = this._connectWebSocket(this._buildReconnectUri());
+        this._connectTransport(this._buildReconnectUri());
+    }
+    _startHeartbeat() {
+        if (!this._heartbeatOptions || this._heartbeatTimer) {
+            return;
+        }
+        this._missedHeartbeats = 0;
+        this._heartbeatTimer = setInterval(hitch(this, this._onHeartbeatTimer), this._heartbeatOptions.intervalMillis);
+    }
+    _stopHeartbeat() {
+        if (this._heartbeatTimer) {
+            clearInterval(this._heartbeatTimer);
+            this._heartbeatTimer = null;
+        }
+    }
+    _onHeartbeatTimer() {
+        if (!(this.state instanceof TalkingState)) {
+            //heartbeat starts over once the call is established again (e.g. after reconnecting)
+            this._stopHeartbeat();
+        } else if (this._missedHeartbeats >= this._heartbeatOptions.missThreshold) {
+            this._logger.warn('No message from the server after ' + this._missedHeartbeats + ' heartbeats, connection is dead');
+            this._stopHeartbeat();
+            this._abandonTransport();
+            this.state.channelDown();
+        } else {
+            this._missedHeartbeats++;
+            //missing response is accounted by _missedHeartbeats, nothing else to do upon timeout
+            //late response is still expected until the connection is considered dead, it's not from an unknown request
+            var timeoutMillis = this._heartbeatOptions.intervalMillis * this._heartbeatOptions.missThreshold;
+            this._rpc.request(this._heartbeatOptions.method, {}, timeoutMillis).catch(() => {
+            });
+        }
+    }
+    /**
+     * Close the connection without waiting for its events, which may never come (half-open connection) or arrive after new connection is opened.
+     */
+    _abandonTransport() {
+        var transport = this._transport;
+        transport.onOpen = transport.onMessage = transport.onError = transport.onClose = function noOp() {
+        };
+        transport.close();
     }
     invite(sdp, iceCandidates) {
         this.state.invite(sdp, iceCandidates);
@@ -471,7 +1249,25 @@ export default class AmznRtcSignaling {
     accept() {
         this.state.accept();
     }
+    answer(sdp, iceCandidates) {
+        this.state.answer(sdp, iceCandidates);
+    }
+    reject(code, message) {
+        this.state.reject(code, message);
+    }
     hangup() {
         this.state.hangup();
     }
+    reinvite(sdp, iceCandidates) {
+        this.state.reinvite(sdp, iceCandidates);
+    }
+    answerReinvite(sdp, iceCandidates) {
+        this.state.answerReinvite(sdp, iceCandidates);
+    }
+    rejectReinvite(code, message) {
+        this.state.rejectReinvite(code, message);
+    }
+    sendCandidate(candidate) {
+        this.state.sendCandidate(candidate);
+    }
 }
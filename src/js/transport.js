@@ -0,0 +1,70 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+/**
+ * Signaling transport carries JSON-RPC messages (as strings) between signaling channel and the server.
+ * Any object implementing connect/send/close and onOpen/onMessage/onError/onClose setters could be plugged into signaling channel,
+ * events follow WebSocket events: onMessage gets an object with data field, onClose gets an object with code and reason fields.
+ * This is the default implementation on top of WebSocket.
+ */
+export class WebSocketTransport {
+    constructor() {
+        this._openHandler =
+            this._messageHandler =
+            this._errorHandler =
+            this._closeHandler = function noOp() {
+            };
+    }
+    set onOpen(openHandler) {
+        this._openHandler = openHandler;
+    }
+    set onMessage(messageHandler) {
+        this._messageHandler = messageHandler;
+    }
+    set onError(errorHandler) {
+        this._errorHandler = errorHandler;
+    }
+    set onClose(closeHandler) {
+        this._closeHandler = closeHandler;
+    }
+    /**
+     * Open the connection, onOpen is called once it's ready to send.
+     * @param {string} uri
+     */
+    connect(uri) {
+        var self = this;
+        self._ws = self._createWebSocket(uri);
+        self._ws.onopen = evt => self._openHandler(evt);
+        self._ws.onmessage = evt => self._messageHandler(evt);
+        self._ws.onerror = evt => self._errorHandler(evt);
+        self._ws.onclose = evt => self._closeHandler(evt);
+    }
+    _createWebSocket(uri) {
+        return new WebSocket(uri);
+    }
+    /**
+     * @param {string} data
+     */
+    send(data) {
+        this._ws.send(data);
+    }
+    close() {
+        if (this._ws) {
+            this._ws.close();
+        }
+    }
+}
+
+/**
+ * Factory of the default transport.
+ */
+export function createWebSocketTransport() {
+    return new WebSocketTransport();
+}
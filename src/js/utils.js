@@ -8,8 +8,8 @@
  * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
  */
 
-import { IllegalParameters } from './exceptions';
-import { splitSections, splitLines, parseRtpMap, getKind, parseRtpParameters, writeFmtp } from 'sdp';
+import { IllegalParameters, GumTimeout } from './exceptions';
+import { splitSections, splitLines, parseRtpMap, getKind, isRejected, parseRtpParameters, writeFmtp, parseCandidate } from 'sdp';
 
 /**
  * All logging methods used by connect-rtc.
@@ -78,6 +78,56 @@ export function closeStream(stream) {
     }
 }
 
+/**
+ * Grab local media, rejected with GumTimeout if it's not granted in time (e.g. user never answers the permission prompt).
+ * @param {function} gUM getUserMedia implementation, called with the constraints
+ * @param {Object} constraints MediaStreamConstraints
+ * @param {number} timeoutMillis
+ */
+export function grabLocalMedia(gUM, constraints, timeoutMillis) {
+    var gumTimeoutPromise = new Promise((resolve, reject) => {
+        setTimeout(() => {
+            reject(new GumTimeout('Local media has not been initialized yet.'));
+        }, timeoutMillis);
+    });
+    return Promise.race([gUM(constraints), gumTimeoutPromise]);
+}
+
+/**
+ * Tells if sufficient ICE candidates have been collected to start the call without waiting for the end of collection,
+ * which is the case once RTP candidates from single media server (same foundation) are collected for all m lines.
+ */
+export class IceCandidateTracker {
+    /**
+     * @param {number} mLines Number of m lines in SDP
+     */
+    constructor(mLines) {
+        this._mLines = mLines;
+        this._foundationsMap = {};
+    }
+    /**
+     * @param {RTCIceCandidate} candidate Local candidate just collected
+     * @return TRUE if candidates collected so far are sufficient
+     */
+    add(candidate) {
+        var candidateObj = parseCandidate(candidate.candidate);
+        if (candidateObj.component != 1) {
+            return false;
+        }
+        var candidateFoundation = candidateObj.foundation;
+        var candidateMLineIndex = candidate.sdpMLineIndex;
+        if (candidateFoundation && candidateMLineIndex >= 0 && candidateMLineIndex < this._mLines) {
+            var mIndexList = this._foundationsMap[candidateFoundation] || [];
+            if (!mIndexList.includes(candidateMLineIndex)) {
+                mIndexList.push(candidateMLineIndex);
+            }
+            this._foundationsMap[candidateFoundation] = mIndexList;
+            return this._mLines == mIndexList.length;
+        }
+        return false;
+    }
+}
+
 /**
  * A parameter of transformSdp.
  * This defines all the SDP options connect-rtc-js supports.
@@ -120,17 +170,38 @@ export class SdpOptions {
     }
 }
 
+/**
+ * Replace bandwidth lines of the media section with b=AS and b=TIAS of given bitrate, right after c= line (or m= line if there is no c= line).
+ * @param section media section of SDP
+ * @param bitrate bps
+ */
+function setBandwidth(section, bitrate) {
+    var lines = splitLines(section).filter(line => !line.startsWith('b=AS:') && !line.startsWith('b=TIAS:'));
+    var cLineIndex = lines.findIndex(line => line.startsWith('c='));
+    lines.splice(cLineIndex >= 0 ? cLineIndex + 1 : 1, 0, 'b=AS:' + Math.round(bitrate / 1000), 'b=TIAS:' + bitrate);
+    return lines.join('\r\n');
+}
+
 /**
  * Modifies input SDP according to sdpOptions.
  * See SdpOptions for available options.
  * @param sdp original SDP
  * @param sdpOptions defines changes to be applied to SDP
- * @returns a map with 'sdp' containing the transformed SDP and 'mLines' containing the number of m lines in SDP
+ * Rejected m lines (e.g. stopped transceivers in unified plan) and non-RTP m lines are kept as they are.
+ * @returns a map with 'sdp' containing the transformed SDP and 'mLines' containing the number of m lines in SDP, rejected ones excluded
  */
 export function transformSdp(sdp, sdpOptions) {
     var sections = splitSections(sdp);
+    var mLines = 0;
     for (var i = 1; i < sections.length; i++) {
+        if (isRejected(sections[i])) {
+            continue;
+        }
+        mLines++;
         var mediaType = getKind(sections[i]);
+        if (mediaType !== 'audio' && mediaType !== 'video') {
+            continue;
+        }
         var rtpParams = parseRtpParameters(sections[i]);
         // a map from payload type (string) to codec object
         var codecMap = rtpParams.codecs.reduce((map, codec) => {
@@ -192,14 +263,29 @@ export function transformSdp(sdp, sdpOptions) {
                 return line;
             }
         }).filter(line => line !== null).join('\r\n');
-
     }
     return {
         sdp: sections.map(section => section.trim()).join('\r\n') + '\r\n',
-        mLines: sections.length - 1 // first section is session description, the rest are media descriptions
+        mLines: mLines
     };
 }
 
+/**
+ * Sets bandwidth of each video m line to given bitrate, the rest of SDP is kept as it is (unlike transformSdp).
+ * @param sdp original SDP
+ * @param bitrate bps
+ * @returns the SDP with video bandwidth set
+ */
+export function setVideoBandwidth(sdp, bitrate) {
+    var sections = splitSections(sdp).map((section, i) => {
+        if (i > 0 && !isRejected(section) && getKind(section) === 'video') {
+            return setBandwidth(section, bitrate);
+        }
+        return section;
+    });
+    return sections.map(section => section.trim()).join('\r\n') + '\r\n';
+}
+
 export function is_defined(v) {
     return typeof v !== 'undefined';
 }
@@ -0,0 +1,91 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { AudioProcessingChain } from '../../src/js/audio_processing_chain';
+import chai from 'chai';
+import sinon from 'sinon';
+
+describe('AudioProcessingChain', () => {
+    var audioContext;
+    var destinations;
+
+    function createNode(name) {
+        return {name: name, connect: sinon.spy(), disconnect: sinon.spy()};
+    }
+
+    function createChain(processors) {
+        var chain = new AudioProcessingChain(processors);
+        chain._createAudioContext = () => audioContext;
+        chain._createMediaStream = tracks => ({tracks: tracks});
+        return chain;
+    }
+
+    beforeEach(() => {
+        destinations = [];
+        audioContext = {
+            createMediaStreamSource: stream => Object.assign(createNode('source'), {stream: stream}),
+            createMediaStreamDestination: () => {
+                var track = {kind: 'audio', stop: sinon.spy()};
+                var destination = Object.assign(createNode('destination'), {stream: {getAudioTracks: () => [track]}});
+                destinations.push(destination);
+                return destination;
+            },
+            close: sinon.spy()
+        };
+    });
+
+    it('connects consecutive nodes into one graph', () => {
+        var inputTrack = {kind: 'audio'};
+        var gain = createNode('gain');
+        var worklet = createNode('worklet');
+        var chain = createChain([() => gain, () => Promise.resolve(worklet)]);
+        return chain.process(inputTrack).then(track => {
+            chai.expect(destinations.length).to.eq(1);
+            chai.expect(track).to.eq(destinations[0].stream.getAudioTracks()[0]);
+            chai.expect(chain.inputTrack).to.eq(inputTrack);
+            chai.expect(chain.outputTrack).to.eq(track);
+            chai.expect(gain.connect.calledWith(worklet)).to.be.true;
+            chai.expect(worklet.connect.calledWith(destinations[0])).to.be.true;
+        });
+    });
+
+    it('passes track through track processors in order and releases everything but input track on stop', () => {
+        var inputTrack = {kind: 'audio', stop: sinon.spy()};
+        var customTrack = {kind: 'audio', stop: sinon.spy()};
+        var gain = createNode('gain');
+        var chain = createChain([
+            {process: track => Promise.resolve(track === inputTrack ? customTrack : null)},
+            () => gain
+        ]);
+        return chain.process(inputTrack).then(track => {
+            chai.expect(track).to.eq(destinations[0].stream.getAudioTracks()[0]);
+            chain.stop();
+            chai.expect(inputTrack.stop.called).to.be.false;
+            chai.expect(customTrack.stop.calledOnce).to.be.true;
+            chai.expect(track.stop.calledOnce).to.be.true;
+            chai.expect(gain.disconnect.calledOnce).to.be.true;
+            chai.expect(audioContext.close.calledOnce).to.be.true;
+        });
+    });
+
+    it('stops the chain if a processor fails', () => {
+        var gain = createNode('gain');
+        var chain = createChain([() => gain, {process: () => Promise.reject(new Error('Oops'))}]);
+        return chain.process({kind: 'audio'}).then(() => {
+            throw new Error('should not resolve');
+        }, e => {
+            chai.expect(e.message).to.eq('Oops');
+            chai.expect(gain.disconnect.calledOnce).to.be.true;
+            chai.expect(destinations[0].stream.getAudioTracks()[0].stop.calledOnce).to.be.true;
+            chai.expect(audioContext.close.calledOnce).to.be.true;
+            chai.expect(chain.outputTrack).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { CallRecorder } from '../../src/js/call_recorder';
+import chai from 'chai';
+import sinon from 'sinon';
+
+describe('CallRecorder', () => {
+    /**
+     * @type {CallRecorder}
+     */
+    var recorder;
+
+    var audioContext;
+    var sources;
+    var mixedTrack;
+    var mediaRecorder;
+
+    function createRecorder(options) {
+        var callRecorder = new CallRecorder(options);
+        callRecorder._createAudioContext = () => audioContext;
+        callRecorder._createMediaStream = tracks => ({tracks: tracks});
+        callRecorder._createMediaRecorder = (stream, recorderOptions) => {
+            mediaRecorder.stream = stream;
+            mediaRecorder.options = recorderOptions;
+            return mediaRecorder;
+        };
+        callRecorder._createBlob = (chunks, mimeType) => ({chunks: chunks, type: mimeType});
+        return callRecorder;
+    }
+
+    beforeEach(() => {
+        sources = [];
+        mixedTrack = {kind: 'audio', stop: sinon.spy()};
+        audioContext = {
+            createMediaStreamSource: stream => {
+                var source = {stream: stream, connect: sinon.spy(), disconnect: sinon.spy()};
+                sources.push(source);
+                return source;
+            },
+            createMediaStreamDestination: () => ({stream: {getAudioTracks: () => [mixedTrack]}}),
+            close: sinon.spy()
+        };
+        mediaRecorder = {
+            state: 'inactive',
+            mimeType: 'video/webm',
+            start: sinon.spy(function() {
+                this.state = 'recording';
+            }),
+            pause: sinon.spy(),
+            stop: sinon.spy(function() {
+                this.state = 'inactive';
+            })
+        };
+        recorder = createRecorder();
+    });
+
+    it('mixes audio tracks and records them with remote video', () => {
+        var localTrack = {kind: 'audio'};
+        var remoteTrack = {kind: 'audio'};
+        var videoTrack = {kind: 'video'};
+        recorder.start([localTrack, remoteTrack], videoTrack);
+        chai.expect(sources.map(source => source.stream.tracks)).to.eql([[localTrack], [remoteTrack]]);
+        chai.expect(sources.every(source => source.connect.calledOnce)).to.be.true;
+        chai.expect(mediaRecorder.stream.tracks).to.eql([mixedTrack, videoTrack]);
+        chai.expect(mediaRecorder.options).to.eql({});
+        chai.expect(mediaRecorder.start.calledWith()).to.be.true;
+        chai.expect(recorder.state).to.eq('recording');
+        chai.expect(() => recorder.start([localTrack], null)).to.throw();
+    });
+
+    it('resolves stop with Blob of the whole recording and releases resources', () => {
+        var onStop = sinon.spy();
+        recorder.onStop = onStop;
+        recorder.start([{kind: 'audio'}], null);
+        chai.expect(mediaRecorder.stream.tracks).to.eql([mixedTrack]);
+        mediaRecorder.ondataavailable({data: {size: 5}});
+        mediaRecorder.ondataavailable({data: {size: 0}});
+        var stopped = recorder.stop();
+        chai.expect(recorder.stop()).to.eq(stopped);
+        mediaRecorder.ondataavailable({data: {size: 3}});
+        mediaRecorder.onstop();
+        return stopped.then(recording => {
+            chai.expect(recording).to.eql({chunks: [{size: 5}, {size: 3}], type: 'video/webm'});
+            chai.expect(onStop.calledWith(recording)).to.be.true;
+            chai.expect(mediaRecorder.stop.calledOnce).to.be.true;
+            chai.expect(sources[0].disconnect.calledOnce).to.be.true;
+            chai.expect(mixedTrack.stop.calledOnce).to.be.true;
+            chai.expect(audioContext.close.calledOnce).to.be.true;
+            chai.expect(recorder.state).to.eq('inactive');
+        });
+    });
+
+    it('mixes new local track in place of the replaced one', () => {
+        var localTrack = {kind: 'audio'};
+        var remoteTrack = {kind: 'audio'};
+        var newLocalTrack = {kind: 'audio'};
+        recorder.replaceAudioTrack(localTrack, newLocalTrack);
+        chai.expect(sources).to.be.empty;
+        recorder.start([localTrack, remoteTrack], null);
+        recorder.replaceAudioTrack(localTrack, newLocalTrack);
+        chai.expect(sources[0].disconnect.calledOnce).to.be.true;
+        chai.expect(sources[1].disconnect.called).to.be.false;
+        chai.expect(sources[2].stream.tracks).to.eql([newLocalTrack]);
+        chai.expect(sources[2].connect.calledOnce).to.be.true;
+        recorder.replaceAudioTrack(localTrack, {kind: 'audio'});
+        chai.expect(sources.length).to.eq(3);
+    });
+
+    it('resolves stop even if onStop handler throws', () => {
+        recorder.onStop = () => {
+            throw new Error('Oops');
+        };
+        recorder.start([{kind: 'audio'}], null);
+        var stopped = recorder.stop();
+        chai.expect(() => mediaRecorder.onstop()).to.throw();
+        return stopped.then(recording => {
+            chai.expect(recording).to.eql({chunks: [], type: 'video/webm'});
+        });
+    });
+
+    it('delivers chunks when recording with timeslice', () => {
+        var onData = sinon.spy();
+        var onStop = sinon.spy();
+        recorder = createRecorder({timesliceMillis: 1000, mimeType: 'audio/webm'});
+        recorder.onData = onData;
+        recorder.onStop = onStop;
+        recorder.start([{kind: 'audio'}], null);
+        chai.expect(mediaRecorder.start.calledWith(1000)).to.be.true;
+        chai.expect(mediaRecorder.options).to.eql({mimeType: 'audio/webm'});
+        mediaRecorder.ondataavailable({data: {size: 5}});
+        chai.expect(onData.calledWith({size: 5})).to.be.true;
+        recorder.stop();
+        mediaRecorder.onstop();
+        chai.expect(onStop.calledWith(null)).to.be.true;
+    });
+
+    it('refuses to pause or stop when not recording', () => {
+        chai.expect(() => recorder.pause()).to.throw();
+        return recorder.stop().then(() => {
+            throw new Error('should not resolve');
+        }, e => {
+            chai.expect(e.name).to.eq('IllegalState');
+        });
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { DeviceManager } from '../../src/js/device_manager';
+import { DEVICE_SWITCH_POLICIES } from '../../src/js/rtc_const';
+import chai from 'chai';
+import sinon from 'sinon';
+
+describe('DeviceManager', () => {
+    /**
+     * @type {DeviceManager}
+     */
+    var deviceManager;
+
+    var mediaDevices;
+
+    var devices;
+
+    var builtInMic = {kind: 'audioinput', deviceId: 'mic', groupId: 'builtIn', label: 'Built-in Microphone'};
+    var headsetMic = {kind: 'audioinput', deviceId: 'headsetMic', groupId: 'headset', label: 'Headset Microphone'};
+    var speaker = {kind: 'audiooutput', deviceId: 'speaker', groupId: 'builtIn', label: 'Built-in Speaker'};
+    var headsetSpeaker = {kind: 'audiooutput', deviceId: 'headsetSpeaker', groupId: 'headset', label: 'Headset Speaker'};
+    var camera = {kind: 'videoinput', deviceId: 'camera', groupId: 'camera', label: 'Camera'};
+
+    function defaultEntry(device) {
+        return {kind: device.kind, deviceId: 'default', groupId: device.groupId, label: 'Default - ' + device.label};
+    }
+
+    function plugIn(newDevices) {
+        devices = newDevices;
+        return deviceManager._onDeviceChange();
+    }
+
+    beforeEach(() => {
+        devices = [defaultEntry(builtInMic), builtInMic, speaker, camera];
+        mediaDevices = {
+            enumerateDevices: () => Promise.resolve(devices),
+            addEventListener: sinon.spy(),
+            removeEventListener: sinon.spy()
+        };
+        deviceManager = new DeviceManager(console);
+        deviceManager._getMediaDevices = () => mediaDevices;
+    });
+
+    it('lists devices by kind without default entries', () => {
+        return deviceManager.enumerateDevices().then(result => {
+            chai.expect(result.audioInputs).to.be.eql([builtInMic]);
+            chai.expect(result.audioOutputs).to.be.eql([speaker]);
+            chai.expect(result.videoInputs).to.be.eql([camera]);
+            chai.expect(deviceManager.audioInputs).to.be.eql([builtInMic]);
+        });
+    });
+
+    it('tracks default device by groupId of default entry', () => {
+        devices = [defaultEntry(headsetMic), builtInMic, headsetMic, speaker];
+        return deviceManager.enumerateDevices().then(() => {
+            chai.expect(deviceManager.defaultDevices.audioinput).to.be.equal(headsetMic);
+            chai.expect(deviceManager.defaultDevices.audiooutput).to.be.equal(speaker);
+            chai.expect(deviceManager.defaultDevices.videoinput).to.be.null;
+        });
+    });
+
+    it('listens to devicechange between start and stop', () => {
+        return deviceManager.start().then(() => {
+            sinon.assert.calledWith(mediaDevices.addEventListener, 'devicechange', deviceManager._deviceChangeListener);
+            deviceManager.stop();
+            sinon.assert.calledWith(mediaDevices.removeEventListener, 'devicechange', deviceManager._deviceChangeListener);
+        });
+    });
+
+    it('notifies added and removed devices and default device change', () => {
+        var deviceChangeHandler = sinon.spy();
+        var defaultDeviceChangeHandler = sinon.spy();
+        deviceManager.onDeviceChange = deviceChangeHandler;
+        deviceManager.onDefaultDeviceChange = defaultDeviceChangeHandler;
+
+        return deviceManager.start()
+            .then(() => plugIn([defaultEntry(headsetMic), builtInMic, headsetMic, speaker]))
+            .then(() => {
+                sinon.assert.calledOnce(deviceChangeHandler);
+                sinon.assert.calledWith(deviceChangeHandler, {added: [headsetMic], removed: [camera]});
+                sinon.assert.calledTwice(defaultDeviceChangeHandler);
+                sinon.assert.calledWith(defaultDeviceChangeHandler, 'audioinput', headsetMic);
+                sinon.assert.calledWith(defaultDeviceChangeHandler, 'videoinput', null);
+            });
+    });
+
+    it('notifies default device change even if device change handler throws', () => {
+        var defaultDeviceChangeHandler = sinon.spy();
+        deviceManager.onDeviceChange = sinon.stub().throws(new Error('Oops'));
+        deviceManager.onDefaultDeviceChange = defaultDeviceChangeHandler;
+
+        return deviceManager.start()
+            .then(() => plugIn([defaultEntry(headsetMic), builtInMic, headsetMic, speaker, camera]))
+            .then(() => {
+                sinon.assert.calledWith(defaultDeviceChangeHandler, 'audioinput', headsetMic);
+            });
+    });
+
+    it('does not notify when devices remain the same', () => {
+        var deviceChangeHandler = sinon.spy();
+        var defaultDeviceChangeHandler = sinon.spy();
+        deviceManager.onDeviceChange = deviceChangeHandler;
+        deviceManager.onDefaultDeviceChange = defaultDeviceChangeHandler;
+
+        return deviceManager.start()
+            .then(() => plugIn(devices.slice()))
+            .then(() => {
+                sinon.assert.notCalled(deviceChangeHandler);
+                sinon.assert.notCalled(defaultDeviceChangeHandler);
+            });
+    });
+
+    describe('switching attached session', () => {
+        var rtcSession;
+
+        beforeEach(() => {
+            rtcSession = {
+                switchAudioInput: sinon.stub().returns(Promise.resolve()),
+                switchVideoInput: sinon.stub().returns(Promise.resolve()),
+                setAudioOutputDevice: sinon.stub().returns(Promise.resolve())
+            };
+            deviceManager.attach(rtcSession);
+        });
+
+        it('does not switch by default', () => {
+            return deviceManager.start()
+                .then(() => plugIn([defaultEntry(headsetMic), builtInMic, headsetMic, speaker, camera]))
+                .then(() => {
+                    sinon.assert.notCalled(rtcSession.switchAudioInput);
+                    sinon.assert.notCalled(rtcSession.switchVideoInput);
+                });
+        });
+
+        it('switches to new device', () => {
+            deviceManager.switchPolicy = {audioinput: DEVICE_SWITCH_POLICIES.NEW_DEVICE};
+
+            return deviceManager.start()
+                .then(() => plugIn([defaultEntry(builtInMic), builtInMic, headsetMic, speaker, camera]))
+                .then(() => {
+                    sinon.assert.calledWith(rtcSession.switchAudioInput, 'headsetMic');
+                    sinon.assert.notCalled(rtcSession.switchVideoInput);
+                });
+        });
+
+        it('follows default device', () => {
+            deviceManager.switchPolicy = {audioinput: DEVICE_SWITCH_POLICIES.DEFAULT_DEVICE};
+
+            return deviceManager.start()
+                .then(() => plugIn([defaultEntry(builtInMic), builtInMic, headsetMic, speaker, camera]))
+                .then(() => {
+                    sinon.assert.notCalled(rtcSession.switchAudioInput);
+                })
+                .then(() => plugIn([defaultEntry(headsetMic), builtInMic, headsetMic, speaker, camera]))
+                .then(() => {
+                    sinon.assert.calledOnce(rtcSession.switchAudioInput);
+                    sinon.assert.calledWith(rtcSession.switchAudioInput, 'headsetMic');
+                });
+        });
+
+        it('switches to device picked by custom policy', () => {
+            var policy = sinon.stub().returns(builtInMic);
+            deviceManager.switchPolicy = {audioinput: policy};
+
+            return deviceManager.start()
+                .then(() => plugIn([defaultEntry(builtInMic), builtInMic, headsetMic, speaker, camera]))
+                .then(() => {
+                    sinon.assert.calledWith(policy, 'audioinput', {added: [headsetMic], defaultDevice: builtInMic});
+                    sinon.assert.calledWith(rtcSession.switchAudioInput, 'mic');
+                });
+        });
+
+        it('moves remote audio to new output device', () => {
+            deviceManager.switchPolicy = {audiooutput: DEVICE_SWITCH_POLICIES.NEW_DEVICE};
+
+            return deviceManager.start()
+                .then(() => plugIn([defaultEntry(builtInMic), builtInMic, headsetMic, speaker, headsetSpeaker, camera]))
+                .then(() => {
+                    sinon.assert.calledWith(rtcSession.setAudioOutputDevice, 'headsetSpeaker');
+                    sinon.assert.notCalled(rtcSession.switchAudioInput);
+                });
+        });
+
+        it('switches other kinds of devices even if one policy throws', () => {
+            deviceManager.switchPolicy = {
+                audioinput: sinon.stub().throws(new Error('Oops')),
+                audiooutput: DEVICE_SWITCH_POLICIES.NEW_DEVICE
+            };
+
+            return deviceManager.start()
+                .then(() => plugIn([defaultEntry(builtInMic), builtInMic, headsetMic, speaker, headsetSpeaker, camera]))
+                .then(() => {
+                    sinon.assert.calledWith(rtcSession.setAudioOutputDevice, 'headsetSpeaker');
+                });
+        });
+
+        it('does not switch once detached', () => {
+            deviceManager.switchPolicy = {audioinput: DEVICE_SWITCH_POLICIES.NEW_DEVICE};
+            deviceManager.detach();
+
+            return deviceManager.start()
+                .then(() => plugIn([defaultEntry(builtInMic), builtInMic, headsetMic, speaker, camera]))
+                .then(() => {
+                    sinon.assert.notCalled(rtcSession.switchAudioInput);
+                });
+        });
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { Diagnostics } from '../../src/js/diagnostics';
+import { DIAGNOSTIC_STATUS } from '../../src/js/rtc_const';
+import chai from 'chai';
+import sinon from 'sinon';
+
+describe('Diagnostics', () => {
+    var RELAY_CANDIDATE = {candidate: 'candidate:1 1 udp 41885439 10.0.0.1 3478 typ relay raddr 0.0.0.0 rport 0', sdpMid: 'audio', sdpMLineIndex: 0};
+
+    /**
+     * @type {Diagnostics}
+     */
+    var diagnostics;
+
+    var gumRequests;
+    var peerConnections;
+    var transport;
+    var meterLevel;
+
+    function createStream(kind) {
+        return {
+            getTracks: () => [{kind: kind, label: kind + ' device', stop: () => {}}]
+        };
+    }
+
+    function createPeerConnection(candidates) {
+        return {
+            addTransceiver: () => {},
+            createOffer: () => Promise.resolve({type: 'offer', sdp: 'sdp'}),
+            setLocalDescription: function() {
+                candidates.concat([null]).forEach(candidate => this.onicecandidate({candidate: candidate}));
+                return Promise.resolve();
+            },
+            close: function() {
+                this.closed = true;
+            }
+        };
+    }
+
+    function createTransport(openOrClose) {
+        return {
+            connect: function(uri) {
+                this.uri = uri;
+                if (openOrClose === 'open') {
+                    this._onOpen();
+                } else {
+                    this._onClose({code: 1006});
+                }
+            },
+            set onOpen(handler) {
+                this._onOpen = handler;
+            },
+            set onError(handler) {
+                this._onError = handler;
+            },
+            set onClose(handler) {
+                this._onClose = handler;
+            },
+            close: function() {
+                this.closed = true;
+            }
+        };
+    }
+
+    beforeEach(() => {
+        gumRequests = [];
+        peerConnections = [];
+        meterLevel = 0.2;
+        diagnostics = new Diagnostics('wss://amazon-connect-rtc-server.amazonaws.com/', [
+            {urls: ['turn:turn.amazonaws.com:3478?transport=udp', 'turns:turn.amazonaws.com:443?transport=tcp'], username: 'u', credential: 'c'},
+            {urls: 'stun:stun.amazonaws.com'}
+        ], console, {inputLevelMillis: 10, iceTimeoutMillis: 20, signalingTimeoutMillis: 20});
+        diagnostics._queryPermission = () => Promise.resolve('granted');
+        diagnostics._gUM = constraints => {
+            gumRequests.push(constraints);
+            return Promise.resolve(createStream(constraints.audio ? 'audio' : 'video'));
+        };
+        diagnostics._createAudioLevelMeter = () => ({
+            start: () => {},
+            get level() {
+                return meterLevel;
+            },
+            stop: () => {}
+        });
+        diagnostics._createPeerConnection = configuration => {
+            var pc = createPeerConnection([RELAY_CANDIDATE]);
+            pc.configuration = configuration;
+            peerConnections.push(pc);
+            return pc;
+        };
+        diagnostics._createTransport = () => {
+            transport = createTransport('open');
+            return transport;
+        };
+        diagnostics._getCapabilities = kind => ({
+            codecs: kind === 'audio' ? [{mimeType: 'audio/opus'}] : [{mimeType: 'video/VP8'}]
+        });
+    });
+
+    it('passes when every check passes', () => {
+        return diagnostics.run().then(report => {
+            chai.expect(report.status).to.equal(DIAGNOSTIC_STATUS.PASS);
+            chai.expect(report.microphone).to.deep.equal({status: DIAGNOSTIC_STATUS.PASS, permission: 'granted', label: 'audio device', error: null});
+            chai.expect(report.camera.status).to.equal(DIAGNOSTIC_STATUS.PASS);
+            chai.expect(report.inputLevel.level).to.equal(0.2);
+            chai.expect(report.signaling.status).to.equal(DIAGNOSTIC_STATUS.PASS);
+            chai.expect(report.codecs).to.deep.equal({status: DIAGNOSTIC_STATUS.PASS, audio: ['audio/opus'], video: ['video/vp8'], error: null});
+            chai.expect(gumRequests).to.deep.equal([{audio: true}, {video: true}]);
+        });
+    });
+
+    it('logs status of each check, not the whole report', () => {
+        diagnostics._logger.info = sinon.spy();
+        meterLevel = 0;
+        return diagnostics.run().then(() => {
+            sinon.assert.calledWith(diagnostics._logger.info,
+                'Diagnostics completed with warn (microphone: pass, inputLevel: warn, camera: pass, ice: pass, signaling: pass, codecs: pass)');
+        });
+    });
+
+    it('checks relay candidates of each TURN server url and protocol', () => {
+        return diagnostics.run().then(report => {
+            chai.expect(report.ice.status).to.equal(DIAGNOSTIC_STATUS.PASS);
+            chai.expect(report.ice.servers.map(server => [server.url, server.protocol, server.relayCandidates])).to.deep.equal([
+                ['turn:turn.amazonaws.com:3478?transport=udp', 'udp', 1],
+                ['turns:turn.amazonaws.com:443?transport=tcp', 'tls', 1]
+            ]);
+            chai.expect(peerConnections.length).to.equal(2);
+            chai.expect(peerConnections[0].configuration).to.deep.equal({
+                iceServers: [{urls: 'turn:turn.amazonaws.com:3478?transport=udp', username: 'u', credential: 'c'}],
+                iceTransportPolicy: 'relay'
+            });
+            chai.expect(peerConnections.every(pc => pc.closed)).to.be.true;
+        });
+    });
+
+    it('fails ice check when no TURN server is reachable', () => {
+        diagnostics._createPeerConnection = () => createPeerConnection([]);
+        return diagnostics.run().then(report => {
+            chai.expect(report.status).to.equal(DIAGNOSTIC_STATUS.FAIL);
+            chai.expect(report.ice.status).to.equal(DIAGNOSTIC_STATUS.FAIL);
+            chai.expect(report.ice.servers.every(server => server.status === DIAGNOSTIC_STATUS.FAIL)).to.be.true;
+        });
+    });
+
+    it('warns when only some TURN servers are reachable', () => {
+        var count = 0;
+        diagnostics._createPeerConnection = () => createPeerConnection(count++ === 0 ? [RELAY_CANDIDATE] : []);
+        return diagnostics.run().then(report => {
+            chai.expect(report.ice.status).to.equal(DIAGNOSTIC_STATUS.WARN);
+            chai.expect(report.status).to.equal(DIAGNOSTIC_STATUS.WARN);
+        });
+    });
+
+    it('fails when microphone cannot be captured, warns when camera cannot', () => {
+        diagnostics._gUM = () => Promise.reject(new Error('NotAllowedError'));
+        return diagnostics.run().then(report => {
+            chai.expect(report.status).to.equal(DIAGNOSTIC_STATUS.FAIL);
+            chai.expect(report.microphone.status).to.equal(DIAGNOSTIC_STATUS.FAIL);
+            chai.expect(report.microphone.error).to.equal('Error: NotAllowedError');
+            chai.expect(report.inputLevel.status).to.equal(DIAGNOSTIC_STATUS.FAIL);
+            chai.expect(report.camera.status).to.equal(DIAGNOSTIC_STATUS.WARN);
+        });
+    });
+
+    it('warns when microphone is silent', () => {
+        meterLevel = 0;
+        return diagnostics.run().then(report => {
+            chai.expect(report.inputLevel).to.deep.equal({status: DIAGNOSTIC_STATUS.WARN, level: 0, error: null});
+            chai.expect(report.status).to.equal(DIAGNOSTIC_STATUS.WARN);
+        });
+    });
+
+    it('fails when signaling server is unreachable', () => {
+        diagnostics._createTransport = () => {
+            transport = createTransport('close');
+            return transport;
+        };
+        return diagnostics.run().then(report => {
+            chai.expect(report.signaling).to.deep.equal({status: DIAGNOSTIC_STATUS.FAIL, connectTimeMillis: null, error: 'WebSocket closed with code 1006'});
+            chai.expect(transport.uri).to.match(/^wss:\/\/amazon-connect-rtc-server\.amazonaws\.com\/\?callId=[0-9a-f-]{36}$/);
+            chai.expect(transport.closed).to.be.true;
+        });
+    });
+
+    it('fails without opus and warns when capabilities are unknown', () => {
+        diagnostics._getCapabilities = () => ({codecs: [{mimeType: 'audio/PCMU'}]});
+        return diagnostics.run().then(report => {
+            chai.expect(report.codecs.status).to.equal(DIAGNOSTIC_STATUS.FAIL);
+            diagnostics._getCapabilities = () => null;
+            chai.expect(diagnostics._checkCodecs().status).to.equal(DIAGNOSTIC_STATUS.WARN);
+        });
+    });
+
+    it('skips camera when checkCamera is off', () => {
+        diagnostics._options.checkCamera = false;
+        return diagnostics.run().then(report => {
+            chai.expect(report.camera).to.be.undefined;
+            chai.expect(report.codecs.video).to.be.null;
+            chai.expect(gumRequests).to.deep.equal([{audio: true}]);
+        });
+    });
+});
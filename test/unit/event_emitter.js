@@ -0,0 +1,89 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { EventEmitter } from '../../src/js/event_emitter';
+import chai from 'chai';
+import sinon from 'sinon';
+
+describe('EventEmitter', () => {
+    /**
+     * @type {EventEmitter}
+     */
+    var emitter;
+
+    beforeEach(() => {
+        emitter = new EventEmitter();
+    });
+
+    it('calls all listeners of the event in order', () => {
+        var first = sinon.spy();
+        var second = sinon.spy();
+        var other = sinon.spy();
+        emitter.on('connected', first).on('connected', second).on('failed', other);
+
+        emitter._emit('connected', {type: 'connected'});
+
+        sinon.assert.calledWith(first, {type: 'connected'});
+        sinon.assert.calledWith(second, {type: 'connected'});
+        sinon.assert.callOrder(first, second);
+        sinon.assert.notCalled(other);
+    });
+
+    it('stops calling listener after off', () => {
+        var listener = sinon.spy();
+        emitter.on('connected', listener);
+        emitter.off('connected', listener);
+        emitter.off('failed', listener);
+
+        emitter._emit('connected', {});
+
+        sinon.assert.notCalled(listener);
+    });
+
+    it('calls once listener for the next event only', () => {
+        var listener = sinon.spy();
+        emitter.once('connected', listener);
+
+        emitter._emit('connected', {attempt: 1});
+        emitter._emit('connected', {attempt: 2});
+
+        sinon.assert.calledOnce(listener);
+        sinon.assert.calledWith(listener, {attempt: 1});
+    });
+
+    it('removes once listener with the original function', () => {
+        var listener = sinon.spy();
+        emitter.once('connected', listener);
+        emitter.off('connected', listener);
+
+        emitter._emit('connected', {});
+
+        sinon.assert.notCalled(listener);
+    });
+
+    it('keeps calling other listeners when one of them throws', () => {
+        var error = new Error('listener failure');
+        var listener = sinon.spy();
+        emitter._listenerFailed = sinon.spy();
+        emitter.on('connected', () => {
+            throw error;
+        });
+        emitter.on('connected', listener);
+
+        emitter._emit('connected', {});
+
+        sinon.assert.calledOnce(listener);
+        sinon.assert.calledWith(emitter._listenerFailed, 'connected', error);
+    });
+
+    it('refuses listener which is not a function', () => {
+        chai.expect(() => emitter.on('connected', 'listener')).to.throw();
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { LocalAudioMonitor } from '../../src/js/local_audio_monitor';
+import chai from 'chai';
+import sinon from 'sinon';
+
+describe('LocalAudioMonitor', () => {
+    /**
+     * @type {LocalAudioMonitor}
+     */
+    var monitor;
+
+    var clock;
+    var track;
+    var clonedTrack;
+    var meter;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(Date.now());
+        clonedTrack = {enabled: false, stop: sinon.spy()};
+        track = {enabled: true, clone: () => clonedTrack};
+        meter = {level: 0, start: sinon.spy(), stop: sinon.spy()};
+        monitor = new LocalAudioMonitor({levelIntervalMillis: 200, speakingThreshold: 0.05, speakingMillis: 300, silenceThreshold: 0.01});
+        monitor._createAudioLevelMeter = () => meter;
+        monitor._createMediaStream = tracks => ({tracks: tracks});
+    });
+
+    afterEach(() => {
+        monitor.stop();
+        clock.restore();
+    });
+
+    it('analyses an enabled clone of the track', () => {
+        monitor.start(track);
+        chai.expect(meter.start.args[0][0].tracks).to.eql([clonedTrack]);
+        chai.expect(clonedTrack.enabled).to.be.true;
+        monitor.stop();
+        chai.expect(meter.stop.calledOnce).to.be.true;
+        chai.expect(clonedTrack.stop.calledOnce).to.be.true;
+    });
+
+    it('notifies peak level periodically', () => {
+        var onLevel = sinon.spy();
+        monitor.onLevel = onLevel;
+        monitor.start(track);
+        meter.level = 0.4;
+        clock.tick(50);
+        meter.level = 0.1;
+        clock.tick(50);
+        chai.expect(onLevel.args).to.eql([[0.4]]);
+        clock.tick(200);
+        chai.expect(onLevel.args).to.eql([[0.4], [0.1]]);
+        chai.expect(monitor.level).to.eq(0.1);
+    });
+
+    it('notifies speaking while muted once per mute', () => {
+        var onSpeakingWhileMuted = sinon.spy();
+        monitor.onSpeakingWhileMuted = onSpeakingWhileMuted;
+        monitor.start(track);
+        meter.level = 0.3;
+        clock.tick(1000);
+        chai.expect(onSpeakingWhileMuted.called).to.be.false;
+
+        track.enabled = false;
+        clock.tick(200);
+        chai.expect(onSpeakingWhileMuted.called).to.be.false;
+        clock.tick(200);
+        chai.expect(onSpeakingWhileMuted.calledOnce).to.be.true;
+        chai.expect(onSpeakingWhileMuted.args[0][0]).to.eq(0.3);
+        clock.tick(1000);
+        chai.expect(onSpeakingWhileMuted.calledOnce).to.be.true;
+
+        track.enabled = true;
+        clock.tick(50);
+        track.enabled = false;
+        clock.tick(400);
+        chai.expect(onSpeakingWhileMuted.calledTwice).to.be.true;
+    });
+
+    it('ignores short noise while muted', () => {
+        var onSpeakingWhileMuted = sinon.spy();
+        monitor.onSpeakingWhileMuted = onSpeakingWhileMuted;
+        track.enabled = false;
+        monitor.start(track);
+        meter.level = 0.3;
+        clock.tick(100);
+        meter.level = 0;
+        clock.tick(500);
+        meter.level = 0.3;
+        clock.tick(200);
+        chai.expect(onSpeakingWhileMuted.called).to.be.false;
+    });
+
+    it('tells if microphone was silent and keeps levels when moving to another track', () => {
+        monitor.start(track);
+        meter.level = 0.005;
+        clock.tick(100);
+        chai.expect(monitor.silent).to.be.true;
+
+        var newMeter = {level: 0.2, start: sinon.spy(), stop: sinon.spy()};
+        monitor._createAudioLevelMeter = () => newMeter;
+        monitor.start({enabled: true, clone: () => ({stop: sinon.spy()})});
+        chai.expect(meter.stop.calledOnce).to.be.true;
+        chai.expect(clonedTrack.stop.calledOnce).to.be.true;
+        clock.tick(100);
+        chai.expect(monitor.silent).to.be.false;
+        chai.expect(monitor.maxLevel).to.eq(0.2);
+    });
+});
@@ -9,9 +9,9 @@
  */
 
 import RtcSession from '../../src/js/rtc_session';
-import { RTCSessionState, GrabLocalMediaState, CreateOfferState, SetLocalSessionDescriptionState, ConnectSignalingAndIceCollectionState, InviteAnswerState, AcceptState, TalkingState, CleanUpState, DisconnectedState, FailedState } from '../../src/js/rtc_session';
-import { RTC_ERRORS } from '../../src/js/rtc_const';
-import { BusyException, CallNotFoundException } from '../../src/js/exceptions';
+import { RTCSessionState, GrabLocalMediaState, CreateOfferState, SetLocalSessionDescriptionState, ConnectSignalingAndIceCollectionState, InviteAnswerState, AcceptState, PendingIncomingCallState, RingingState, CreateAnswerState, SetLocalAnswerDescriptionState, AnswerIceCollectionState, SendAnswerState, TalkingState, RenegotiatingState, IceRestartState, RemoteRenegotiatingState, ResumeSignalingState, ResumeMediaState, CleanUpState, DisconnectedState, FailedState } from '../../src/js/rtc_session';
+import { RTC_ERRORS, RTC_ERROR_CODES, REJECT_REASONS, RTC_SESSION_EVENTS, RTC_SESSION_STATES, SIGNALING_STATES, TIMELINE_SOURCES } from '../../src/js/rtc_const';
+import { BusyException, CallNotFoundException, Timeout } from '../../src/js/exceptions';
 import chai from 'chai';
 import sinon from 'sinon';
 
@@ -24,9 +24,558 @@ describe('RTC session', () => {
             chai.expect(!!constraints.audio).to.be.true;
         });
 
+        it('restarts ICE by default', () => {
+            chai.expect(session._maxIceRestartAttempts).to.be.above(0);
+        });
+
         it('generates contact ID when it\'s not provided through constructor', () => {
             chai.expect(session.callId).to.match(/^[-A-Fa-f0-9]{36}$/);
         });
+
+        it('records time to first media once', () => {
+            session._connectTimeStamp = Date.now() - 100;
+            session._state = new RTCSessionState(session);
+            session._onIceStateChange({currentTarget: {iceConnectionState: 'checking'}});
+            chai.expect(session.sessionReport.timeToFirstMediaMillis).to.be.null;
+            session._onIceStateChange({currentTarget: {iceConnectionState: 'connected'}});
+            var timeToFirstMediaMillis = session.sessionReport.timeToFirstMediaMillis;
+            chai.expect(timeToFirstMediaMillis).to.be.at.least(100);
+            session._connectTimeStamp = Date.now() - 1000;
+            session._onIceStateChange({currentTarget: {iceConnectionState: 'completed'}});
+            chai.expect(session.sessionReport.timeToFirstMediaMillis).to.eq(timeToFirstMediaMillis);
+        });
+
+        it('owns tracks it grabbed, even in user provided stream', () => {
+            var trackSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            var userTrack = {stop: sinon.spy()};
+            var acquiredTrack = {stop: sinon.spy()};
+            chai.expect(trackSession._ownsTrack(userTrack)).to.be.true;
+            trackSession.mediaStream = {};
+            trackSession._acquiredTracks.push(acquiredTrack);
+            chai.expect(trackSession._ownsTrack(userTrack)).to.be.false;
+            chai.expect(trackSession._ownsTrack(acquiredTrack)).to.be.true;
+            trackSession._stopSession();
+            chai.expect(acquiredTrack.stop.calledOnce).to.be.true;
+            chai.expect(userTrack.stop.called).to.be.false;
+        });
+
+        it('builds constraints with picked devices', () => {
+            var deviceSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            deviceSession.enableVideo = true;
+            deviceSession._audioDeviceId = 'mic2';
+            deviceSession._videoDeviceId = 'camera2';
+            var constraints = deviceSession._buildMediaConstraints();
+            chai.expect(constraints.audio.deviceId).to.eql({exact: 'mic2'});
+            chai.expect(constraints.video.deviceId).to.eql({exact: 'camera2'});
+            chai.expect(constraints.video.facingMode).to.be.undefined;
+        });
+
+        it('attaches remote track without stream to remote media element', () => {
+            var trackSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            var remoteAudioElement = {};
+            var remoteStream = {};
+            var onRemoteStreamAdded = sinon.spy();
+            trackSession.remoteAudioElement = remoteAudioElement;
+            trackSession.onRemoteStreamAdded = onRemoteStreamAdded;
+            trackSession._createMediaStream = sinon.stub().returns(remoteStream);
+            trackSession._ontrack({
+                track: {kind: 'audio', id: 'track1'},
+                streams: [],
+                transceiver: {mid: '0'}
+            });
+            chai.expect(trackSession._createMediaStream.args[0][0]).to.eql([{kind: 'audio', id: 'track1'}]);
+            chai.expect(remoteAudioElement.srcObject).to.eq(remoteStream);
+            chai.expect(onRemoteStreamAdded.calledWith(trackSession, remoteStream)).to.be.true;
+        });
+
+        it('routes remote audio to picked output device across remote stream changes', () => {
+            var sinkSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            var remoteAudioElement = {setSinkId: sinon.stub().returns(Promise.resolve())};
+            sinkSession._createMediaStream = sinon.stub().returns({});
+            return sinkSession.setAudioOutputDevice('headset').then(() => {
+                sinkSession.remoteAudioElement = remoteAudioElement;
+                chai.expect(remoteAudioElement.setSinkId.calledWith('headset')).to.be.true;
+                sinkSession._ontrack({
+                    track: {kind: 'audio', id: 'track1'},
+                    streams: [{id: 'stream1'}]
+                });
+                chai.expect(remoteAudioElement.setSinkId.calledTwice).to.be.true;
+                return sinkSession.setAudioOutputDevice('speaker');
+            }).then(() => {
+                chai.expect(remoteAudioElement.setSinkId.lastCall.args[0]).to.eq('speaker');
+            });
+        });
+
+        it('rejects output device selection if the browser doesn\'t support it', () => {
+            var sinkSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            sinkSession.remoteAudioElement = {};
+            return sinkSession.setAudioOutputDevice('headset').then(() => {
+                throw new Error('should not resolve');
+            }, e => {
+                chai.expect(e.name).to.eq('UnsupportedOperation');
+            });
+        });
+
+        it('routes ringtone to ringer device', () => {
+            var ringerSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            var remoteAudioElement = {setSinkId: sinon.stub().returns(Promise.resolve())};
+            var ringerElement = {setSinkId: sinon.stub().returns(Promise.resolve())};
+            ringerSession.remoteAudioElement = remoteAudioElement;
+            ringerSession.ringerElement = ringerElement;
+            return ringerSession.setRingerDevice('speaker').then(() => {
+                chai.expect(ringerElement.setSinkId.calledWith('speaker')).to.be.true;
+                chai.expect(remoteAudioElement.setSinkId.called).to.be.false;
+            });
+        });
+
+        it('emits lifecycle events to listeners and setter callback', () => {
+            var eventSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            var listener = sinon.spy();
+            var callback = sinon.spy();
+            var replacedCallback = sinon.spy();
+            eventSession.on(RTC_SESSION_EVENTS.RECONNECTING, listener);
+            eventSession.onReconnecting = replacedCallback;
+            eventSession.onReconnecting = callback;
+
+            eventSession._onReconnecting(eventSession, 2, 1000);
+
+            chai.expect(listener.calledWith({
+                type: RTC_SESSION_EVENTS.RECONNECTING,
+                rtcSession: eventSession,
+                attempt: 2,
+                delayMillis: 1000
+            })).to.be.true;
+            chai.expect(callback.calledWith(eventSession, 2, 1000)).to.be.true;
+            chai.expect(replacedCallback.called).to.be.false;
+
+            eventSession.onReconnecting = null;
+            eventSession.off(RTC_SESSION_EVENTS.RECONNECTING, listener);
+            eventSession._onReconnecting(eventSession, 3, 2000);
+            chai.expect(callback.calledOnce).to.be.true;
+            chai.expect(listener.calledOnce).to.be.true;
+        });
+
+        describe('connect and hangup promises', () => {
+            var promiseSession;
+
+            beforeEach(() => {
+                promiseSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+                promiseSession._createPeerConnection = () => ({});
+                promiseSession._stopSession = sinon.spy();
+                promiseSession.transit = sinon.spy();
+            });
+
+            it('resolves connect once the call is connected', () => {
+                var connected = promiseSession.connect();
+                promiseSession._onSessionConnected(promiseSession);
+                return connected.then(result => {
+                    chai.expect(result).to.eq(promiseSession);
+                });
+            });
+
+            it('rejects connect with RtcError of the failure, failing state, cause and timings', () => {
+                var cause = new BusyException('busy');
+                var connected = promiseSession.connect();
+                delete promiseSession.transit;
+                promiseSession._state = new InviteAnswerState(promiseSession);
+                promiseSession._sessionReport.signallingConnectTimeMillis = 50;
+                promiseSession.transit(new FailedState(promiseSession, RTC_ERRORS.USER_BUSY, cause));
+                return connected.then(() => {
+                    throw new Error('should not resolve');
+                }, e => {
+                    chai.expect(e.name).to.eq('SignalingError');
+                    chai.expect(e.code).to.eq(RTC_ERROR_CODES.USER_BUSY);
+                    chai.expect(e.legacy).to.eq(RTC_ERRORS.USER_BUSY);
+                    chai.expect(e.retryable).to.be.false;
+                    chai.expect(e.state).to.eq(RTC_SESSION_STATES.INVITE_ANSWER);
+                    chai.expect(e.cause).to.eq(cause);
+                    chai.expect(e.causeName).to.eq('BusyException');
+                    chai.expect(e.timings.signallingConnectTimeMillis).to.eq(50);
+                    chai.expect(e.timings.sessionEndTime).to.be.instanceof(Date);
+                });
+            });
+
+            it('rejects connect with SESSION_ENDED if the session ends before connected', () => {
+                var connected = promiseSession.connect();
+                delete promiseSession.transit;
+                promiseSession.transit(new DisconnectedState(promiseSession));
+                return connected.then(() => {
+                    throw new Error('should not resolve');
+                }, e => {
+                    chai.expect(e.code).to.eq(RTC_ERROR_CODES.SESSION_ENDED);
+                    chai.expect(e.legacy).to.be.null;
+                });
+            });
+
+            it('resolves hangup once the session is cleaned up', () => {
+                promiseSession.connect();
+                delete promiseSession.transit;
+                promiseSession._state = {
+                    hangup: () => promiseSession.transit(new DisconnectedState(promiseSession))
+                };
+                return promiseSession.hangup().then(report => {
+                    chai.expect(report).to.eq(promiseSession.sessionReport);
+                    chai.expect(promiseSession._stopSession.calledOnce).to.be.true;
+                    return promiseSession.hangup();
+                }).then(report => {
+                    chai.expect(report).to.eq(promiseSession.sessionReport);
+                });
+            });
+        });
+
+        it('exposes state name and emits state change', () => {
+            var stateSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            var callback = sinon.spy();
+            var listener = sinon.spy();
+            stateSession.onStateChange = callback;
+            stateSession.on(RTC_SESSION_EVENTS.STATE_CHANGE, listener);
+            chai.expect(stateSession.state).to.be.null;
+            stateSession.transit({name: RTC_SESSION_STATES.TALKING});
+            chai.expect(stateSession.state).to.eq(RTC_SESSION_STATES.TALKING);
+            chai.expect(callback.args[0][0]).to.eq(stateSession);
+            chai.expect(callback.args[0][1]).to.be.null;
+            chai.expect(callback.args[0][2]).to.eq(RTC_SESSION_STATES.TALKING);
+            chai.expect(callback.args[0][3]).to.be.instanceof(Date);
+            stateSession.transit({name: RTC_SESSION_STATES.DISCONNECTED});
+            chai.expect(listener.args[1][0].from).to.eq(RTC_SESSION_STATES.TALKING);
+            chai.expect(listener.args[1][0].to).to.eq(RTC_SESSION_STATES.DISCONNECTED);
+        });
+
+        it('records state transitions, ICE and peer connection state changes in timeline', () => {
+            var timelineSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            timelineSession._stopSession = sinon.spy();
+            timelineSession.transit({name: RTC_SESSION_STATES.TALKING, onIceStateChange: sinon.spy()});
+            timelineSession._onIceStateChange({currentTarget: {iceConnectionState: 'disconnected'}});
+            timelineSession._onConnectionStateChange({currentTarget: {connectionState: 'disconnected'}});
+            timelineSession._signalingStateChanged(SIGNALING_STATES.TALKING, SIGNALING_STATES.FAILED, new Date(), new Error('Lost connection'));
+            timelineSession.transit(new FailedState(timelineSession, RTC_ERRORS.SIGNALLING_CONNECTION_FAILURE, new Error('Lost connection')));
+
+            var timeline = timelineSession.sessionReport.timeline.map(entry => [entry.source, entry.from, entry.to, entry.error]);
+            chai.expect(timeline).to.eql([
+                [TIMELINE_SOURCES.SESSION, null, RTC_SESSION_STATES.TALKING, null],
+                [TIMELINE_SOURCES.ICE, null, 'disconnected', null],
+                [TIMELINE_SOURCES.PEER_CONNECTION, null, 'disconnected', null],
+                [TIMELINE_SOURCES.SIGNALING, SIGNALING_STATES.TALKING, SIGNALING_STATES.FAILED, 'Error: Lost connection'],
+                [TIMELINE_SOURCES.SESSION, RTC_SESSION_STATES.TALKING, RTC_SESSION_STATES.FAILED, RTC_ERRORS.SIGNALLING_CONNECTION_FAILURE + ' (Error: Lost connection)']
+            ]);
+            chai.expect(timelineSession.sessionReport.timeline[0].timestamp).to.be.instanceof(Date);
+        });
+
+        it('monitors local audio while talking and reports silent microphone', () => {
+            var monitoredSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            var audioTrack = {kind: 'audio'};
+            var monitor = {
+                start: sinon.spy(),
+                stop: sinon.spy(),
+                level: 0.3,
+                silent: true,
+                maxLevel: 0.001
+            };
+            var levelListener = sinon.spy();
+            var mutedCallback = sinon.spy();
+            monitoredSession._createLocalAudioMonitor = () => monitor;
+            monitoredSession._localStream = {
+                getAudioTracks: () => [audioTrack],
+                getTracks: () => []
+            };
+            monitoredSession.on(RTC_SESSION_EVENTS.LOCAL_AUDIO_LEVEL, levelListener);
+            monitoredSession.onSpeakingWhileMuted = mutedCallback;
+            chai.expect(monitoredSession.localAudioLevel).to.eq(0);
+
+            monitoredSession._startLocalAudioMonitor();
+            chai.expect(monitor.start.calledWith(audioTrack)).to.be.true;
+            chai.expect(monitoredSession.localAudioLevel).to.eq(0.3);
+            monitor.onLevel(0.2);
+            monitor.onSpeakingWhileMuted(0.1);
+            chai.expect(levelListener.args[0][0].level).to.eq(0.2);
+            chai.expect(mutedCallback.calledWith(monitoredSession, 0.1)).to.be.true;
+
+            monitoredSession._stopSession();
+            chai.expect(monitor.stop.calledOnce).to.be.true;
+            chai.expect(monitoredSession.sessionReport.localAudioSilent).to.be.true;
+            chai.expect(monitoredSession.sessionReport.localAudioMaxLevel).to.eq(0.001);
+            chai.expect(monitoredSession.localAudioLevel).to.eq(0);
+        });
+
+        it('delivers call recording through events and refuses a second recording', () => {
+            var recordedSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+            var recorder = {
+                start: sinon.spy(),
+                stop: sinon.spy(),
+                pause: sinon.spy(),
+                state: 'recording'
+            };
+            var recording = {size: 10};
+            var stoppedListener = sinon.spy();
+            var dataCallback = sinon.spy();
+            recordedSession._createCallRecorder = sinon.stub().returns(recorder);
+            recordedSession.on(RTC_SESSION_EVENTS.RECORDING_STOPPED, stoppedListener);
+            recordedSession.onRecordingData = dataCallback;
+            chai.expect(recordedSession.recordingState).to.eq('inactive');
+            chai.expect(() => recordedSession.pauseRecording()).to.throw();
+
+            recordedSession._startRecording(['audioTrack'], null, {mimeType: 'audio/webm'});
+            chai.expect(recordedSession._createCallRecorder.calledWith({mimeType: 'audio/webm'})).to.be.true;
+            chai.expect(recorder.start.calledWith(['audioTrack'], null)).to.be.true;
+            chai.expect(recordedSession.recordingState).to.eq('recording');
+            chai.expect(() => recordedSession._startRecording([], null)).to.throw();
+            recordedSession.pauseRecording();
+            chai.expect(recorder.pause.calledOnce).to.be.true;
+
+            recorder.onData(recording);
+            chai.expect(dataCallback.calledWith(recordedSession, recording)).to.be.true;
+            recordedSession._stopRecording();
+            chai.expect(recorder.stop.calledOnce).to.be.true;
+            recorder.onStop(recording);
+            chai.expect(stoppedListener.args[0][0].recording).to.eq(recording);
+            chai.expect(recordedSession.recordingState).to.eq('inactive');
+        });
+
+        describe('screen share', () => {
+            var sharingSession;
+            var cameraTrack;
+            var screenTrack;
+            var screenStream;
+            var sender;
+
+            beforeEach(() => {
+                sharingSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+                cameraTrack = {kind: 'video', stop: sinon.spy()};
+                screenTrack = {kind: 'video', stop: sinon.spy()};
+                screenStream = {
+                    getVideoTracks: () => [screenTrack],
+                    getTracks: () => [screenTrack]
+                };
+                sender = {track: screenTrack, replaceTrack: sinon.spy(track => {
+                    sender.track = track;
+                    return Promise.resolve();
+                })};
+                sharingSession._localStream = {
+                    getAudioTracks: () => [],
+                    getVideoTracks: () => [cameraTrack],
+                    getTracks: () => [cameraTrack]
+                };
+                sharingSession._pc = {close: sinon.spy()};
+                sharingSession._screenShareStarted(screenStream, sender);
+            });
+
+            it('notifies and reports screen share', () => {
+                var stoppedCallback = sinon.spy();
+                sharingSession.onScreenShareStopped = stoppedCallback;
+                chai.expect(sharingSession.screenShareStream).to.eq(screenStream);
+                chai.expect(sharingSession.sessionReport.screenShares).to.eq(1);
+
+                return sharingSession.stopScreenShare().then(() => {
+                    chai.expect(screenTrack.stop.calledOnce).to.be.true;
+                    chai.expect(sender.track).to.eq(cameraTrack);
+                    chai.expect(stoppedCallback.calledWith(sharingSession, false)).to.be.true;
+                    chai.expect(sharingSession.screenShareStream).to.be.null;
+                    chai.expect(sharingSession.sessionReport.screenShareTimeMillis).to.be.at.least(0);
+                    return sharingSession.stopScreenShare();
+                }).then(() => {
+                    throw new Error('should not resolve');
+                }, e => {
+                    chai.expect(e.name).to.eq('IllegalState');
+                });
+            });
+
+            it('falls back to camera when sharing is ended from browser UI', (done) => {
+                sharingSession.on(RTC_SESSION_EVENTS.SCREEN_SHARE_STOPPED, payload => {
+                    chai.expect(payload.endedByUser).to.be.true;
+                    chai.expect(sender.track).to.eq(cameraTrack);
+                    done();
+                });
+                screenTrack.onended();
+            });
+
+            it('stops screen without sending camera when session stops', () => {
+                sharingSession._stopSession();
+                chai.expect(screenTrack.stop.calledOnce).to.be.true;
+                chai.expect(sender.replaceTrack.called).to.be.false;
+                chai.expect(cameraTrack.stop.calledOnce).to.be.true;
+            });
+        });
+
+        describe('video sender parameters', () => {
+            var videoSession;
+            var sender;
+
+            beforeEach(() => {
+                videoSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+                sender = {
+                    track: {kind: 'video'},
+                    getParameters: () => ({encodings: [{active: true, maxBitrate: 2000000, maxFramerate: 30}]}),
+                    setParameters: sinon.stub().returns(Promise.resolve())
+                };
+                videoSession._pc = {
+                    getSenders: () => [{track: {kind: 'audio'}}, sender]
+                };
+            });
+
+            it('sets encoding parameters and degradation preference on video sender', () => {
+                return videoSession.setVideoSenderParameters({maxBitrate: 300000, scaleResolutionDownBy: 2, maxFramerate: null, degradationPreference: 'maintain-framerate'}).then(() => {
+                    chai.expect(sender.setParameters.args[0][0]).to.eql({
+                        encodings: [{active: true, maxBitrate: 300000, scaleResolutionDownBy: 2}],
+                        degradationPreference: 'maintain-framerate'
+                    });
+                    return videoSession.setVideoSenderParameters({maxFramerate: 15});
+                }).then(() => {
+                    chai.expect(sender.setParameters.args[1][0].encodings).to.eql([{active: true, maxBitrate: 300000, maxFramerate: 15, scaleResolutionDownBy: 2}]);
+                });
+            });
+
+            it('keeps parameters until video is sent', () => {
+                videoSession._pc = null;
+                return videoSession.setVideoSenderParameters({maxBitrate: 300000}).then(() => {
+                    videoSession._pc = {getSenders: () => [sender]};
+                    videoSession._applyVideoSenderParameters();
+                    chai.expect(sender.setParameters.args[0][0].encodings[0].maxBitrate).to.eq(300000);
+                });
+            });
+
+            it('refuses missing parameters', () => {
+                chai.expect(() => videoSession.setVideoSenderParameters()).to.throw().with.property('name', 'IllegalParameters');
+                chai.expect(() => videoSession.setVideoSenderParameters(null)).to.throw();
+            });
+
+            it('caps bitrate through remote SDP and renegotiates without setParameters', () => {
+                delete sender.setParameters;
+                videoSession._state = {name: RTC_SESSION_STATES.TALKING, renegotiate: sinon.spy()};
+                return videoSession.setVideoSenderParameters({maxBitrate: 300000}).then(() => {
+                    chai.expect(videoSession._state.renegotiate.calledOnce).to.be.true;
+                    var state = new RemoteRenegotiatingState(videoSession, Date.now(), 'sdp', []);
+                    var pc = videoSession._pc;
+                    pc.setRemoteDescription = sinon.stub().returns(Promise.resolve());
+                    state._createSessionDescription = initDict => initDict;
+                    return state._applyRemoteDescription('offer', 'v=0\r\nm=video 9 UDP/TLS/RTP/SAVPF 120\r\nc=IN IP4 0.0.0.0\r\na=rtpmap:120 VP8/90000\r\n', []).then(() => {
+                        chai.expect(pc.setRemoteDescription.args[0][0].sdp).to.have.string('c=IN IP4 0.0.0.0\r\nb=AS:300\r\nb=TIAS:300000\r\n');
+                    });
+                });
+            });
+        });
+
+        describe('audio processors', () => {
+            var processedSession;
+            var captureTrack;
+            var sender;
+            var chains;
+
+            beforeEach(() => {
+                processedSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console);
+                captureTrack = {kind: 'audio', stop: sinon.spy()};
+                chains = [];
+                processedSession._createAudioProcessingChain = processors => {
+                    var chain = {
+                        processors: processors,
+                        inputTrack: null,
+                        outputTrack: null,
+                        process: track => {
+                            chain.inputTrack = track;
+                            chain.outputTrack = {kind: 'audio', processedBy: processors};
+                            return Promise.resolve(chain.outputTrack);
+                        },
+                        stop: sinon.spy()
+                    };
+                    chains.push(chain);
+                    return chain;
+                };
+                processedSession._localStream = {
+                    getAudioTracks: () => [captureTrack],
+                    getTracks: () => [captureTrack]
+                };
+                sender = {track: captureTrack, replaceTrack: sinon.spy(track => {
+                    sender.track = track;
+                    return Promise.resolve();
+                })};
+                processedSession._pc = {
+                    getSenders: () => [sender],
+                    close: sinon.spy()
+                };
+            });
+
+            it('keeps processors until local audio is sent', () => {
+                processedSession._pc = {getSenders: () => []};
+                return processedSession.setAudioProcessors([{process: track => track}]).then(() => {
+                    chai.expect(chains.length).to.eq(0);
+                    chai.expect(processedSession._audioProcessors.length).to.eq(1);
+                });
+            });
+
+            it('replaces the chain in the middle of the call and sends captured audio without processors', () => {
+                return processedSession.setAudioProcessors(['gain']).then(() => {
+                    chai.expect(chains[0].inputTrack).to.eq(captureTrack);
+                    chai.expect(sender.track).to.eq(chains[0].outputTrack);
+                    return processedSession.setAudioProcessors(['noiseSuppression']);
+                }).then(() => {
+                    chai.expect(chains[1].inputTrack).to.eq(captureTrack);
+                    chai.expect(sender.track.processedBy).to.eql(['noiseSuppression']);
+                    chai.expect(chains[0].stop.calledOnce).to.be.true;
+                    return processedSession.setAudioProcessors([]);
+                }).then(() => {
+                    chai.expect(sender.track).to.eq(captureTrack);
+                    chai.expect(chains[1].stop.calledOnce).to.be.true;
+                    chai.expect(processedSession._audioProcessingChain).to.be.null;
+                });
+            });
+
+            it('records processed audio of the new chain while recording', () => {
+                var recorder = {replaceAudioTrack: sinon.spy()};
+                processedSession._callRecorder = recorder;
+                return processedSession.setAudioProcessors(['gain']).then(() => {
+                    chai.expect(recorder.replaceAudioTrack.calledWith(captureTrack, chains[0].outputTrack)).to.be.true;
+                });
+            });
+
+            it('keeps previous chain if the new one fails', () => {
+                return processedSession.setAudioProcessors(['gain']).then(() => {
+                    processedSession._createAudioProcessingChain = () => ({process: () => Promise.reject(new Error('Oops'))});
+                    return processedSession.setAudioProcessors(['broken']);
+                }).then(() => {
+                    throw new Error('should not resolve');
+                }, e => {
+                    chai.expect(e.message).to.eq('Oops');
+                    chai.expect(sender.track).to.eq(chains[0].outputTrack);
+                    chai.expect(processedSession._audioProcessingChain).to.eq(chains[0]);
+                });
+            });
+
+            it('stops the chain and captured track when session stops', () => {
+                return processedSession.setAudioProcessors(['gain']).then(() => {
+                    processedSession._stopSession();
+                    chai.expect(chains[0].stop.calledOnce).to.be.true;
+                    chai.expect(captureTrack.stop.calledOnce).to.be.true;
+                    chai.expect(processedSession._audioProcessingChain).to.be.null;
+                });
+            });
+        });
+
+        it('refuses to resume without persisted call', () => {
+            var resumedSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console, 'callId');
+            chai.expect(() => resumedSession.resume()).to.throw();
+            resumedSession.sessionStore = {
+                get: sinon.stub().returns(null)
+            };
+            chai.expect(() => resumedSession.resume()).to.throw();
+        });
+
+        it('persists the call when client token is updated and forgets it when stopped', () => {
+            var persistedSession = new RtcSession('wss://amazon-connect-rtc-server.amazonaws.com/', [], 'contactToken', console, 'callId');
+            var store = {
+                set: sinon.spy(),
+                remove: sinon.spy()
+            };
+            persistedSession.sessionStore = store;
+            persistedSession._signalingClientTokenUpdated('token');
+            chai.expect(store.set.args[0][0]).to.eq('callId');
+            chai.expect(store.set.args[0][1]).to.eql({
+                callId: 'callId',
+                clientToken: 'token',
+                enableAudio: true,
+                enableVideo: false
+            });
+            persistedSession._stopSession();
+            chai.expect(store.remove.calledWith('callId')).to.be.true;
+        });
     });
 
     describe('RTCSessionState', () => {
@@ -45,6 +594,36 @@ describe('RTC session', () => {
             state = new RTCSessionState(session);
         });
 
+        it('ignores local candidate by default', () => {
+            session._signalingChannel = {
+                sendCandidate: sinon.spy()
+            };
+            state.onIceCandidate({candidate: 'cand1'});
+            chai.assert(!session._signalingChannel.sendCandidate.called);
+        });
+
+        it('sends local candidate with trickle ICE', () => {
+            session._trickleIce = true;
+            session._signalingChannel = {
+                sendCandidate: sinon.spy()
+            };
+            state.onIceCandidate({candidate: 'cand1'});
+            state.onIceCandidate({});
+            chai.assert(session._signalingChannel.sendCandidate.calledWith('cand1'));
+            chai.assert(session._signalingChannel.sendCandidate.calledWith(null));
+        });
+
+        it('adds remote candidate once remote description is set', () => {
+            session._logger = console;
+            session._pc = {
+                remoteDescription: {},
+                addIceCandidate: sinon.stub().returns(Promise.resolve())
+            };
+            state._createRemoteCandidate = (initDict) => initDict;
+            state.onRemoteCandidate('cand1');
+            chai.assert(session._pc.addIceCandidate.calledWith('cand1'));
+        });
+
         it('executs transit only if it\'s current state', () => {
             session._state = state;
             session.transit = sinon.spy();
@@ -61,6 +640,16 @@ describe('RTC session', () => {
             state.transit(nextState);
             chai.assert(!session.transit.calledOnce);
         });
+
+        it('cancels the call with its own failure reason on hangup', () => {
+            session._state = state;
+            session._sessionReport = {};
+            session.transit = sinon.spy();
+            state.hangup();
+            chai.expect(session._sessionReport.callCancelled).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(FailedState);
+            chai.expect(session.transit.args[0][0]._failureReason).to.be.eq(RTC_ERRORS.CALL_CANCELLED);
+        });
     });
 
     describe('GrabLocalMediaState', () => {
@@ -88,6 +677,25 @@ describe('RTC session', () => {
             chai.assert(session.transit.args[0][0] instanceof CreateOfferState);
         });
 
+        it('goes to pending incoming call state for inbound call', () => {
+            session._state = state;
+            session._userAudioStream = {};
+            session._inbound = true;
+            session.transit = sinon.spy();
+            state.onEnter();
+            chai.assert(session.transit.calledOnce);
+            chai.assert(session.transit.args[0][0] instanceof PendingIncomingCallState);
+        });
+
+        it('goes to resume signaling state when resuming a call', () => {
+            session._state = state;
+            session._userAudioStream = {};
+            session._resumedSession = {clientToken: 'token'};
+            session.transit = sinon.spy();
+            state.onEnter();
+            chai.assert(session.transit.args[0][0] instanceof ResumeSignalingState);
+        });
+
         it('notifies gum error and go to failed state if gUM times out', (done) => {
             session._logger = console;
             session._gumTimeoutMillis = 0;
@@ -142,6 +750,70 @@ describe('RTC session', () => {
             state._gUM.returns(Promise.resolve({}));
             state.onEnter();
         });
+
+        it('processes local audio before creating offer', (done) => {
+            var audioTrack = {kind: 'audio'};
+            var chain = {process: sinon.stub().returns(Promise.resolve({kind: 'audio'}))};
+            session._logger = console;
+            session._gumTimeoutMillis = 2000;
+            session._sessionReport = {};
+            session._state = state;
+            session._buildMediaConstraints = () => { };
+            session._onGumSuccess = sinon.spy();
+            session._audioProcessors = [{process: track => track}];
+            session._createAudioProcessingChain = sinon.stub().returns(chain);
+            session.transit = (nextState) => {
+                chai.expect(session._createAudioProcessingChain.calledWith(session._audioProcessors)).to.be.true;
+                chai.expect(chain.process.calledWith(audioTrack)).to.be.true;
+                chai.expect(session._audioProcessingChain).to.eq(chain);
+                chai.expect(nextState).to.be.instanceof(CreateOfferState);
+                done();
+            };
+            state._gUM = sinon.stub().returns(Promise.resolve({getAudioTracks: () => [audioTrack]}));
+            state.onEnter();
+        });
+
+        it('sends unprocessed audio if audio processing fails', (done) => {
+            session._logger = console;
+            session._gumTimeoutMillis = 2000;
+            session._sessionReport = {};
+            session._state = state;
+            session._buildMediaConstraints = () => { };
+            session._onGumSuccess = sinon.spy();
+            session._audioProcessors = [{process: track => track}];
+            session._createAudioProcessingChain = () => ({process: () => Promise.reject(new Error('No AudioWorklet'))});
+            session.transit = (nextState) => {
+                chai.expect(session._audioProcessingChain).to.be.null;
+                chai.expect(nextState).to.be.instanceof(CreateOfferState);
+                done();
+            };
+            state._gUM = sinon.stub().returns(Promise.resolve({getAudioTracks: () => [{kind: 'audio'}]}));
+            state.onEnter();
+        });
+
+        it('releases the stream if gUM succeeds after hangup', (done) => {
+            var track = {stop: sinon.spy()};
+            var stream = {getTracks: () => [track]};
+            session._logger = console;
+            session._gumTimeoutMillis = 2000;
+            session._sessionReport = {};
+            session._state = state;
+            session._buildMediaConstraints = () => { };
+            session._onGumSuccess = sinon.spy();
+            session.transit = (nextState) => {
+                session._state = nextState;
+            };
+            state._gUM = sinon.stub();
+            state._gUM.returns(Promise.resolve(stream));
+            state.onEnter();
+            state.hangup();
+            setTimeout(() => {
+                chai.expect(track.stop.calledOnce).to.be.true;
+                chai.expect(session._onGumSuccess.called).to.be.false;
+                chai.expect(session._localStream).to.be.undefined;
+                done();
+            }, 0);
+        });
     });
 
     describe('CreateOfferState', () => {
@@ -158,9 +830,13 @@ describe('RTC session', () => {
         beforeEach(() => {
             session = {
                 _logger: console,
+                _localStream: {
+                    getAudioTracks: () => ['audioTrack'],
+                    getVideoTracks: () => []
+                },
                 _onLocalStreamAdded: sinon.spy(),
                 _pc: {
-                    addStream: sinon.spy(),
+                    addTransceiver: sinon.spy(),
                     createOffer: sinon.stub()
                 },
                 _sessionReport: {}
@@ -178,7 +854,9 @@ describe('RTC session', () => {
             };
             state.onEnter();
             chai.assert(session._onLocalStreamAdded.calledOnce);
-            chai.assert(session._pc.addStream.calledOnce);
+            chai.assert(session._pc.addTransceiver.calledOnce);
+            chai.assert.equal('audioTrack', session._pc.addTransceiver.args[0][0]);
+            chai.assert.equal('sendrecv', session._pc.addTransceiver.args[0][1].direction);
         });
 
         it('transits to failed state when offer creation failed', (done) => {
@@ -190,7 +868,7 @@ describe('RTC session', () => {
             };
             state.onEnter();
             chai.expect(session._onLocalStreamAdded.calledOnce).to.be.true;
-            chai.expect(session._pc.addStream.calledOnce).to.be.true;
+            chai.expect(session._pc.addTransceiver.calledOnce).to.be.true;
         });
     });
 
@@ -404,6 +1082,25 @@ describe('RTC session', () => {
             chai.expect(session.transit.called).to.be.false;
         });
 
+        it('transits to InviteAnswerState as soon as signaling get connected with trickle ICE', () => {
+            session.transit = sinon.spy();
+            session._trickleIce = true;
+
+            state.onIceCandidate({
+                candidate: {
+                    candidate: 'candidate:3517520453 1 udp 41885695 172.22.116.70 59345 typ relay raddr 0.0.0.0 rport 0 generation 0 ufrag dRi5 network-id 3 network-cost 50',
+                    sdpMLineIndex: 0,
+                    sdpMid: 'audio'
+                }
+            });
+            state.onSignalingConnected();
+
+            chai.expect(session.transit.calledOnce).to.be.true;
+            chai.expect(session._onIceCollectionComplete.called).to.be.false;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(InviteAnswerState);
+            chai.expect(session.transit.args[0][0]._iceCandidates.length).to.eq(1);
+        });
+
         it('transits to InviteAnswerState when ICE collections completes and signaling get connected', () => {
             session.transit = sinon.spy();
 
@@ -477,6 +1174,27 @@ describe('RTC session', () => {
             chai.expect(session.transit.args[0][0]._candidates).to.be.eql(remoteCandidates);
         });
 
+        it('passes remote candidates received before the answer to AcceptState', () => {
+            session.transit = sinon.spy();
+
+            state.onRemoteCandidate('remoteCand2');
+            state.onSignalingAnswered('remoteSdp', ['remoteCand1']);
+
+            chai.expect(session.transit.args[0][0]._candidates).to.be.eql(['remoteCand1', 'remoteCand2']);
+        });
+
+        it('cancels the invite through signaling on hangup', () => {
+            session.transit = sinon.spy();
+            session._signalingChannel.hangup = sinon.spy();
+
+            state.hangup();
+
+            chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+            chai.expect(session._sessionReport.callCancelled).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(FailedState);
+            chai.expect(session.transit.args[0][0]._failureReason).to.be.eq(RTC_ERRORS.CALL_CANCELLED);
+        });
+
         it('transits to FailedState when handshaking fails', () => {
             session.transit = sinon.spy();
 
@@ -586,6 +1304,25 @@ describe('RTC session', () => {
             state.onEnter();
         });
 
+        it('accepts answer without remote candidate with trickle ICE', (done) => {
+            session._trickleIce = true;
+            state = new AcceptState(session, 'remoteSdp', undefined);
+            session._state = state;
+            state._createSessionDescription = (initDict) => initDict;
+            state._createRemoteCandidate = (initDict) => initDict;
+            session._pc.setRemoteDescription.returns(Promise.resolve('Good'));
+            session._pc.addIceCandidate.returns(Promise.resolve('Good'));
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(TalkingState);
+                chai.expect(session._pc.addIceCandidate.calledWith('cand2')).to.be.true;
+                done();
+            };
+
+            state.onSignalingHandshaked();
+            state.onEnter();
+            state.onRemoteCandidate('cand2');
+        });
+
         it('waits for handshake to complete after remote info is consumed', () => {
             session.transit = sinon.spy();
             session._pc.setRemoteDescription.returns(Promise.resolve('Good'));
@@ -614,91 +1351,1192 @@ describe('RTC session', () => {
         });
     });
 
-    describe('TalkingState', () => {
+    describe('PendingIncomingCallState', () => {
         /**
          * @type {RtcSession}
          */
         var session;
 
         /**
-         * @type {TalkingState}
+         * @type {PendingIncomingCallState}
          */
         var state;
 
+        var signalingChannel;
+
+        var localStream = {
+            getAudioTracks: () => ['audioTrack'],
+            getVideoTracks: () => ['videoTrack']
+        };
+
         beforeEach(() => {
+            signalingChannel = {
+                listen: sinon.spy(),
+                hangup: sinon.spy()
+            };
             session = {
                 _logger: console,
-                transit: sinon.spy(),
-                _onSessionConnected: sinon.spy(),
-                _detachMedia: sinon.spy(),
-                _onSessionCompleted: sinon.spy(),
+                _inbound: true,
+                _localStream: localStream,
+                _onLocalStreamAdded: sinon.spy(),
+                _onSignalingConnected: sinon.spy(),
+                _pc: {
+                    addTrack: sinon.spy()
+                },
                 _sessionReport: {},
-                _signalingChannel: {
-                    hangup: sinon.spy()
-                }
+                _signalingChannel: signalingChannel,
+                transit: sinon.spy()
             };
-            state = new TalkingState(session);
+            session._createSignalingChannel = sinon.stub().returns(signalingChannel);
+            state = new PendingIncomingCallState(session);
             session._state = state;
         });
 
-        it('reports session connected on enter', () => {
+        it('adds local tracks and listens for invite on enter', () => {
             state.onEnter();
 
-            chai.expect(session._onSessionConnected.calledOnce).to.be.true;
+            chai.expect(session._pc.addTrack.calledWith('audioTrack', localStream)).to.be.true;
+            chai.expect(session._pc.addTrack.calledWith('videoTrack', localStream)).to.be.true;
+            chai.expect(session._onLocalStreamAdded.calledOnce).to.be.true;
+            chai.expect(signalingChannel.listen.calledOnce).to.be.true;
         });
 
-        it('acks remote hangup and transits to DisconnectedState', () => {
-            state.onRemoteHungup();
+        it('transits to RingingState when invited', () => {
+            state.onSignalingConnected();
+            state.onSignalingInvited('remoteSdp', ['remoteCand1'], {number: '+15550100'});
 
-            chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+            chai.expect(session._onSignalingConnected.calledOnce).to.be.true;
             chai.expect(session.transit.calledOnce).to.be.true;
-            chai.expect(session.transit.args[0][0]).to.be.instanceof(DisconnectedState);
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(RingingState);
+            chai.expect(session.transit.args[0][0]._callerInfo.number).to.be.eq('+15550100');
         });
 
-        it('hangs up signaling when hangup is requested by client', () => {
-            state.hangup();
+        it('transits to FailedState when signaling connection fails', () => {
+            state.onSignalingFailed();
 
-            chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
-            chai.expect(session.transit.calledOnce).to.be.true;
-            chai.expect(session.transit.args[0][0]).to.be.instanceof(DisconnectedState);
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(FailedState);
+            chai.expect(session.transit.args[0][0]._failureReason).to.be.eq(RTC_ERRORS.SIGNALLING_CONNECTION_FAILURE);
         });
 
-        it('detachs media and reports session end on exit', () => {
-            state.onExit();
+        it('hangs up signaling when hangup is requested while waiting for invite', () => {
+            state.onSignalingConnected();
+            state.hangup();
 
-            chai.expect(session._detachMedia.calledOnce).to.be.true;
-            chai.expect(session._onSessionCompleted.calledOnce).to.be.true;
+            chai.expect(signalingChannel.hangup.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(DisconnectedState);
         });
     });
 
-    describe('CleanUpState', () => {
+    describe('RingingState', () => {
         /**
          * @type {RtcSession}
          */
         var session;
 
         /**
-         * @type {CleanUpState}
+         * @type {RingingState}
          */
         var state;
 
+        var callerInfo;
+
         beforeEach(() => {
+            callerInfo = {
+                number: '+15550100'
+            };
             session = {
                 _logger: console,
-                _stopSession: sinon.spy(),
                 _sessionReport: {},
-                _onSessionDestroyed: sinon.spy()
+                _onIncomingCall: sinon.spy(),
+                _pc: {
+                    setRemoteDescription: sinon.stub(),
+                    addIceCandidate: sinon.stub()
+                },
+                _signalingChannel: {
+                    reject: sinon.spy(),
+                    hangup: sinon.spy()
+                },
+                transit: sinon.spy()
             };
-            state = new CleanUpState(session);
+            state = new RingingState(session, 'remoteSdp', ['cand1'], callerInfo);
             session._state = state;
+
+            state._createSessionDescription = (initDict) => initDict;
+            state._createRemoteCandidate = (initDict) => initDict;
         });
 
-        it('stops session on enter', () => {
+        it('applies remote offer and notifies incoming call', (done) => {
+            session._pc.setRemoteDescription.returns(Promise.resolve());
+            session._pc.addIceCandidate.returns(Promise.resolve());
+            session._onIncomingCall = (s, info) => {
+                chai.expect(s).to.be.eq(session);
+                chai.expect(info).to.be.eq(callerInfo);
+                chai.expect(session._pc.setRemoteDescription.args[0][0].type).to.be.eq('offer');
+                chai.expect(session.transit.called).to.be.false;
+                done();
+            };
+
+            state.onEnter();
+        });
+
+        it('rejects invite and transits to FailedState if setRemoteDescription fails', (done) => {
+            session._pc.setRemoteDescription.returns(Promise.reject('Oops'));
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(FailedState);
+                chai.expect(session._signalingChannel.reject.calledWith(REJECT_REASONS.NOT_ACCEPTABLE)).to.be.true;
+                chai.expect(session._onIncomingCall.called).to.be.false;
+                done();
+            };
+
+            state.onEnter();
+        });
+
+        it('rejects invite and transits to FailedState if no valid candidate is received', () => {
+            state = new RingingState(session, 'remoteSdp', [], callerInfo);
+            session._state = state;
+
+            state.onEnter();
+
+            chai.expect(session._signalingChannel.reject.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(FailedState);
+        });
+
+        it('refuses to accept before the offer is applied', () => {
+            chai.expect(() => state.accept()).to.throw();
+        });
+
+        it('transits to CreateAnswerState when accepted', () => {
+            state._remoteDescriptionSet = true;
+
+            state.accept();
+
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(CreateAnswerState);
+        });
+
+        it('rejects with given reason code', () => {
+            state.reject(REJECT_REASONS.BUSY);
+
+            chai.expect(session._signalingChannel.reject.calledWith(REJECT_REASONS.BUSY)).to.be.true;
+            chai.expect(session._sessionReport.incomingCallRejected).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(DisconnectedState);
+        });
+
+        it('rejects with decline reason code on hangup', () => {
+            state.hangup();
+
+            chai.expect(session._signalingChannel.reject.calledWith(REJECT_REASONS.DECLINE)).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(DisconnectedState);
+        });
+
+        it('acks remote hangup and transits to DisconnectedState', () => {
+            state.onRemoteHungup();
+
+            chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(DisconnectedState);
+        });
+    });
+
+    describe('CreateAnswerState', () => {
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {CreateAnswerState}
+         */
+        var state;
+
+        beforeEach(() => {
+            session = {
+                _logger: console,
+                _pc: {
+                    createAnswer: sinon.stub()
+                },
+                _signalingChannel: {
+                    reject: sinon.spy(),
+                    hangup: sinon.spy()
+                },
+                _sessionReport: {}
+            };
+            state = new CreateAnswerState(session);
+            session._state = state;
+        });
+
+        it('acks the bye and gives up answering when caller hangs up', () => {
+            session.transit = sinon.spy();
+            state.onRemoteHungup();
+
+            chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(FailedState);
+            chai.expect(session.transit.args[0][0]._failureReason).to.be.eq(RTC_ERRORS.CALL_CANCELLED);
+        });
+
+        it('transits to set local answer description state when answer created', (done) => {
+            session._pc.createAnswer.returns(Promise.resolve('desc'));
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(SetLocalAnswerDescriptionState);
+                chai.expect(session._localSessionDescription).to.be.eq('desc');
+                done();
+            };
+            state.onEnter();
+        });
+
+        it('rejects invite and transits to failed state when answer creation failed', (done) => {
+            session._pc.createAnswer.returns(Promise.reject('testFailure'));
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(FailedState);
+                chai.expect(nextState._failureReason).to.be.eq(RTC_ERRORS.CREATE_ANSWER_FAILURE);
+                chai.expect(session._signalingChannel.reject.calledOnce).to.be.true;
+                done();
+            };
+            state.onEnter();
+        });
+    });
+
+    describe('AnswerIceCollectionState', () => {
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {AnswerIceCollectionState}
+         */
+        var state;
+
+        beforeEach(() => {
+            session = {
+                _logger: console,
+                _createSignalingChannel: sinon.spy(),
+                _onIceCollectionComplete: sinon.spy(),
+                _iceTimeoutMillis: 1000,
+                _sessionReport: {},
+                transit: sinon.spy()
+            };
+            state = new AnswerIceCollectionState(session, 1);
+            state._createLocalCandidate = (initDict) => initDict;
+            session._state = state;
+        });
+
+        it('transits to SendAnswerState once ICE collection completes without connecting signaling again', () => {
+            state.onEnter();
+            state.onIceCandidate({
+                candidate: {
+                    candidate: 'candidate:3517520453 1 udp 41885695 172.22.116.70 59345 typ relay raddr 0.0.0.0 rport 0 generation 0 ufrag dRi5 network-id 3 network-cost 50',
+                    sdpMLineIndex: 0,
+                    sdpMid: 'audio'
+                }
+            });
+
+            chai.expect(session._createSignalingChannel.called).to.be.false;
+            chai.expect(session.transit.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(SendAnswerState);
+            chai.expect(session.transit.args[0][0]._iceCandidates.length).to.be.eq(1);
+        });
+    });
+
+    describe('SendAnswerState', () => {
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {SendAnswerState}
+         */
+        var state;
+
+        beforeEach(() => {
+            session = {
+                _logger: console,
+                _localSessionDescription: {
+                    sdp: 'sdp'
+                },
+                _onSignalingStarted: sinon.spy(),
+                _signalingChannel: {
+                    stateName: SIGNALING_STATES.PENDING_LOCAL_ANSWER,
+                    answer: sinon.spy(),
+                    hangup: sinon.spy()
+                },
+                _sessionReport: {},
+                transit: sinon.spy()
+            };
+            state = new SendAnswerState(session, ['cand1']);
+            session._state = state;
+        });
+
+        it('sends answer on enter', () => {
+            state.onEnter();
+
+            chai.expect(session._onSignalingStarted.calledOnce).to.be.true;
+            chai.expect(session._signalingChannel.answer.calledWith('sdp', ['cand1'])).to.be.true;
+        });
+
+        it('does not send answer once caller hung up', () => {
+            session._signalingChannel.stateName = SIGNALING_STATES.PENDING_LOCAL_HANGUP;
+            state.onEnter();
+
+            chai.expect(session._signalingChannel.answer.called).to.be.false;
+            chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]._failureReason).to.be.eq(RTC_ERRORS.CALL_CANCELLED);
+        });
+
+        it('transits to TalkingState when signaling handshaked', () => {
+            state.onSignalingHandshaked();
+
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(TalkingState);
+        });
+
+        it('transits to FailedState when handshaking fails', () => {
+            state.onSignalingFailed('unknown');
+
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(FailedState);
+            chai.expect(session.transit.args[0][0]._failureReason).to.be.eq(RTC_ERRORS.SIGNALLING_HANDSHAKE_FAILURE);
+        });
+    });
+
+    describe('TalkingState', () => {
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {TalkingState}
+         */
+        var state;
+
+        beforeEach(() => {
+            session = {
+                _logger: console,
+                transit: sinon.spy(),
+                _onSessionConnected: sinon.spy(),
+                _startLocalAudioMonitor: sinon.spy(),
+                _applyVideoSenderParameters: sinon.spy(),
+                _monitorLocalAudio: sinon.spy(),
+                _stopRecording: sinon.spy(),
+                _replaceRecordedTrack: sinon.spy(),
+                _detachMedia: sinon.spy(),
+                _onSessionCompleted: sinon.spy(),
+                _sessionReport: {},
+                _acquiredTracks: [],
+                _signalingChannel: {
+                    hangup: sinon.spy()
+                }
+            };
+            state = new TalkingState(session);
+            session._state = state;
+        });
+
+        it('reports session connected on enter', () => {
+            state.onEnter();
+
+            chai.expect(session._onSessionConnected.calledOnce).to.be.true;
+            chai.expect(session._startLocalAudioMonitor.calledOnce).to.be.true;
+        });
+
+        it('acks remote hangup and transits to DisconnectedState', () => {
+            state.onRemoteHungup();
+
+            chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+            chai.expect(session.transit.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(DisconnectedState);
+        });
+
+        it('hangs up signaling when hangup is requested by client', () => {
+            state.hangup();
+
+            chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+            chai.expect(session.transit.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(DisconnectedState);
+        });
+
+        it('replaces camera with screen', () => {
+            var cameraTrack = {kind: 'video'};
+            var screenTrack = {kind: 'video'};
+            var screenStream = {getVideoTracks: () => [screenTrack]};
+            var sender = {track: cameraTrack, replaceTrack: sinon.stub().returns(Promise.resolve())};
+            session._localStream = {getVideoTracks: () => [cameraTrack]};
+            session._pc = {getSenders: () => [sender]};
+            session._screenShareStarted = sinon.spy();
+            state._getDisplayMedia = sinon.stub().returns(Promise.resolve(screenStream));
+
+            return state.startScreenShare().then(() => {
+                chai.expect(state._getDisplayMedia.calledWith({video: true, audio: false})).to.be.true;
+                chai.expect(sender.replaceTrack.calledWith(screenTrack)).to.be.true;
+                chai.expect(session._screenShareStarted.calledWith(screenStream, sender)).to.be.true;
+            });
+        });
+
+        it('refuses to share screen without local video', () => {
+            session._localStream = {getVideoTracks: () => []};
+            session._pc = {getSenders: () => []};
+            state._getDisplayMedia = sinon.spy();
+
+            return state.startScreenShare().then(() => {
+                throw new Error('should not resolve');
+            }, e => {
+                chai.expect(e.name).to.eq('IllegalState');
+                chai.expect(state._getDisplayMedia.called).to.be.false;
+            });
+        });
+
+        it('switches camera behind screen share', () => {
+            var oldTrack = {kind: 'video', enabled: true, stop: sinon.spy()};
+            var newTrack = {kind: 'video'};
+            var screenTrack = {kind: 'video'};
+            var sender = {track: screenTrack, replaceTrack: sinon.spy()};
+            session._screenShareStream = {getVideoTracks: () => [screenTrack]};
+            session._localStream = {
+                getVideoTracks: () => [oldTrack],
+                removeTrack: sinon.spy(),
+                addTrack: sinon.spy()
+            };
+            session._pc = {getSenders: () => [sender]};
+            session._ownsTrack = sinon.stub().returns(true);
+            session._buildMediaConstraints = () => ({audio: true, video: true});
+            state._gUM = sinon.stub().returns(Promise.resolve({getVideoTracks: () => [newTrack]}));
+
+            return state.switchInput('video', 'camera2').then(() => {
+                chai.expect(sender.replaceTrack.called).to.be.false;
+                chai.expect(session._localStream.addTrack.calledWith(newTrack)).to.be.true;
+                chai.expect(session._videoDeviceId).to.eq('camera2');
+            });
+        });
+
+        it('records local audio with remote audio and video', () => {
+            var localTrack = {kind: 'audio'};
+            var remoteAudioTrack = {kind: 'audio'};
+            var remoteVideoTrack = {kind: 'video'};
+            var transceiver = (track, currentDirection) => ({
+                currentDirection: currentDirection,
+                receiver: {track: track},
+                sender: {track: null}
+            });
+            session._localStream = {getAudioTracks: () => [localTrack]};
+            session._pc = {
+                getTransceivers: () => [transceiver(remoteAudioTrack, 'sendrecv'), transceiver({kind: 'audio'}, 'inactive'), transceiver(remoteVideoTrack, 'recvonly')]
+            };
+            session._startRecording = sinon.spy();
+            state.startRecording({timesliceMillis: 1000});
+            chai.expect(session._startRecording.args[0]).to.eql([[localTrack, remoteAudioTrack], remoteVideoTrack, {timesliceMillis: 1000}]);
+        });
+
+        it('records processed local audio', () => {
+            var localTrack = {kind: 'audio'};
+            var processedTrack = {kind: 'audio'};
+            session._audioProcessingChain = {inputTrack: localTrack, outputTrack: processedTrack};
+            session._localStream = {getAudioTracks: () => [localTrack]};
+            session._pc = {
+                getTransceivers: () => []
+            };
+            session._startRecording = sinon.spy();
+            state.startRecording();
+            chai.expect(session._startRecording.args[0][0]).to.have.lengthOf(1);
+            chai.expect(session._startRecording.args[0][0][0]).to.equal(processedTrack);
+        });
+
+        it('detachs media and reports session end on exit', () => {
+            state.onExit();
+
+            chai.expect(session._stopRecording.calledOnce).to.be.true;
+            chai.expect(session._detachMedia.calledOnce).to.be.true;
+            chai.expect(session._onSessionCompleted.calledOnce).to.be.true;
+        });
+
+        it('does not report session connected again when back from renegotiation', () => {
+            state = new TalkingState(session, Date.now());
+            session._state = state;
+
+            state.onEnter();
+
+            chai.expect(session._onSessionConnected.called).to.be.false;
+        });
+
+        it('keeps the call going when renegotiation starts', () => {
+            session.transit = (nextState) => {
+                state.onExit();
+                session._state = nextState;
+            };
+
+            state.renegotiate();
+
+            chai.expect(session._state).to.be.instanceof(RenegotiatingState);
+            chai.expect(session._detachMedia.called).to.be.false;
+            chai.expect(session._onSessionCompleted.called).to.be.false;
+        });
+
+        it('transits to RemoteRenegotiatingState when reinvited', () => {
+            state.onSignalingReinvited('remoteSdp', ['cand1']);
+
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(RemoteRenegotiatingState);
+            chai.expect(session.transit.args[0][0]._sdp).to.be.eq('remoteSdp');
+        });
+
+        it('adds camera video and renegotiates', (done) => {
+            var videoTrack = {kind: 'video'};
+            session._localStream = {
+                getVideoTracks: () => [],
+                addTrack: sinon.spy()
+            };
+            session._pc = {
+                getTransceivers: () => [],
+                addTransceiver: sinon.spy()
+            };
+            session._buildMediaConstraints = () => ({audio: true, video: true});
+            state._gUM = sinon.stub().returns(Promise.resolve({
+                getVideoTracks: () => [videoTrack]
+            }));
+
+            state.addLocalVideo().then(() => {
+                chai.expect(state._gUM.args[0][0].audio).to.be.false;
+                chai.expect(session._localStream.addTrack.calledWith(videoTrack)).to.be.true;
+                chai.expect(session._pc.addTransceiver.calledWith(videoTrack)).to.be.true;
+                chai.expect(session._pc.addTransceiver.args[0][1].direction).to.be.eq('sendrecv');
+                chai.expect(session.transit.args[0][0]).to.be.instanceof(RenegotiatingState);
+                done();
+            }).catch(done);
+        });
+
+        it('switches microphone without renegotiation', (done) => {
+            var oldTrack = {kind: 'audio', enabled: false, stop: sinon.spy()};
+            var newTrack = {kind: 'audio', enabled: true};
+            var sender = {track: oldTrack, replaceTrack: sinon.stub().returns(Promise.resolve())};
+            session._localStream = {
+                getAudioTracks: () => [oldTrack],
+                removeTrack: sinon.spy(),
+                addTrack: sinon.spy()
+            };
+            session._pc = {
+                getSenders: () => [sender]
+            };
+            session._ownsTrack = sinon.stub().returns(true);
+            session._buildMediaConstraints = () => ({audio: true, video: {facingMode: 'user'}});
+            state._gUM = sinon.stub().returns(Promise.resolve({
+                getAudioTracks: () => [newTrack]
+            }));
+
+            state.switchInput('audio', 'mic2').then(() => {
+                chai.expect(state._gUM.args[0][0]).to.eql({audio: {deviceId: {exact: 'mic2'}}, video: false});
+                chai.expect(sender.replaceTrack.calledWith(newTrack)).to.be.true;
+                chai.expect(newTrack.enabled).to.be.false;
+                chai.expect(session._localStream.removeTrack.calledWith(oldTrack)).to.be.true;
+                chai.expect(session._localStream.addTrack.calledWith(newTrack)).to.be.true;
+                chai.expect(oldTrack.stop.calledOnce).to.be.true;
+                chai.expect(session._acquiredTracks).to.eql([newTrack]);
+                chai.expect(session._audioDeviceId).to.be.eq('mic2');
+                chai.expect(session._monitorLocalAudio.calledWith(newTrack)).to.be.true;
+                chai.expect(session._replaceRecordedTrack.calledWith(oldTrack, newTrack)).to.be.true;
+                chai.expect(session.transit.called).to.be.false;
+                done();
+            }).catch(done);
+        });
+
+        it('refuses to switch camera without local video', (done) => {
+            session._localStream = {
+                getVideoTracks: () => []
+            };
+            session._pc = {
+                getSenders: () => []
+            };
+
+            state.switchInput('video', 'camera2').then(() => {
+                done(new Error('should have been rejected'));
+            }, () => {
+                done();
+            });
+        });
+
+        it('sends camera video on the transceiver receiving remote video', (done) => {
+            var videoTrack = {kind: 'video'};
+            var videoTransceiver = {
+                direction: 'recvonly',
+                receiver: {track: {kind: 'video'}},
+                sender: {replaceTrack: sinon.stub().returns(Promise.resolve())}
+            };
+            session._localStream = {
+                getVideoTracks: () => [],
+                addTrack: sinon.spy()
+            };
+            session._pc = {
+                getTransceivers: () => [{receiver: {track: {kind: 'audio'}}}, videoTransceiver],
+                addTransceiver: sinon.spy()
+            };
+            session._buildMediaConstraints = () => ({audio: true, video: true});
+            state._gUM = sinon.stub().returns(Promise.resolve({
+                getVideoTracks: () => [videoTrack]
+            }));
+
+            state.addLocalVideo().then(() => {
+                chai.expect(videoTransceiver.sender.replaceTrack.calledWith(videoTrack)).to.be.true;
+                chai.expect(videoTransceiver.direction).to.be.eq('sendrecv');
+                chai.expect(session._pc.addTransceiver.called).to.be.false;
+                chai.expect(session.transit.args[0][0]).to.be.instanceof(RenegotiatingState);
+                done();
+            }).catch(done);
+        });
+
+        it('restarts ICE when ICE connection fails', () => {
+            session._maxIceRestartAttempts = 2;
+
+            state.onIceStateChange({currentTarget: {iceConnectionState: 'failed'}});
+
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(IceRestartState);
+            chai.expect(session.transit.args[0][0]._attempt).to.be.eq(1);
+        });
+
+        it('restarts ICE if ICE connection does not recover within grace period', (done) => {
+            session._maxIceRestartAttempts = 2;
+            session._iceRestartGracePeriodMillis = 10;
+            session._sessionReport.iceConnectionsLost = 0;
+            session._pc = {
+                iceConnectionState: 'disconnected'
+            };
+
+            state.onIceStateChange({currentTarget: session._pc});
+
+            chai.expect(session.transit.called).to.be.false;
+            setTimeout(() => {
+                chai.expect(session._sessionReport.iceConnectionsLost).to.be.eq(1);
+                chai.expect(session.transit.args[0][0]).to.be.instanceof(IceRestartState);
+                done();
+            }, 20);
+        });
+
+        it('reports signaling reconnecting and reconnected', () => {
+            session._sessionReport.signallingReconnects = 0;
+            session._onReconnecting = sinon.spy();
+            session._onReconnected = sinon.spy();
+
+            state.onSignalingReconnecting(1, 0);
+            state.onSignalingReconnected();
+
+            chai.expect(session._sessionReport.signallingReconnects).to.be.eq(1);
+            chai.expect(session._onReconnecting.calledWith(session, 1, 0)).to.be.true;
+            chai.expect(session._onReconnected.calledWith(session)).to.be.true;
+            chai.expect(session.transit.called).to.be.false;
+        });
+
+        it('transits to FailedState when signaling reconnecting gives up', () => {
+            state.onSignalingFailed(new Error('channelDown'));
+
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(FailedState);
+            chai.expect(session.transit.args[0][0]._failureReason).to.be.eq(RTC_ERRORS.SIGNALLING_CONNECTION_FAILURE);
+        });
+
+        it('does not restart ICE if it is disabled', () => {
+            session._maxIceRestartAttempts = 0;
+
+            state.onIceStateChange({currentTarget: {iceConnectionState: 'failed'}});
+
+            chai.expect(session.transit.called).to.be.false;
+        });
+
+        it('refuses to add local video twice', (done) => {
+            session._localStream = {
+                getVideoTracks: () => [{kind: 'video'}]
+            };
+
+            state.addLocalVideo().catch(() => {
+                chai.expect(session.transit.called).to.be.false;
+                done();
+            });
+        });
+
+        it('disables video again if camera can\'t be grabbed', (done) => {
+            session._localStream = {
+                getVideoTracks: () => []
+            };
+            session._enableVideo = false;
+            session._buildMediaConstraints = () => ({audio: true, video: true});
+            state._gUM = sinon.stub().returns(Promise.reject(new Error('NotAllowedError')));
+
+            state.addLocalVideo().then(() => done(new Error('should fail')), () => {
+                chai.expect(session._enableVideo).to.be.false;
+                chai.expect(session.transit.called).to.be.false;
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('RenegotiatingState', () => {
+        var localSdp = "v=0\r\n" +
+            "m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n" +
+            "a=rtpmap:111 opus/48000/2\r\n";
+
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {RenegotiatingState}
+         */
+        var state;
+
+        beforeEach(() => {
+            session = {
+                _logger: console,
+                _sessionReport: {
+                    renegotiations: 0,
+                    renegotiationFailures: 0
+                },
+                _iceTimeoutMillis: 100,
+                _onRenegotiated: sinon.spy(),
+                _onRenegotiationFailed: sinon.spy(),
+                _detachMedia: sinon.spy(),
+                _onSessionCompleted: sinon.spy(),
+                _pc: {
+                    createOffer: sinon.stub().returns(Promise.resolve({type: 'offer', sdp: localSdp})),
+                    setLocalDescription: sinon.stub().returns(Promise.resolve()),
+                    setRemoteDescription: sinon.stub().returns(Promise.resolve()),
+                    addIceCandidate: sinon.stub().returns(Promise.resolve()),
+                    iceGatheringState: 'complete',
+                    signalingState: 'have-local-offer'
+                },
+                _signalingChannel: {
+                    reinvite: sinon.spy(),
+                    hangup: sinon.spy()
+                },
+                transit: sinon.spy()
+            };
+            state = new RenegotiatingState(session, 1000);
+            session._state = state;
+
+            state._createSessionDescription = (initDict) => initDict;
+            state._createLocalCandidate = (initDict) => initDict;
+            state._createRemoteCandidate = (initDict) => initDict;
+        });
+
+        it('sends reinvite right away when no new candidate is expected', (done) => {
+            session._signalingChannel.reinvite = (sdp, candidates) => {
+                chai.expect(sdp).to.have.string('a=rtpmap:111 opus/48000/2');
+                chai.expect(candidates).to.be.empty;
+                chai.expect(session._sessionReport.renegotiations).to.be.eq(1);
+                done();
+            };
+
+            state.onEnter();
+        });
+
+        it('sends reinvite with candidates once ICE collection completes', () => {
+            state._localSessionDescription = {type: 'offer', sdp: 'localSdp'};
+
+            state.onIceCandidate({candidate: 'cand1'});
+            state.onIceCandidate({candidate: null});
+
+            chai.expect(session._signalingChannel.reinvite.calledWith('localSdp', ['cand1'])).to.be.true;
+        });
+
+        it('applies answer and goes back to TalkingState', (done) => {
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(TalkingState);
+                chai.expect(nextState._startTime).to.be.eq(1000);
+                chai.expect(session._pc.setRemoteDescription.args[0][0].type).to.be.eq('answer');
+                chai.expect(session._pc.addIceCandidate.calledWith('cand1')).to.be.true;
+                chai.expect(session._onRenegotiated.calledOnce).to.be.true;
+                state.onExit();
+                chai.expect(session._onSessionCompleted.called).to.be.false;
+                done();
+            };
+
+            state.onSignalingReinviteAnswered('remoteSdp', ['cand1']);
+        });
+
+        it('rolls back and goes back to TalkingState if reinvite fails', (done) => {
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(TalkingState);
+                chai.expect(session._pc.setLocalDescription.args[0][0].type).to.be.eq('rollback');
+                chai.expect(session._onRenegotiationFailed.calledOnce).to.be.true;
+                chai.expect(session._sessionReport.renegotiationFailures).to.be.eq(1);
+                done();
+            };
+
+            state.onSignalingReinviteFailed(new Error('Oops'));
+        });
+
+        it('rejects remote reinvite arriving before the local offer is sent and goes on', (done) => {
+            session._pc.iceGatheringState = 'gathering';
+            session._signalingChannel.rejectReinvite = sinon.spy();
+            session._signalingChannel.reinvite = (sdp) => {
+                chai.expect(session._signalingChannel.rejectReinvite.calledWith(REJECT_REASONS.REQUEST_PENDING)).to.be.true;
+                chai.expect(sdp).to.have.string('a=rtpmap:111 opus/48000/2');
+                done();
+            };
+
+            state.onEnter();
+            state.onSignalingReinvited('remoteSdp', []);
+        });
+
+        it('rolls back and goes back to TalkingState if reinvite could not be sent', (done) => {
+            session._signalingChannel.reinvite = sinon.stub().throws(new Error('Oops'));
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(TalkingState);
+                chai.expect(session._pc.setLocalDescription.args[1][0].type).to.be.eq('rollback');
+                chai.expect(session._onRenegotiationFailed.calledOnce).to.be.true;
+                done();
+            };
+
+            state.onEnter();
+        });
+
+        it('refuses another renegotiation', () => {
+            chai.expect(() => state.renegotiate()).to.throw();
+        });
+
+        it('refuses to start recording until back in TalkingState', () => {
+            session._startRecording = sinon.spy();
+            chai.expect(() => state.startRecording()).to.throw();
+            chai.expect(() => new ResumeMediaState(session).startRecording()).to.throw();
+            chai.expect(session._startRecording.called).to.be.false;
+        });
+
+        it('hangs up signaling when hangup is requested by client', () => {
+            state.hangup();
+
+            chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(DisconnectedState);
+        });
+    });
+
+    describe('ResumeSignalingState', () => {
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {ResumeSignalingState}
+         */
+        var state;
+
+        var signalingChannel;
+
+        var localStream = {
+            getAudioTracks: () => ['audioTrack'],
+            getVideoTracks: () => []
+        };
+
+        beforeEach(() => {
+            signalingChannel = {
+                resume: sinon.spy()
+            };
+            session = {
+                _logger: console,
+                _localStream: localStream,
+                _resumedSession: {clientToken: 'token'},
+                _onLocalStreamAdded: sinon.spy(),
+                _onSignalingConnected: sinon.spy(),
+                _pc: {
+                    addTransceiver: sinon.spy()
+                },
+                _sessionReport: {},
+                transit: sinon.spy()
+            };
+            session._createSignalingChannel = sinon.stub().returns(signalingChannel);
+            state = new ResumeSignalingState(session);
+            session._state = state;
+        });
+
+        it('adds local stream and resumes signaling with client token on enter', () => {
+            state.onEnter();
+
+            chai.expect(session._pc.addTransceiver.calledWith('audioTrack')).to.be.true;
+            chai.expect(signalingChannel.resume.calledWith('token')).to.be.true;
+        });
+
+        it('renegotiates media once signaling is connected', () => {
+            state.onEnter();
+            state.onSignalingConnected();
+
+            chai.expect(session._onSignalingConnected.calledOnce).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(ResumeMediaState);
+        });
+
+        it('fails with resume failure if signaling fails', () => {
+            state.onSignalingFailed(new Error('Oops'));
+
+            chai.expect(session._sessionReport.signallingConnectionFailure).to.be.true;
+            chai.expect(session.transit.args[0][0]).to.be.instanceof(FailedState);
+            chai.expect(session.transit.args[0][0]._failureReason).to.be.eq(RTC_ERRORS.RESUME_FAILURE);
+        });
+    });
+
+    describe('ResumeMediaState', () => {
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {ResumeMediaState}
+         */
+        var state;
+
+        beforeEach(() => {
+            session = {
+                _logger: console,
+                _sessionReport: {
+                    renegotiations: 0,
+                    renegotiationFailures: 0
+                },
+                _onRenegotiated: sinon.spy(),
+                _onSessionCompleted: sinon.spy(),
+                _pc: {
+                    setLocalDescription: sinon.stub().returns(Promise.resolve()),
+                    setRemoteDescription: sinon.stub().returns(Promise.resolve()),
+                    signalingState: 'have-local-offer'
+                },
+                _signalingChannel: {
+                    hangup: sinon.spy()
+                },
+                transit: sinon.spy()
+            };
+            state = new ResumeMediaState(session);
+            session._state = state;
+
+            state._createSessionDescription = (initDict) => initDict;
+        });
+
+        it('goes to TalkingState reported as connected once answer is applied', (done) => {
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(TalkingState);
+                chai.expect(nextState._startTime).to.be.undefined;
+                chai.expect(session._onRenegotiated.called).to.be.false;
+                state.onExit();
+                chai.expect(session._onSessionCompleted.called).to.be.false;
+                done();
+            };
+
+            state.onSignalingReinviteAnswered('remoteSdp', []);
+        });
+
+        it('hangs up and fails with resume failure if reinvite fails', (done) => {
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(FailedState);
+                chai.expect(nextState._failureReason).to.be.eq(RTC_ERRORS.RESUME_FAILURE);
+                chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+                done();
+            };
+
+            state.onSignalingReinviteFailed(new Error('Oops'));
+        });
+    });
+
+    describe('IceRestartState', () => {
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {IceRestartState}
+         */
+        var state;
+
+        beforeEach(() => {
+            session = {
+                _logger: console,
+                _sessionReport: {
+                    renegotiations: 0,
+                    renegotiationFailures: 0,
+                    iceRestarts: []
+                },
+                _maxIceRestartAttempts: 2,
+                _iceRestartGracePeriodMillis: 10,
+                _detachMedia: sinon.spy(),
+                _stopRecording: sinon.spy(),
+                _onSessionCompleted: sinon.spy(),
+                _pc: {
+                    setRemoteDescription: sinon.stub().returns(Promise.resolve()),
+                    addIceCandidate: sinon.stub().returns(Promise.resolve()),
+                    iceConnectionState: 'checking',
+                    signalingState: 'stable'
+                },
+                _signalingChannel: {
+                    hangup: sinon.spy()
+                },
+                transit: sinon.spy()
+            };
+            state = new IceRestartState(session, 1000, 1);
+            session._state = state;
+            state._restartStartTime = Date.now();
+
+            state._createSessionDescription = (initDict) => initDict;
+            state._createRemoteCandidate = (initDict) => initDict;
+        });
+
+        it('creates offer with ICE restart', () => {
+            chai.expect(state._offerOptions.iceRestart).to.be.true;
+        });
+
+        it('goes back to TalkingState once ICE connection recovers', (done) => {
+            session.transit = (nextState) => {
+                session._state = nextState;
+                chai.expect(nextState).to.be.instanceof(TalkingState);
+                chai.expect(session._sessionReport.iceRestarts).to.have.lengthOf(1);
+                chai.expect(session._sessionReport.iceRestarts[0].attempt).to.be.eq(1);
+                chai.expect(session._sessionReport.iceRestarts[0].succeeded).to.be.true;
+                done();
+            };
+
+            state.onSignalingReinviteAnswered('remoteSdp', ['cand1']);
+            setTimeout(() => {
+                session._pc.iceConnectionState = 'connected';
+                state.onIceStateChange({currentTarget: session._pc});
+            }, 0);
+        });
+
+        it('tries again if ICE connection does not recover', (done) => {
+            session.transit = (nextState) => {
+                session._state = nextState;
+                chai.expect(nextState).to.be.instanceof(IceRestartState);
+                chai.expect(nextState._attempt).to.be.eq(2);
+                chai.expect(session._sessionReport.iceRestarts[0].succeeded).to.be.false;
+                done();
+            };
+
+            state.onSignalingReinviteAnswered('remoteSdp', ['cand1']);
+        });
+
+        it('hangs up and fails the session when attempts are exhausted', (done) => {
+            state = new IceRestartState(session, 1000, 2);
+            session._state = state;
+            state._restartStartTime = Date.now();
+            session.transit = (nextState) => {
+                session._state = nextState;
+                chai.expect(nextState).to.be.instanceof(FailedState);
+                chai.expect(nextState._failureReason).to.be.eq(RTC_ERRORS.ICE_RESTART_FAILURE);
+                chai.expect(session._signalingChannel.hangup.calledOnce).to.be.true;
+                done();
+            };
+
+            state.onSignalingReinviteFailed(new Error('Oops'));
+        });
+
+        it('reports failure only, not completion, when attempts are exhausted', (done) => {
+            state = new IceRestartState(session, 1000, 2);
+            session._state = state;
+            state._restartStartTime = Date.now();
+            session.transit = (nextState) => {
+                state.onExit();
+                session._state = nextState;
+                chai.expect(session._detachMedia.calledOnce).to.be.true;
+                chai.expect(session._onSessionCompleted.called).to.be.false;
+                done();
+            };
+
+            state.onSignalingReinviteFailed(new Error('Oops'));
+        });
+    });
+
+    describe('RemoteRenegotiatingState', () => {
+        var localSdp = "v=0\r\n" +
+            "m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n" +
+            "a=rtpmap:111 opus/48000/2\r\n";
+
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {RemoteRenegotiatingState}
+         */
+        var state;
+
+        beforeEach(() => {
+            session = {
+                _logger: console,
+                _sessionReport: {
+                    renegotiations: 0,
+                    renegotiationFailures: 0
+                },
+                _onRenegotiated: sinon.spy(),
+                _onRenegotiationFailed: sinon.spy(),
+                _pc: {
+                    createAnswer: sinon.stub().returns(Promise.resolve({type: 'answer', sdp: localSdp})),
+                    setLocalDescription: sinon.stub().returns(Promise.resolve()),
+                    setRemoteDescription: sinon.stub().returns(Promise.resolve()),
+                    addIceCandidate: sinon.stub().returns(Promise.resolve()),
+                    iceGatheringState: 'complete',
+                    signalingState: 'have-remote-offer'
+                },
+                _signalingChannel: {
+                    answerReinvite: sinon.spy(),
+                    rejectReinvite: sinon.spy()
+                },
+                transit: sinon.spy()
+            };
+            state = new RemoteRenegotiatingState(session, 1000, 'remoteSdp', ['cand1']);
+            session._state = state;
+
+            state._createSessionDescription = (initDict) => initDict;
+            state._createRemoteCandidate = (initDict) => initDict;
+        });
+
+        it('answers reinvite and goes back to TalkingState', (done) => {
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(TalkingState);
+                chai.expect(session._pc.setRemoteDescription.args[0][0].type).to.be.eq('offer');
+                chai.expect(session._signalingChannel.answerReinvite.args[0][0]).to.have.string('a=rtpmap:111 opus/48000/2');
+                chai.expect(session._onRenegotiated.calledOnce).to.be.true;
+                done();
+            };
+
+            state.onEnter();
+        });
+
+        it('rejects reinvite if remote offer cannot be applied', (done) => {
+            session._pc.setRemoteDescription.returns(Promise.reject('Oops'));
+            session._pc.signalingState = 'stable';
+            session.transit = (nextState) => {
+                chai.expect(nextState).to.be.instanceof(TalkingState);
+                chai.expect(session._signalingChannel.rejectReinvite.calledWith(REJECT_REASONS.NOT_ACCEPTABLE)).to.be.true;
+                chai.expect(session._onRenegotiationFailed.calledOnce).to.be.true;
+                done();
+            };
+
+            state.onEnter();
+        });
+    });
+
+    describe('CleanUpState', () => {
+        /**
+         * @type {RtcSession}
+         */
+        var session;
+
+        /**
+         * @type {CleanUpState}
+         */
+        var state;
+
+        beforeEach(() => {
+            session = {
+                _logger: console,
+                _stopSession: sinon.spy(),
+                _sessionReport: {},
+                _onSessionDestroyed: sinon.spy()
+            };
+            state = new CleanUpState(session);
+            session._state = state;
+        });
+
+        it('stops session on enter', () => {
             state.onEnter();
 
             chai.expect(session._stopSession.calledOnce).to.be.true;
             chai.expect(session._onSessionDestroyed.calledOnce).to.be.true;
         });
+
+        it('ignores signaling failure when hangup is not acked in time', () => {
+            state.onEnter();
+
+            chai.expect(() => state.onSignalingFailed(new Timeout('bye request timed out'))).not.to.throw();
+            chai.expect(() => state.onRemoteHungup()).not.to.throw();
+        });
     });
 
     describe('DisconnectedState', () => {
@@ -761,5 +2599,21 @@ describe('RTC session', () => {
             chai.expect(session._onSessionFailed.calledOnce).to.be.true;
             chai.expect(session._onSessionDestroyed.calledOnce).to.be.true;
         });
+
+        it('notifies RtcError of the failure with legacy reason', () => {
+            var cause = {name: 'NotAllowedError', message: 'Permission denied'};
+            session._previousState = {name: RTC_SESSION_STATES.GRAB_LOCAL_MEDIA};
+            state = new FailedState(session, RTC_ERRORS.GUM_OTHER_FAILURE, cause);
+            state.onEnter();
+
+            var error = session._onSessionFailed.args[0][1];
+            chai.expect(error).to.eq(state.error);
+            chai.expect(error.name).to.eq('MediaAccessError');
+            chai.expect(error.code).to.eq(RTC_ERROR_CODES.GUM_OTHER_FAILURE);
+            chai.expect(error.legacy).to.eq(RTC_ERRORS.GUM_OTHER_FAILURE);
+            chai.expect(error.state).to.eq(RTC_SESSION_STATES.GRAB_LOCAL_MEDIA);
+            chai.expect(error.causeName).to.eq('NotAllowedError');
+            chai.expect(error.retryable).to.be.false;
+        });
     });
 });
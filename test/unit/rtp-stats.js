@@ -0,0 +1,47 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { extractMediaStatsFromStats } from '../../src/js/rtp-stats';
+import chai from 'chai';
+
+describe('extractMediaStatsFromStats', () => {
+    var timestamp = new Date();
+
+    var standardStats = new Map([
+        ['OT01A', {id: 'OT01A', type: 'outbound-rtp', kind: 'audio', packetsSent: 100, bytesSent: 1600, remoteId: 'RI01A', mediaSourceId: 'SA1'}],
+        ['RI01A', {id: 'RI01A', type: 'remote-inbound-rtp', kind: 'audio', packetsLost: 3, roundTripTime: 0.05}],
+        ['SA1', {id: 'SA1', type: 'media-source', kind: 'audio', audioLevel: 0.2}],
+        ['IT01A', {id: 'IT01A', type: 'inbound-rtp', kind: 'audio', packetsReceived: 90, bytesReceived: 1440, packetsLost: 2,
+            jitterBufferDelay: 4, jitterBufferEmittedCount: 100, audioLevel: 0.1}]
+    ]);
+
+    it('extracts sent audio from standard stats', () => {
+        var stats = extractMediaStatsFromStats(timestamp, standardStats, 'audio_input');
+        chai.expect(stats.statsReportType).to.eq('outbound-rtp');
+        chai.expect(stats.packetsCount).to.eq(100);
+        chai.expect(stats.bytesSent).to.eq(1600);
+        chai.expect(stats.packetsLost).to.eq(3);
+        chai.expect(stats.rttMilliseconds).to.eq(50);
+        chai.expect(stats.audioLevel).to.eq(0.2);
+    });
+
+    it('extracts received audio from standard stats', () => {
+        var stats = extractMediaStatsFromStats(timestamp, standardStats, 'audio_output');
+        chai.expect(stats.statsReportType).to.eq('inbound-rtp');
+        chai.expect(stats.packetsCount).to.eq(90);
+        chai.expect(stats.bytesReceived).to.eq(1440);
+        chai.expect(stats.packetsLost).to.eq(2);
+        chai.expect(stats.jbMilliseconds).to.eq(40);
+    });
+
+    it('finds nothing for media type not in stats', () => {
+        chai.expect(extractMediaStatsFromStats(timestamp, standardStats, 'video_output')).to.be.null;
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { SessionStorageStore } from '../../src/js/session_store';
+import { SESSION_STORE_KEY_PREFIX } from '../../src/js/rtc_const';
+import chai from 'chai';
+
+describe('SessionStorageStore', () => {
+    /**
+     * @type {SessionStorageStore}
+     */
+    var store;
+
+    var items;
+
+    beforeEach(() => {
+        items = {};
+        store = new SessionStorageStore({
+            getItem: key => items.hasOwnProperty(key) ? items[key] : null,
+            setItem: (key, value) => {
+                items[key] = value;
+            },
+            removeItem: key => {
+                delete items[key];
+            }
+        });
+    });
+
+    it('persists value under prefixed key', () => {
+        store.set('callId', {clientToken: 'token'});
+
+        chai.expect(JSON.parse(items[SESSION_STORE_KEY_PREFIX + 'callId'])).to.be.eql({clientToken: 'token'});
+        chai.expect(store.get('callId')).to.be.eql({clientToken: 'token'});
+    });
+
+    it('gets null for missing or malformed value', () => {
+        items[SESSION_STORE_KEY_PREFIX + 'malformed'] = '{';
+
+        chai.expect(store.get('missing')).to.be.null;
+        chai.expect(store.get('malformed')).to.be.null;
+    });
+
+    it('removes value', () => {
+        store.set('callId', {clientToken: 'token'});
+        store.remove('callId');
+
+        chai.expect(store.get('callId')).to.be.null;
+    });
+});
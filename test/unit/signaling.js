@@ -9,8 +9,9 @@
  */
 
 import RtcSignaling from '../../src/js/signaling';
-import { SignalingState, FailOnTimeoutState, PendingConnectState, PendingInviteState, PendingAnswerState, PendingAcceptState, PendingAcceptAckState, TalkingState, PendingReconnectState, PendingRemoteHangupState, PendingLocalHangupState, DisconnectedState, FailedState } from '../../src/js/signaling'; // eslint-disable-line no-unused-vars
-import { TimeoutExceptionName, UnknownSignalingErrorName } from '../../src/js/exceptions';
+import { JsonRpcTracker, SignalingState, FailOnTimeoutState, PendingConnectState, PendingInviteState, PendingAnswerState, PendingIncomingInviteState, PendingLocalAnswerState, PendingAcceptState, PendingAcceptAckState, TalkingState, PendingReinviteAnswerState, PendingLocalReinviteAnswerState, PendingResumeState, PendingReconnectState, PendingRemoteHangupState, PendingLocalHangupState, DisconnectedState, FailedState, reconnectDelayMillis } from '../../src/js/signaling'; // eslint-disable-line no-unused-vars
+import { TimeoutExceptionName, BusyExceptionName, UnknownSignalingErrorName, UnknownResponseIdErrorName, JsonRpcErrorName } from '../../src/js/exceptions';
+import { SIGNALING_STATES } from '../../src/js/rtc_const';
 import chai from 'chai';
 import sinon from 'sinon';
 
@@ -25,6 +26,191 @@ describe('signalingTest', () => {
             chai.expect(signaling._buildInviteUri()).to.equal('https://myserver.com/rtc?callId=call%20Id&contactCtx=co%7Bn%22t%3Da%3Ac%2Ct%26T%22ok%7Den');
         });
 
+        it('routes candidate notification to current state', () => {
+            var onRemoteCandidate = sinon.spy();
+            var onRpcMsg = sinon.spy();
+            signaling._state = {
+                onRemoteCandidate: onRemoteCandidate,
+                onRpcMsg: onRpcMsg
+            };
+            signaling._onMessage({
+                data: JSON.stringify({
+                    jsonrpc: '2.0',
+                    method: 'candidate',
+                    params: {
+                        candidate: 'cand1'
+                    }
+                })
+            });
+            chai.assert(onRemoteCandidate.calledWith('cand1'));
+            chai.assert(!onRpcMsg.called);
+        });
+
+        it('ignores candidate notification without params', () => {
+            var onRemoteCandidate = sinon.spy();
+            signaling._state = {
+                onRemoteCandidate: onRemoteCandidate
+            };
+            signaling._onMessage({
+                data: JSON.stringify({
+                    jsonrpc: '2.0',
+                    method: 'candidate'
+                })
+            });
+            chai.assert(!onRemoteCandidate.called);
+        });
+
+        it('sends heartbeat while talking', () => {
+            var heartbeatSignaling = new RtcSignaling('call Id', 'https://myserver.com/rtc', 'token', console, 4000);
+            heartbeatSignaling.heartbeat = {method: 'noop'};
+            heartbeatSignaling._transport = {
+                send: sinon.spy()
+            };
+            heartbeatSignaling._state = new TalkingState(heartbeatSignaling);
+            heartbeatSignaling._missedHeartbeats = 0;
+            heartbeatSignaling._onHeartbeatTimer();
+            var heartbeatReq = JSON.parse(heartbeatSignaling._transport.send.args[0][0]);
+            chai.assert.equal('noop', heartbeatReq.method);
+            chai.assert.equal(1, heartbeatSignaling._missedHeartbeats);
+        });
+
+        it('swallows heartbeat response and resets missed heartbeats', () => {
+            var heartbeatSignaling = new RtcSignaling('call Id', 'https://myserver.com/rtc', 'token', console, 4000);
+            heartbeatSignaling.heartbeat = {};
+            heartbeatSignaling._transport = {
+                send: sinon.spy()
+            };
+            heartbeatSignaling._state = new TalkingState(heartbeatSignaling);
+            heartbeatSignaling._state.onRpcMsg = sinon.spy();
+            heartbeatSignaling._missedHeartbeats = 0;
+            heartbeatSignaling._onHeartbeatTimer();
+            var heartbeatReq = JSON.parse(heartbeatSignaling._transport.send.args[0][0]);
+            heartbeatSignaling._onMessage({
+                data: JSON.stringify({
+                    jsonrpc: '2.0',
+                    result: {},
+                    id: heartbeatReq.id
+                })
+            });
+            chai.assert.equal(0, heartbeatSignaling._missedHeartbeats);
+            chai.assert(heartbeatSignaling._state.onRpcMsg.notCalled);
+        });
+
+        it('accepts heartbeat response arriving after next heartbeat is sent', () => {
+            var clock = sinon.useFakeTimers(Date.now());
+            try {
+                var heartbeatSignaling = new RtcSignaling('call Id', 'https://myserver.com/rtc', 'token', console, 4000);
+                heartbeatSignaling.heartbeat = {intervalMillis: 1000, missThreshold: 2};
+                heartbeatSignaling._transport = {
+                    send: sinon.spy()
+                };
+                heartbeatSignaling._rpc._errorHandler = sinon.spy();
+                heartbeatSignaling._state = new TalkingState(heartbeatSignaling);
+                heartbeatSignaling._missedHeartbeats = 0;
+                heartbeatSignaling._onHeartbeatTimer();
+                var heartbeatReq = JSON.parse(heartbeatSignaling._transport.send.args[0][0]);
+                clock.tick(1500);
+                heartbeatSignaling._onMessage({
+                    data: JSON.stringify({
+                        jsonrpc: '2.0',
+                        result: {},
+                        id: heartbeatReq.id
+                    })
+                });
+                chai.assert(heartbeatSignaling._rpc._errorHandler.notCalled);
+                chai.assert.equal(0, heartbeatSignaling._missedHeartbeats);
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it('abandons dead connection when heartbeats are missed', () => {
+            var heartbeatSignaling = new RtcSignaling('call Id', 'https://myserver.com/rtc', 'token', console, 4000);
+            heartbeatSignaling.heartbeat = {missThreshold: 2};
+            var closeHandler = sinon.spy();
+            var transport = {
+                send: sinon.spy(),
+                close: sinon.spy(),
+                onClose: closeHandler
+            };
+            heartbeatSignaling._transport = transport;
+            heartbeatSignaling._state = new TalkingState(heartbeatSignaling);
+            heartbeatSignaling._state.channelDown = sinon.spy();
+            heartbeatSignaling._missedHeartbeats = 2;
+            heartbeatSignaling._onHeartbeatTimer();
+            chai.assert(transport.send.notCalled);
+            chai.assert(transport.close.calledOnce);
+            chai.assert.notEqual(closeHandler, transport.onClose);
+            chai.assert(heartbeatSignaling._state.channelDown.calledOnce);
+        });
+
+        it('resumes the call with client token', () => {
+            var transport = {
+                connect: sinon.spy()
+            };
+            var signaling = new RtcSignaling('callId', 'wss://signaling', 'contactToken', console);
+            signaling.transportFactory = () => transport;
+            signaling.resume('token');
+            chai.expect(transport.connect.args[0][0]).to.eq('wss://signaling?callId=callId&clientToken=token');
+            chai.expect(signaling.state).to.be.instanceof(PendingResumeState);
+        });
+
+        it('exposes state name and notifies state change', () => {
+            var stateSignaling = new RtcSignaling('call Id', 'https://myserver.com/rtc', 'token', console, 4000);
+            var stateChangeHandler = sinon.spy();
+            stateSignaling.transportFactory = () => ({connect: sinon.spy(), close: sinon.spy()});
+            stateSignaling.onStateChange = stateChangeHandler;
+            chai.expect(stateSignaling.stateName).to.be.null;
+            stateSignaling.connect();
+            chai.expect(stateSignaling.stateName).to.eq(SIGNALING_STATES.PENDING_CONNECT);
+            chai.expect(stateChangeHandler.args[0][0]).to.be.null;
+            chai.expect(stateChangeHandler.args[0][1]).to.eq(SIGNALING_STATES.PENDING_CONNECT);
+            chai.expect(stateChangeHandler.args[0][2]).to.be.instanceof(Date);
+            stateSignaling.transit(new DisconnectedState(stateSignaling));
+            chai.expect(stateChangeHandler.args[1].slice(0, 2)).to.eql([SIGNALING_STATES.PENDING_CONNECT, SIGNALING_STATES.DISCONNECTED]);
+            chai.expect(stateChangeHandler.args[1][3]).to.be.null;
+            var exception = new Error('Oops');
+            stateSignaling.transit(new FailedState(stateSignaling, exception));
+            chai.expect(stateChangeHandler.args[2][3]).to.eq(exception);
+        });
+
+        it('connects through plugged in transport', () => {
+            var transportSignaling = new RtcSignaling('call Id', 'https://myserver.com/rtc', 'token', console, 4000);
+            var transport = {
+                connect: sinon.spy()
+            };
+            transportSignaling.transportFactory = () => transport;
+            transportSignaling.connect();
+            chai.assert(transport.connect.calledWith('https://myserver.com/rtc?callId=call%20Id&contactCtx=token'));
+            chai.assert(transportSignaling.state instanceof PendingConnectState);
+
+            transportSignaling.transit = sinon.spy();
+            transport.onOpen({});
+            chai.assert(transportSignaling.transit.args[0][0] instanceof PendingInviteState);
+        });
+
+        it('drops events of replaced transport', () => {
+            var transportSignaling = new RtcSignaling('call Id', 'https://myserver.com/rtc', 'token', console, 4000);
+            var transports = [];
+            transportSignaling.transportFactory = () => {
+                var transport = {
+                    connect: sinon.spy(),
+                    close: sinon.spy()
+                };
+                transports.push(transport);
+                return transport;
+            };
+            transportSignaling.connect();
+            transportSignaling._reconnect();
+            var timedOutOnOpen = transports[0].onOpen;
+            transportSignaling.transit = sinon.spy();
+
+            timedOutOnOpen({});
+            chai.assert(transportSignaling.transit.notCalled);
+            transports[1].onOpen({});
+            chai.assert(transportSignaling.transit.calledOnce);
+        });
+
         it('throws exit exception after calling enter on state transition', () => {
             var initStateExit = sinon.stub().throws(1);
             signaling.transit({
@@ -37,6 +223,119 @@ describe('signalingTest', () => {
         });
     });
 
+    describe('JsonRpcTracker', () => {
+        /**
+         * @type {JsonRpcTracker}
+         */
+        var rpc;
+
+        var send;
+
+        beforeEach(() => {
+            send = sinon.spy();
+            rpc = new JsonRpcTracker(send);
+        });
+
+        it('correlates response with request', () => {
+            var promise = rpc.request('invite', {sdp: 'sdp'});
+            var req = JSON.parse(send.args[0][0]);
+            chai.assert.equal('invite', req.method);
+            rpc.onMessage(JSON.stringify({
+                jsonrpc: '2.0',
+                result: 'answer',
+                id: req.id
+            }));
+            return promise.then(result => {
+                chai.assert.equal('answer', result);
+            });
+        });
+
+        it('rejects request upon error response', () => {
+            var promise = rpc.request('invite', {});
+            rpc.onMessage(JSON.stringify({
+                jsonrpc: '2.0',
+                error: {
+                    code: 486,
+                    message: 'Busy'
+                },
+                id: 1
+            }));
+            return promise.then(() => chai.assert.fail(), e => {
+                chai.assert.equal(JsonRpcErrorName, e.name);
+                chai.assert.equal(486, e.code);
+                chai.assert.equal('Busy', e.message);
+            });
+        });
+
+        it('times out request by method', () => {
+            rpc.timeouts = {
+                bye: 10
+            };
+            return rpc.request('bye', {}).then(() => chai.assert.fail(), e => {
+                chai.assert.equal(TimeoutExceptionName, e.name);
+            });
+        });
+
+        it('routes notifications and requests', () => {
+            var notificationHandler = sinon.spy();
+            var requestHandler = sinon.spy();
+            rpc.onNotification = notificationHandler;
+            rpc.onRequest = requestHandler;
+            rpc.onMessage(JSON.stringify({
+                jsonrpc: '2.0',
+                method: 'candidate',
+                params: {}
+            }));
+            rpc.onMessage(JSON.stringify({
+                jsonrpc: '2.0',
+                method: 'bye',
+                params: {},
+                id: 5
+            }));
+            chai.assert.equal('candidate', notificationHandler.args[0][0].method);
+            chai.assert.equal('bye', requestHandler.args[0][0].method);
+        });
+
+        it('reports response with unknown id', () => {
+            var errorHandler = sinon.spy();
+            rpc.onError = errorHandler;
+            rpc.onMessage(JSON.stringify({
+                jsonrpc: '2.0',
+                result: {},
+                id: 42
+            }));
+            chai.assert.equal(UnknownResponseIdErrorName, errorHandler.args[0][0].name);
+        });
+
+        it('handles batch message', () => {
+            var notificationHandler = sinon.spy();
+            rpc.onNotification = notificationHandler;
+            var promise = rpc.request('accept', {});
+            rpc.onMessage(JSON.stringify([{
+                jsonrpc: '2.0',
+                result: {clientToken: 'token'},
+                id: 1
+            }, {
+                jsonrpc: '2.0',
+                method: 'renewClientToken',
+                params: {}
+            }]));
+            chai.assert(notificationHandler.calledOnce);
+            return promise.then(result => {
+                chai.assert.equal('token', result.clientToken);
+            });
+        });
+
+        it('sends responses and notifications', () => {
+            rpc.respond(3, {});
+            rpc.respondError(4, 603, 'Declined');
+            rpc.notify('candidate', {candidate: null});
+            chai.assert.deepEqual({jsonrpc: '2.0', result: {}, id: 3}, JSON.parse(send.args[0][0]));
+            chai.assert.equal(603, JSON.parse(send.args[1][0]).error.code);
+            chai.assert.isUndefined(JSON.parse(send.args[2][0]).id);
+        });
+    });
+
     describe('SignalingState', () => {
         /**
          * @type {RtcSignaling}
@@ -49,6 +348,7 @@ describe('signalingTest', () => {
 
         beforeEach(() => {
             signaling = {};
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             signalingState = new SignalingState(signaling);
         });
 
@@ -81,6 +381,45 @@ describe('signalingTest', () => {
             signalingState.onTimeout = done;
             signalingState.setStateTimeout(1);
         });
+
+        it('sends local candidate as notification', () => {
+            signaling._transport = {
+                send: sinon.spy()
+            };
+            signalingState.sendCandidate('cand1');
+            var candidateNotification = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal('2.0', candidateNotification.jsonrpc);
+            chai.assert.equal('candidate', candidateNotification.method);
+            chai.assert.equal('cand1', candidateNotification.params.candidate);
+            chai.assert.isUndefined(candidateNotification.id);
+        });
+
+        it('notifies remote candidate', (done) => {
+            signaling._remoteCandidateHandler = (candidate) => {
+                chai.assert.equal('cand1', candidate);
+                done();
+            };
+            signalingState.onRemoteCandidate('cand1');
+        });
+
+        it('turns down unexpected server request', () => {
+            signaling._logger = {
+                warn: sinon.spy()
+            };
+            signaling._transport = {
+                send: sinon.spy()
+            };
+            signalingState.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'reinvite',
+                params: {},
+                id: 7
+            });
+            var reinviteResp = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(7, reinviteResp.id);
+            chai.assert.equal(-32601, reinviteResp.error.code);
+            chai.assert(signaling._logger.warn.calledOnce);
+        });
     });
 
     describe('FailOnTimeoutState', () => {
@@ -95,6 +434,7 @@ describe('signalingTest', () => {
 
         beforeEach(() => {
             signaling = {};
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             state = new FailOnTimeoutState(signaling, 1);
         });
 
@@ -124,6 +464,7 @@ describe('signalingTest', () => {
                 transit:        sinon.spy(),
                 _connect:       sinon.spy()
             };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             state = new PendingConnectState(signaling, 500);
         });
 
@@ -133,6 +474,13 @@ describe('signalingTest', () => {
             chai.expect(signaling.transit.args[0][0]).to.be.instanceof(PendingInviteState);
         });
 
+        it('transit to pending incoming invite once WSS is open for inbound call', () => {
+            signaling._inbound = true;
+            state.onOpen();
+            chai.expect(signaling.transit.calledOnce).to.be.true;
+            chai.expect(signaling.transit.args[0][0]).to.be.instanceof(PendingIncomingInviteState);
+        });
+
         it('retries three times if channelDown occurs before timeout', () => {
             state.channelDown();
             state.channelDown();
@@ -159,6 +507,11 @@ describe('signalingTest', () => {
 
             }, 1000);
         });
+
+        it('disconnects when hung up before connected', () => {
+            state.hangup();
+            chai.expect(signaling.transit.args[0][0]).to.be.instanceof(DisconnectedState);
+        });
     });
 
     describe('PendingInviteState', () => {
@@ -173,6 +526,7 @@ describe('signalingTest', () => {
 
         beforeEach(() => {
             signaling = {};
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             state = new PendingInviteState(signaling);
         });
 
@@ -185,20 +539,35 @@ describe('signalingTest', () => {
             signaling._logger = {
                 log: sinon.spy()
             };
-            signaling._wss = {
+            signaling._transport = {
                 send: sinon.spy()
             };
             signaling.transit = sinon.spy();
             state.invite('sdp', ['cand1']);
-            var inviteRequest = JSON.parse(signaling._wss.send.args[0][0]);
+            var inviteRequest = JSON.parse(signaling._transport.send.args[0][0]);
             chai.assert.equal('2.0', inviteRequest.jsonrpc);
             chai.assert.equal('invite', inviteRequest.method);
             chai.assert.equal('sdp', inviteRequest.params.sdp);
             chai.assert.equal(1, inviteRequest.params.candidates.length);
             chai.assert.equal('cand1', inviteRequest.params.candidates[0]);
             chai.assert.isNotNull(inviteRequest.id);
+            chai.assert.isUndefined(inviteRequest.params.trickle);
             chai.assert(signaling.transit.args[0][0] instanceof PendingAnswerState);
         });
+
+        it('tells the server to expect more candidates with trickle ICE', () => {
+            signaling._logger = {
+                log: sinon.spy()
+            };
+            signaling._transport = {
+                send: sinon.spy()
+            };
+            signaling._trickleIce = true;
+            signaling.transit = sinon.spy();
+            state.invite('sdp', []);
+            var inviteRequest = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(true, inviteRequest.params.trickle);
+        });
     });
 
     describe('PendingAnswerState', () => {
@@ -211,51 +580,275 @@ describe('signalingTest', () => {
          */
         var state;
 
+        var invitePromise;
+
+        var respond = (response) => {
+            response.jsonrpc = '2.0';
+            signaling._rpc.onMessage(JSON.stringify(response));
+        };
+
         beforeEach(() => {
-            signaling = {};
-            state = new PendingAnswerState(signaling, 9);
+            signaling = {
+                _logger: {
+                    log: sinon.spy(),
+                    warn: sinon.spy()
+                },
+                _transport: {
+                    send: sinon.spy()
+                },
+                transit: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
+            invitePromise = signaling._rpc.request('invite', {}, 50);
+            state = new PendingAnswerState(signaling, invitePromise);
+            signaling.state = state;
+            state.onEnter();
         });
 
         it('does not respond to wrong request id', () => {
-            signaling.transit = sinon.spy();
+            var errorHandler = sinon.spy();
+            signaling._rpc.onError = errorHandler;
+            respond({
+                id: 8,
+                result: {}
+            });
+            chai.assert(errorHandler.calledOnce);
+            chai.assert(!signaling.transit.called);
+        });
+
+        it('ignores token renewal before the call is accepted', () => {
             state.onRpcMsg({
-                id: 8
+                jsonrpc: '2.0',
+                method: 'renewClientToken',
+                params: {
+                    clientToken: 'token'
+                }
             });
+            chai.assert(signaling._logger.warn.calledOnce);
+            chai.assert(signaling._transport.send.calledOnce);
             chai.assert(!signaling.transit.called);
         });
 
         it('goes to fail state upon receiving failure response', () => {
-            signaling.transit = sinon.spy();
-            state.onRpcMsg({
-                id: 9,
-                error: 'Oops'
+            respond({
+                id: 1,
+                error: {
+                    code: 500,
+                    message: 'Oops'
+                }
+            });
+            return invitePromise.catch(() => {}).then(() => {
+                chai.assert(signaling.transit.calledOnce);
+                var nextState = signaling.transit.args[0][0];
+                chai.assert(nextState instanceof FailedState);
+                chai.expect(nextState.exception.name).to.eq(UnknownSignalingErrorName);
+            });
+        });
+
+        it('translates busy response', () => {
+            respond({
+                id: 1,
+                error: {
+                    code: 486,
+                    message: 'Busy'
+                }
+            });
+            return invitePromise.catch(() => {}).then(() => {
+                chai.expect(signaling.transit.args[0][0].exception.name).to.eq(BusyExceptionName);
+            });
+        });
+
+        it('goes to fail state when the answer times out', () => {
+            return invitePromise.catch(() => {}).then(() => {
+                chai.expect(signaling.transit.args[0][0].exception.name).to.eq(TimeoutExceptionName);
+            });
+        });
+
+        it('notifies and goes to pending accept state upon receiving success response', () => {
+            signaling._answeredHandler = sinon.spy();
+            respond({
+                id: 1,
+                result: {
+                    sdp: 'sdp',
+                    candidates: ['cand1']
+                }
+            });
+            return invitePromise.then(() => {
+                chai.assert(signaling._answeredHandler.calledWith('sdp', ['cand1']));
+                chai.assert(signaling.transit.calledOnce);
+                chai.assert(signaling.transit.args[0][0] instanceof PendingAcceptState);
             });
-            chai.assert(signaling.transit.calledOnce);
-            var nextState = signaling.transit.args[0][0];
-            chai.assert(nextState instanceof FailedState);
-            chai.expect(nextState.exception.name).to.eq(UnknownSignalingErrorName);
         });
 
-        it('notifies and goes to pending accept state upon receiving success response', (done) => {
+        it('cancels the invite and ignores late answer when hung up', () => {
+            signaling.transit = sinon.spy(nextState => {
+                signaling.state = nextState;
+            });
+            signaling._answeredHandler = sinon.spy();
+            state.hangup();
+            var cancelReq = JSON.parse(signaling._transport.send.args[1][0]);
+            chai.assert.equal('cancel', cancelReq.method);
+            chai.assert(signaling.transit.args[0][0] instanceof PendingRemoteHangupState);
+            respond({
+                id: 1,
+                result: {
+                    sdp: 'sdp',
+                    candidates: []
+                }
+            });
+            return invitePromise.then(() => {
+                chai.assert(!signaling._answeredHandler.called);
+                chai.assert(signaling.transit.calledOnce);
+            });
+        });
+    });
+
+    describe('PendingIncomingInviteState', () => {
+        /**
+         * @type {RtcSignaling}
+         */
+        var signaling;
+        /**
+         * @type {PendingIncomingInviteState}
+         */
+        var state;
+
+        beforeEach(() => {
+            signaling = {};
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
+            state = new PendingIncomingInviteState(signaling);
+        });
+
+        it('sends connected event to signaling object on enter', (done) => {
+            signaling._connectedHandler = done;
+            state.onEnter();
+        });
+
+        it('notifies invite and goes to pending local answer state upon receiving invite', (done) => {
             signaling._logger = {
                 log: sinon.spy()
             };
-            signaling._answeredHandler = (sdp, candidates) => {
+            signaling._invitedHandler = (sdp, candidates, callerInfo) => {
                 chai.assert.equal('sdp', sdp);
                 chai.assert.equal(1, candidates.length);
                 chai.assert.equal('cand1', candidates[0]);
+                chai.assert.equal('+15550100', callerInfo.number);
                 done();
             };
             signaling.transit = sinon.spy();
             state.onRpcMsg({
-                id: 9,
-                result: {
+                jsonrpc: '2.0',
+                method: 'invite',
+                params: {
                     sdp: 'sdp',
-                    candidates: ['cand1']
-                }
+                    candidates: ['cand1'],
+                    callerInfo: {
+                        number: '+15550100'
+                    }
+                },
+                id: 5
             });
             chai.assert(signaling.transit.calledOnce);
+            chai.assert(signaling.transit.args[0][0] instanceof PendingLocalAnswerState);
+            chai.assert.equal(5, signaling.transit.args[0][0]._inviteId);
+        });
+
+        it('ignores irrelevant message', () => {
+            signaling.transit = sinon.spy();
+            state.onRpcMsg({
+                id: 8
+            });
+            chai.assert(!signaling.transit.called);
+        });
+
+        it('says bye when hung up before the invite arrives', () => {
+            signaling._transport = {
+                send: sinon.spy()
+            };
+            signaling.transit = sinon.spy();
+            state.hangup();
+            chai.assert.equal('bye', JSON.parse(signaling._transport.send.args[0][0]).method);
+            chai.assert(signaling.transit.args[0][0] instanceof PendingRemoteHangupState);
+        });
+    });
+
+    describe('PendingLocalAnswerState', () => {
+        /**
+         * @type {RtcSignaling}
+         */
+        var signaling;
+        /**
+         * @type {PendingLocalAnswerState}
+         */
+        var state;
+
+        beforeEach(() => {
+            signaling = {
+                _autoAnswer: true,
+                _logger: {
+                    log: sinon.spy()
+                },
+                _transport: {
+                    send: sinon.spy()
+                },
+                transit: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
+            state = new PendingLocalAnswerState(signaling, 5);
+        });
+
+        it('responds to invite with answer and goes to pending accept state', () => {
+            state.answer('sdp', ['cand1']);
+            chai.assert(signaling._transport.send.calledOnce);
+            var answerResp = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal('2.0', answerResp.jsonrpc);
+            chai.assert.equal(5, answerResp.id);
+            chai.assert.equal('sdp', answerResp.result.sdp);
+            chai.assert.equal('cand1', answerResp.result.candidates[0]);
             chai.assert(signaling.transit.args[0][0] instanceof PendingAcceptState);
+            chai.assert.equal(true, signaling.transit.args[0][0]._autoAnswer);
+        });
+
+        it('responds to invite with error and disconnects when rejected', () => {
+            state.reject(486, 'Busy');
+            chai.assert(signaling._transport.send.calledOnce);
+            var rejectResp = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(5, rejectResp.id);
+            chai.assert.equal(486, rejectResp.error.code);
+            chai.assert.equal('Busy', rejectResp.error.message);
+            chai.assert(signaling.transit.args[0][0] instanceof DisconnectedState);
+        });
+
+        it('rejects with decline reason when hung up', () => {
+            state.hangup();
+            var rejectResp = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(603, rejectResp.error.code);
+            chai.assert(signaling.transit.args[0][0] instanceof DisconnectedState);
+        });
+
+        it('responds to server hangup before the call is answered', () => {
+            state.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'bye',
+                params: {},
+                id: 10
+            });
+            chai.assert(signaling.transit.calledOnce);
+            chai.assert(signaling.transit.args[0][0] instanceof PendingLocalHangupState);
+        });
+
+        it('turns down unknown server request before the call is answered', () => {
+            signaling._logger.warn = sinon.spy();
+            state.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'transfer',
+                params: {},
+                id: 11
+            });
+            var transferResp = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(11, transferResp.id);
+            chai.assert.equal(-32601, transferResp.error.code);
+            chai.assert(!signaling.transit.called);
         });
     });
 
@@ -271,17 +864,18 @@ describe('signalingTest', () => {
 
         beforeEach(() => {
             signaling = {};
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             state = new PendingAcceptState(signaling, true);
         });
 
         it('should accept the call on enter', () => {
-            signaling._wss = {
+            signaling._transport = {
                 send: sinon.spy()
             };
             signaling.transit = sinon.spy();
             state.onEnter();
-            chai.assert(signaling._wss.send.calledOnce);
-            var acceptReq = JSON.parse(signaling._wss.send.args[0][0]);
+            chai.assert(signaling._transport.send.calledOnce);
+            var acceptReq = JSON.parse(signaling._transport.send.args[0][0]);
             chai.assert.equal('2.0', acceptReq.jsonrpc);
             chai.assert.equal('accept', acceptReq.method);
             chai.assert.isNotNull(acceptReq.params);
@@ -289,6 +883,16 @@ describe('signalingTest', () => {
             chai.assert(signaling.transit.calledOnce);
             chai.assert(signaling.transit.args[0][0] instanceof PendingAcceptAckState);
         });
+
+        it('says bye when hung up before accepting', () => {
+            signaling._transport = {
+                send: sinon.spy()
+            };
+            signaling.transit = sinon.spy();
+            state.hangup();
+            chai.assert.equal('bye', JSON.parse(signaling._transport.send.args[0][0]).method);
+            chai.assert(signaling.transit.args[0][0] instanceof PendingRemoteHangupState);
+        });
     });
 
     describe('PendingAcceptAckState', () => {
@@ -301,40 +905,75 @@ describe('signalingTest', () => {
          */
         var state;
 
-        beforeEach(() => {
-            signaling = {};
-            state = new PendingAcceptAckState(signaling, 9);
-        });
+        var acceptPromise;
 
-        it('ignores irrelevant message', () => {
-            signaling.transit = sinon.spy();
-            state.onRpcMsg({
-                id: 8
-            });
-            chai.assert(!signaling.transit.called);
+        beforeEach(() => {
+            signaling = {
+                _logger: {
+                    warn: sinon.spy()
+                },
+                _transport: {
+                    send: sinon.spy()
+                },
+                _updateClientToken: RtcSignaling.prototype._updateClientToken,
+                _clientTokenUpdatedHandler: sinon.spy(),
+                transit: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
+            acceptPromise = signaling._rpc.request('accept', {});
+            state = new PendingAcceptAckState(signaling, acceptPromise);
+            signaling.state = state;
+            state.onEnter();
         });
 
         it('goes to fail state upon receiving failure response', () => {
-            signaling.transit = sinon.spy();
-            state.onRpcMsg({
-                id: 9,
-                error: 'Oops'
+            signaling._rpc.onMessage(JSON.stringify({
+                jsonrpc: '2.0',
+                id: 1,
+                error: {
+                    code: 500,
+                    message: 'Oops'
+                }
+            }));
+            return acceptPromise.catch(() => {}).then(() => {
+                chai.assert(signaling.transit.calledOnce);
+                chai.assert(signaling.transit.args[0][0] instanceof FailedState);
             });
-            chai.assert(signaling.transit.calledOnce);
-            chai.assert(signaling.transit.args[0][0] instanceof FailedState);
         });
 
         it('goes to talking state upon receiving success response', () => {
-            signaling.transit = sinon.spy();
-            state.onRpcMsg({
-                id: 9,
+            signaling._rpc.onMessage(JSON.stringify({
+                jsonrpc: '2.0',
+                id: 1,
                 result: {
                     clientToken: 'token'
                 }
+            }));
+            return acceptPromise.then(() => {
+                chai.assert.equal('token', signaling._clientToken);
+                chai.assert(signaling._clientTokenUpdatedHandler.calledWith('token'));
+                chai.assert(signaling.transit.calledOnce);
+                chai.assert(signaling.transit.args[0][0] instanceof TalkingState);
             });
-            chai.assert.equal('token', signaling._clientToken);
-            chai.assert(signaling.transit.calledOnce);
-            chai.assert(signaling.transit.args[0][0] instanceof TalkingState);
+        });
+
+        it('says bye when hung up while accept is pending', () => {
+            state.hangup();
+            chai.assert.equal('bye', JSON.parse(signaling._transport.send.args[1][0]).method);
+            chai.assert(signaling.transit.args[0][0] instanceof PendingRemoteHangupState);
+        });
+
+        it('acks server hangup while accept is pending', () => {
+            state.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'bye',
+                params: {},
+                id: 5
+            });
+            var byeResp = JSON.parse(signaling._transport.send.args[1][0]);
+            chai.assert.equal(5, byeResp.id);
+            chai.assert.isDefined(byeResp.result);
+            chai.assert(!signaling.transit.called);
         });
     });
 
@@ -349,23 +988,29 @@ describe('signalingTest', () => {
         var state;
 
         beforeEach(() => {
-            signaling = {};
+            signaling = {
+                _startHeartbeat: sinon.spy(),
+                _updateClientToken: RtcSignaling.prototype._updateClientToken,
+                _clientTokenUpdatedHandler: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             state = new TalkingState(signaling);
         });
 
         it('notify handshake completion on enter', (done) => {
             signaling._handshakedHandler = done;
             state.onEnter();
+            chai.assert(signaling._startHeartbeat.calledOnce);
         });
 
         it('implements hangup method', () => {
-            signaling._wss = {
+            signaling._transport = {
                 send: sinon.spy()
             };
             signaling.transit = sinon.spy();
             state.hangup();
-            chai.assert(signaling._wss.send.calledOnce);
-            var hangupReq = JSON.parse(signaling._wss.send.args[0][0]);
+            chai.assert(signaling._transport.send.calledOnce);
+            var hangupReq = JSON.parse(signaling._transport.send.args[0][0]);
             chai.assert.equal('2.0', hangupReq.jsonrpc);
             chai.assert.equal('bye', hangupReq.method);
             chai.assert.isNotNull(hangupReq.params);
@@ -386,6 +1031,26 @@ describe('signalingTest', () => {
             chai.assert(signaling.transit.args[0][0] instanceof PendingLocalHangupState);
         });
 
+        it('turns down unknown server request while talking', () => {
+            signaling._logger = {
+                warn: sinon.spy()
+            };
+            signaling._transport = {
+                send: sinon.spy()
+            };
+            signaling.transit = sinon.spy();
+            state.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'transfer',
+                params: {},
+                id: 12
+            });
+            var transferResp = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(12, transferResp.id);
+            chai.assert.equal(-32601, transferResp.error.code);
+            chai.assert(!signaling.transit.called);
+        });
+
         it('responds to token renewal', () => {
             state.onRpcMsg({
                 jsonrpc: '2.0',
@@ -396,15 +1061,229 @@ describe('signalingTest', () => {
                 id: 10
             });
             chai.assert.equal('newToken', signaling._clientToken);
+            chai.assert(signaling._clientTokenUpdatedHandler.calledWith('newToken'));
         });
 
         it('reconnects when connection is lost', () => {
-            signaling._reconnect = sinon.spy();
             signaling.transit = sinon.spy();
             state.channelDown();
-            chai.assert(signaling._reconnect.calledOnce);
             chai.assert(signaling.transit.calledOnce);
             chai.assert(signaling.transit.args[0][0] instanceof PendingReconnectState);
+            chai.assert.equal(1, signaling.transit.args[0][0]._attempt);
+        });
+
+        it('does not notify handshake again when resumed', () => {
+            signaling._handshakedHandler = sinon.spy();
+            state = new TalkingState(signaling, true);
+            state.onEnter();
+            chai.assert(signaling._handshakedHandler.notCalled);
+        });
+
+        it('sends reinvite', () => {
+            signaling._logger = {
+                log: sinon.spy()
+            };
+            signaling._transport = {
+                send: sinon.spy()
+            };
+            signaling.transit = sinon.spy();
+            state.reinvite('sdp', ['candidate']);
+            var reinviteReq = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal('reinvite', reinviteReq.method);
+            chai.assert.equal('sdp', reinviteReq.params.sdp);
+            chai.assert.deepEqual(['candidate'], reinviteReq.params.candidates);
+            chai.assert(signaling.transit.args[0][0] instanceof PendingReinviteAnswerState);
+            chai.assert.equal(1, reinviteReq.id);
+        });
+
+        it('notifies server reinvite', (done) => {
+            signaling._logger = {
+                log: sinon.spy()
+            };
+            signaling.transit = sinon.spy();
+            signaling._reinvitedHandler = (sdp, candidates) => {
+                chai.assert.equal('sdp', sdp);
+                chai.assert.deepEqual(['candidate'], candidates);
+            };
+            state.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'reinvite',
+                params: {
+                    sdp: 'sdp',
+                    candidates: ['candidate']
+                },
+                id: 10
+            });
+            chai.assert(signaling.transit.args[0][0] instanceof PendingLocalReinviteAnswerState);
+            done();
+        });
+    });
+
+    describe('PendingReinviteAnswerState', () => {
+        /**
+         * @type {RtcSignaling}
+         */
+        var signaling;
+        /**
+         * @type {PendingReinviteAnswerState}
+         */
+        var state;
+
+        var reinvitePromise;
+
+        beforeEach(() => {
+            signaling = {
+                _logger: {
+                    log: sinon.spy()
+                },
+                _transport: {
+                    send: sinon.spy()
+                },
+                _startHeartbeat: sinon.spy(),
+                _reinviteFailedHandler: sinon.spy(),
+                transit: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
+            reinvitePromise = signaling._rpc.request('reinvite', {}, 50);
+            state = new PendingReinviteAnswerState(signaling, reinvitePromise);
+            signaling.state = state;
+            state.onEnter();
+        });
+
+        it('notifies reinvite answer and goes back to talking state', () => {
+            signaling._reinviteAnsweredHandler = sinon.spy();
+            signaling._rpc.onMessage(JSON.stringify({
+                jsonrpc: '2.0',
+                result: {
+                    sdp: 'sdp',
+                    candidates: ['candidate']
+                },
+                id: 1
+            }));
+            return reinvitePromise.then(() => {
+                chai.assert(signaling._reinviteAnsweredHandler.calledWith('sdp', ['candidate']));
+                chai.assert(signaling.transit.args[0][0] instanceof TalkingState);
+                chai.assert(signaling.transit.args[0][0]._resumed);
+            });
+        });
+
+        it('notifies reinvite failure on error response', () => {
+            signaling._rpc.onMessage(JSON.stringify({
+                jsonrpc: '2.0',
+                error: {
+                    code: 488,
+                    message: 'Not acceptable'
+                },
+                id: 1
+            }));
+            return reinvitePromise.catch(() => {}).then(() => {
+                chai.assert.equal(UnknownSignalingErrorName, signaling._reinviteFailedHandler.args[0][0].name);
+                chai.assert(signaling.transit.args[0][0] instanceof TalkingState);
+            });
+        });
+
+        it('notifies reinvite failure on timeout', () => {
+            return reinvitePromise.catch(() => {}).then(() => {
+                chai.assert.equal(TimeoutExceptionName, signaling._reinviteFailedHandler.args[0][0].name);
+                chai.assert(signaling.transit.args[0][0] instanceof TalkingState);
+            });
+        });
+
+        it('turns down server reinvite on glare', () => {
+            state.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'reinvite',
+                params: {
+                    sdp: 'sdp',
+                    candidates: []
+                },
+                id: 11
+            });
+            var errorResponse = JSON.parse(signaling._transport.send.args[1][0]);
+            chai.assert.equal(491, errorResponse.error.code);
+            chai.assert.equal(11, errorResponse.id);
+            chai.assert(signaling.transit.notCalled);
+        });
+
+        it('notifies reinvite failure and reconnects when connection is lost', () => {
+            state.channelDown();
+            chai.assert(signaling._reinviteFailedHandler.calledOnce);
+            chai.assert(signaling.transit.args[0][0] instanceof PendingReconnectState);
+        });
+    });
+
+    describe('PendingLocalReinviteAnswerState', () => {
+        /**
+         * @type {RtcSignaling}
+         */
+        var signaling;
+        /**
+         * @type {PendingLocalReinviteAnswerState}
+         */
+        var state;
+
+        beforeEach(() => {
+            signaling = {
+                _logger: {
+                    log: sinon.spy()
+                },
+                _transport: {
+                    send: sinon.spy()
+                },
+                transit: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
+            state = new PendingLocalReinviteAnswerState(signaling, 7);
+        });
+
+        it('sends answer to reinvite', () => {
+            state.answerReinvite('sdp', ['candidate']);
+            var answerResponse = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(7, answerResponse.id);
+            chai.assert.equal('sdp', answerResponse.result.sdp);
+            chai.assert.deepEqual(['candidate'], answerResponse.result.candidates);
+            chai.assert(signaling.transit.args[0][0] instanceof TalkingState);
+            chai.assert(signaling.transit.args[0][0]._resumed);
+        });
+
+        it('rejects reinvite', () => {
+            state.rejectReinvite(488, 'Not acceptable');
+            var errorResponse = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(7, errorResponse.id);
+            chai.assert.equal(488, errorResponse.error.code);
+            chai.assert(signaling.transit.args[0][0] instanceof TalkingState);
+        });
+    });
+
+    describe('PendingResumeState', () => {
+        /**
+         * @type {RtcSignaling}
+         */
+        var signaling;
+        /**
+         * @type {PendingResumeState}
+         */
+        var state;
+
+        beforeEach(() => {
+            signaling = {
+                _connectedHandler: sinon.spy(),
+                transit: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
+            state = new PendingResumeState(signaling, 500);
+        });
+
+        it('notifies connected and goes to resumed talking state once open', () => {
+            state.onOpen();
+            chai.assert(signaling._connectedHandler.calledOnce);
+            chai.expect(signaling.transit.args[0][0]).to.be.instanceof(TalkingState);
+            chai.expect(signaling.transit.args[0][0]._resumed).to.be.true;
+        });
+
+        it('fails when connection is lost', () => {
+            state.channelDown();
+            chai.expect(signaling.transit.args[0][0]).to.be.instanceof(FailedState);
         });
     });
 
@@ -419,15 +1298,104 @@ describe('signalingTest', () => {
         var state;
 
         beforeEach(() => {
-            signaling = {};
+            signaling = {
+                _logger: {
+                    info: sinon.spy(),
+                    warn: sinon.spy()
+                },
+                _reconnectPolicy: {
+                    maxAttempts: 3,
+                    initialDelayMillis: 10,
+                    maxDelayMillis: 20,
+                    multiplier: 2,
+                    jitter: 0,
+                    totalBudgetMillis: 1000
+                },
+                _reconnect: sinon.spy(),
+                _abandonTransport: sinon.spy(),
+                transit: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             state = new PendingReconnectState(signaling, 1);
+            signaling.state = state;
         });
 
         it('goes back to talking state when it gets connected', () => {
-            signaling.transit = sinon.spy();
+            signaling._reconnectedHandler = sinon.spy();
             state.onOpen();
+            chai.assert(signaling._reconnectedHandler.calledOnce);
             chai.assert(signaling.transit.calledOnce);
             chai.assert(signaling.transit.args[0][0] instanceof TalkingState);
+            chai.assert(signaling.transit.args[0][0]._resumed);
+        });
+
+        it('reconnects right away on first attempt', (done) => {
+            signaling._reconnectingHandler = (attempt, delayMillis) => {
+                chai.assert.equal(1, attempt);
+                chai.assert.equal(0, delayMillis);
+            };
+            state.onEnter();
+            setTimeout(() => {
+                chai.assert(signaling._reconnect.calledOnce);
+                done();
+            }, 5);
+        });
+
+        it('abandons timed out attempt before next one', () => {
+            state.onTimeout();
+            chai.assert(signaling._abandonTransport.calledOnce);
+            chai.assert(signaling.transit.args[0][0] instanceof PendingReconnectState);
+            chai.assert.equal(2, signaling.transit.args[0][0]._attempt);
+        });
+
+        it('backs off before next attempt when reconnecting fails', () => {
+            state._connecting = true;
+            state.channelDown();
+            chai.assert(signaling.transit.calledOnce);
+            var nextState = signaling.transit.args[0][0];
+            chai.assert(nextState instanceof PendingReconnectState);
+            chai.assert.equal(2, nextState._attempt);
+            chai.assert.equal(state._reconnectStartTime, nextState._reconnectStartTime);
+        });
+
+        it('ignores the lost connection winding down', () => {
+            state.channelDown();
+            chai.assert(signaling.transit.notCalled);
+        });
+
+        it('fails after max attempts', () => {
+            state = new PendingReconnectState(signaling, 3);
+            state.onTimeout();
+            chai.assert(signaling.transit.args[0][0] instanceof FailedState);
+        });
+
+        it('fails when reconnect budget is spent', () => {
+            state = new PendingReconnectState(signaling, 1, new Date().getTime() - 2000);
+            state._connecting = true;
+            state.channelDown();
+            chai.assert(signaling.transit.args[0][0] instanceof FailedState);
+        });
+
+        it('disconnects on hangup', () => {
+            state.hangup();
+            chai.assert(signaling.transit.args[0][0] instanceof DisconnectedState);
+        });
+    });
+
+    describe('reconnectDelayMillis', () => {
+        var policy = {
+            initialDelayMillis: 100,
+            maxDelayMillis: 1000,
+            multiplier: 2,
+            jitter: 0.5
+        };
+
+        it('grows exponentially up to max delay with jitter', () => {
+            chai.assert.equal(0, reconnectDelayMillis(policy, 1));
+            var delayMillis = reconnectDelayMillis(policy, 3);
+            chai.assert(delayMillis >= 100 && delayMillis <= 200);
+            delayMillis = reconnectDelayMillis(policy, 10);
+            chai.assert(delayMillis >= 500 && delayMillis <= 1000);
         });
     });
 
@@ -441,20 +1409,54 @@ describe('signalingTest', () => {
          */
         var state;
 
+        var byePromise;
+
         beforeEach(() => {
-            signaling = {};
-            state = new PendingRemoteHangupState(signaling, 8);
+            signaling = {
+                _logger: {
+                    warn: sinon.spy()
+                },
+                _transport: {
+                    send: sinon.spy()
+                },
+                transit: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
+            byePromise = signaling._rpc.request('bye', {}, 50);
+            state = new PendingRemoteHangupState(signaling, byePromise);
+            signaling.state = state;
+            state.onEnter();
         });
 
         it('goes to disconnected state upon receiving hang up ack', () => {
-            signaling.transit = sinon.spy();
-            state.onRpcMsg({
+            signaling._rpc.onMessage(JSON.stringify({
                 jsonrpc: '2.0',
-                id: 8,
+                id: 1,
                 result: {}
+            }));
+            return byePromise.then(() => {
+                chai.assert(signaling.transit.calledOnce);
+                chai.assert(signaling.transit.args[0][0] instanceof DisconnectedState);
             });
-            chai.assert(signaling.transit.calledOnce);
-            chai.assert(signaling.transit.args[0][0] instanceof DisconnectedState);
+        });
+
+        it('goes to failed state if hang up is not acked', () => {
+            return byePromise.catch(() => {}).then(() => {
+                chai.assert(signaling.transit.args[0][0] instanceof FailedState);
+            });
+        });
+
+        it('acks server hangup crossing its own', () => {
+            state.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'bye',
+                params: {},
+                id: 9
+            });
+            var byeResp = JSON.parse(signaling._transport.send.args[1][0]);
+            chai.assert.equal(9, byeResp.id);
+            chai.assert.isDefined(byeResp.result);
+            chai.assert(!signaling.transit.called);
         });
     });
 
@@ -470,6 +1472,7 @@ describe('signalingTest', () => {
 
         beforeEach(() => {
             signaling = {};
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             state = new PendingLocalHangupState(signaling, 8);
         });
 
@@ -479,13 +1482,13 @@ describe('signalingTest', () => {
         });
 
         it('acks remote hangup when hangup is called', () => {
-            signaling._wss = {
+            signaling._transport = {
                 send: sinon.spy()
             };
             signaling.transit = sinon.spy();
             state.hangup();
-            chai.assert(signaling._wss.send.calledOnce);
-            var hangupResp = JSON.parse(signaling._wss.send.args[0][0]);
+            chai.assert(signaling._transport.send.calledOnce);
+            var hangupResp = JSON.parse(signaling._transport.send.args[0][0]);
             chai.assert.equal('2.0', hangupResp.jsonrpc);
             chai.assert.equal(8, hangupResp.id);
             chai.assert.isNotNull(hangupResp.result);
@@ -506,17 +1509,38 @@ describe('signalingTest', () => {
         var state;
 
         beforeEach(() => {
-            signaling = {};
+            signaling = {
+                _stopHeartbeat: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             state = new DisconnectedState(signaling);
         });
 
+        it('acks late server hangup once disconnected', () => {
+            signaling._logger = {
+                warn: sinon.spy()
+            };
+            signaling._transport = {
+                send: sinon.spy()
+            };
+            state.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'bye',
+                params: {},
+                id: 3
+            });
+            var byeResp = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(3, byeResp.id);
+            chai.assert.isDefined(byeResp.result);
+        });
+
         it('notifies disconnected on enter', (done) => {
-            signaling._wss = {
+            signaling._transport = {
                 close: sinon.spy()
             };
             signaling._disconnectedHandler = done;
             state.onEnter();
-            chai.assert(signaling._wss.close.calledOnce);
+            chai.assert(signaling._transport.close.calledOnce);
         });
     });
 
@@ -531,17 +1555,38 @@ describe('signalingTest', () => {
         var state;
 
         beforeEach(() => {
-            signaling = {};
+            signaling = {
+                _stopHeartbeat: sinon.spy()
+            };
+            signaling._rpc = new JsonRpcTracker(data => signaling._transport.send(data));
             state = new FailedState(signaling);
         });
 
+        it('acks late server hangup once failed', () => {
+            signaling._logger = {
+                warn: sinon.spy()
+            };
+            signaling._transport = {
+                send: sinon.spy()
+            };
+            state.onRpcMsg({
+                jsonrpc: '2.0',
+                method: 'bye',
+                params: {},
+                id: 3
+            });
+            var byeResp = JSON.parse(signaling._transport.send.args[0][0]);
+            chai.assert.equal(3, byeResp.id);
+            chai.assert.isDefined(byeResp.result);
+        });
+
         it('notifies failure on enter', (done) => {
-            signaling._wss = {
+            signaling._transport = {
                 close: sinon.spy()
             };
             signaling._failedHandler = done;
             state.onEnter();
-            chai.assert(signaling._wss.close.calledOnce);
+            chai.assert(signaling._transport.close.calledOnce);
         });
     });
 });
@@ -0,0 +1,66 @@
+/**
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License"). You may not use this file except in compliance with the License. A copy of the License is located at
+ *
+ *   http://aws.amazon.com/asl/
+ *
+ * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { WebSocketTransport } from '../../src/js/transport';
+import chai from 'chai';
+import sinon from 'sinon';
+
+describe('WebSocketTransport', () => {
+    /**
+     * @type {WebSocketTransport}
+     */
+    var transport;
+
+    var ws;
+
+    beforeEach(() => {
+        ws = {
+            send: sinon.spy(),
+            close: sinon.spy()
+        };
+        transport = new WebSocketTransport();
+        transport._createWebSocket = sinon.stub().returns(ws);
+    });
+
+    it('opens WebSocket with given uri', () => {
+        transport.connect('wss://myserver.com/rtc');
+
+        chai.expect(transport._createWebSocket.calledWith('wss://myserver.com/rtc')).to.be.true;
+    });
+
+    it('routes WebSocket events to handlers', () => {
+        var openHandler = sinon.spy();
+        var messageHandler = sinon.spy();
+        var closeHandler = sinon.spy();
+        transport.onOpen = openHandler;
+        transport.onMessage = messageHandler;
+        transport.onClose = closeHandler;
+        transport.connect('wss://myserver.com/rtc');
+
+        ws.onopen({});
+        ws.onmessage({data: 'msg'});
+        ws.onerror({});
+        ws.onclose({code: 1000});
+
+        chai.expect(openHandler.calledOnce).to.be.true;
+        chai.expect(messageHandler.args[0][0].data).to.be.eq('msg');
+        chai.expect(closeHandler.args[0][0].code).to.be.eq(1000);
+    });
+
+    it('sends data and closes WebSocket', () => {
+        transport.connect('wss://myserver.com/rtc');
+
+        transport.send('msg');
+        transport.close();
+
+        chai.expect(ws.send.calledWith('msg')).to.be.true;
+        chai.expect(ws.close.calledOnce).to.be.true;
+    });
+});
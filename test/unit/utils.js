@@ -8,7 +8,7 @@
  * or in the "LICENSE" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions and limitations under the License.
  */
 
-import { transformSdp, SdpOptions } from '../../src/js/utils';
+import { transformSdp, setVideoBandwidth, SdpOptions } from '../../src/js/utils';
 import chai from 'chai';
 
 
@@ -290,6 +290,28 @@ describe('transformSdp', () => {
         chai.expect(result.mLines).to.eq(2);
     });
 
+    it('Keeps rejected M line as it is', () => {
+        var rejectedVideoSection = "m=video 0 UDP/TLS/RTP/SAVPF 120\r\n" +
+            "c=IN IP4 0.0.0.0\r\n" +
+            "a=inactive\r\n" +
+            "a=mid:sdparta_1\r\n" +
+            "a=rtpmap:120 VP8/90000\r\n";
+        var audioOnlySdp = audioVideoSdp.substring(0, audioVideoSdp.indexOf('m=video'));
+        var sdpOptions = new SdpOptions();
+        sdpOptions.forceCodec['video'] = 'H264';
+        var result = transformSdp(audioOnlySdp + rejectedVideoSection, sdpOptions);
+        chai.expect(result.mLines).to.eq(1);
+        chai.expect(result.sdp).to.have.string(rejectedVideoSection);
+    });
+
+
+    it('Sets video bandwidth only, leaving the rest of SDP as it is', () => {
+        var withBandwidth = audioVideoSdp.replace('m=video 9 UDP/TLS/RTP/SAVPF 120 121 126 97\r\nc=IN IP4 0.0.0.0\r\n',
+            'm=video 9 UDP/TLS/RTP/SAVPF 120 121 126 97\r\nc=IN IP4 0.0.0.0\r\nb=AS:2000\r\n');
+        var result = setVideoBandwidth(withBandwidth, 500000);
+        chai.expect(result).to.equal(audioVideoSdp.replace('m=video 9 UDP/TLS/RTP/SAVPF 120 121 126 97\r\nc=IN IP4 0.0.0.0\r\n',
+            'm=video 9 UDP/TLS/RTP/SAVPF 120 121 126 97\r\nc=IN IP4 0.0.0.0\r\nb=AS:500\r\nb=TIAS:500000\r\n'));
+    });
 
     var inputSdpUnencrypted = "v=0\r\n" +
         "o=- 6620764343933944878 2 IN IP4 127.0.0.1\r\n" +